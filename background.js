@@ -18,6 +18,263 @@ async function safelySendMessageToPopup(message) {
   }
 }
 
+// Offscreen document that runs the local speech-to-text model (service workers cannot run WASM threads or Web Audio)
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+let creatingOffscreenDocument = null;
+
+async function ensureOffscreenDocument() {
+  const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const existingContexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [offscreenUrl]
+  });
+  
+  if (existingContexts.length > 0) {
+    return;
+  }
+  
+  // Concurrent callers share one creation request
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['WORKERS'],
+      justification: 'Transcribe video audio locally when a video has no captions'
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  
+  await creatingOffscreenDocument;
+}
+
+// Self-hosted OpenAI-compatible servers are reached through CustomProviderService.relayRequest
+// (the popup's model list and the content script's analysis requests)
+importScripts('src/services/customProviderService.js');
+
+// Playlist and Watch Later queue. Each job runs in a YouTube tab's content script, which has the
+// transcript and AI pipeline and stores results with storeAnalysisResults; this worker decides
+// what runs when, within the RateLimiter 'queue_analysis' limits, and persists the queue so it
+// survives service worker restarts.
+importScripts('src/utils/rateLimiter.js');
+
+const queueRateLimiter = globalThis.RateLimiter;
+const QUEUE_STORAGE_KEY = 'analysisQueue';
+// A job whose tab never reports back (reloaded, crashed) is given up after this long
+const QUEUE_JOB_TIMEOUT_MS = 20 * 60 * 1000;
+
+// [{ videoId, title, channelName, tabId, status, error, totalLies, addedAt, startedAt, updatedAt }]
+// status: pending | running | done | cached | failed
+let analysisQueue = [];
+let analysisQueueLoading = null;
+let queueProcessing = null;
+let queueProcessRequested = false;
+let queueRetryTimer = null;
+
+function loadAnalysisQueue() {
+  if (!analysisQueueLoading) {
+    analysisQueueLoading = chrome.storage.local.get([QUEUE_STORAGE_KEY]).then(result => {
+      analysisQueue = Array.isArray(result[QUEUE_STORAGE_KEY]) ? result[QUEUE_STORAGE_KEY] : [];
+      // Slots are held in memory - jobs still running from before a restart take theirs back
+      analysisQueue
+        .filter(item => item.status === 'running')
+        .forEach(() => queueRateLimiter.acquireSlot('queue_analysis'));
+      return analysisQueue;
+    }).catch(error => {
+      console.error('Error loading analysis queue:', error);
+      analysisQueueLoading = null;
+      return analysisQueue;
+    });
+  }
+  return analysisQueueLoading;
+}
+
+async function saveAnalysisQueue() {
+  try {
+    await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: analysisQueue });
+  } catch (error) {
+    console.error('Error saving analysis queue:', error);
+  }
+  safelySendMessageToPopup({ type: 'queueUpdate', queue: analysisQueue });
+}
+
+function updateQueueItem(item, changes) {
+  Object.assign(item, changes, { updatedAt: Date.now() });
+}
+
+// Every running job holds one concurrency slot until it finishes, fails or is removed
+function finishQueueJob(item, changes) {
+  queueRateLimiter.releaseSlot('queue_analysis');
+  updateQueueItem(item, changes);
+}
+
+async function enqueueVideos(videos, tabId) {
+  const queue = await loadAnalysisQueue();
+  let added = 0;
+  
+  (Array.isArray(videos) ? videos : []).forEach(video => {
+    if (!video || typeof video.videoId !== 'string' || queue.some(item => item.videoId === video.videoId)) return;
+    
+    queue.push({
+      videoId: video.videoId,
+      title: String(video.title || '').slice(0, 200),
+      channelName: String(video.channelName || '').slice(0, 100),
+      tabId: tabId || null,
+      status: 'pending',
+      error: null,
+      totalLies: null,
+      addedAt: Date.now(),
+      startedAt: null,
+      updatedAt: Date.now()
+    });
+    added++;
+  });
+  
+  console.log(`📥 Queued ${added} video(s) for analysis`);
+  await saveAnalysisQueue();
+  processAnalysisQueue();
+  return added;
+}
+
+async function retryQueueItem(videoId) {
+  const queue = await loadAnalysisQueue();
+  const item = queue.find(entry => entry.videoId === videoId);
+  if (item && item.status === 'failed') {
+    updateQueueItem(item, { status: 'pending', error: null });
+    await saveAnalysisQueue();
+    processAnalysisQueue();
+  }
+}
+
+async function removeQueueItem(videoId) {
+  const queue = await loadAnalysisQueue();
+  const item = queue.find(entry => entry.videoId === videoId);
+  if (!item) return;
+  
+  if (item.status === 'running') {
+    queueRateLimiter.releaseSlot('queue_analysis');
+    chrome.tabs.sendMessage(item.tabId, { type: 'cancelQueuedAnalysis', videoId: videoId }).catch(error => {
+      console.warn('Could not cancel queued analysis:', error.message);
+    });
+  }
+  
+  queue.splice(queue.indexOf(item), 1);
+  await saveAnalysisQueue();
+  processAnalysisQueue();
+}
+
+// The content script reports back once a queued job ends
+async function handleQueuedAnalysisResult(message) {
+  const queue = await loadAnalysisQueue();
+  const item = queue.find(entry => entry.videoId === message.videoId && entry.status === 'running');
+  if (!item) return; // Removed while it was running
+  
+  if (message.success) {
+    finishQueueJob(item, { status: message.cached ? 'cached' : 'done', totalLies: message.totalLies || 0, error: null });
+  } else {
+    finishQueueJob(item, { status: 'failed', error: message.cancelled ? 'Cancelled' : (message.error || 'Analysis failed') });
+  }
+  
+  await saveAnalysisQueue();
+  processAnalysisQueue();
+}
+
+// Concurrent callers share one pass; a call during a pass schedules another one after it
+function processAnalysisQueue() {
+  if (queueProcessing) {
+    queueProcessRequested = true;
+    return queueProcessing;
+  }
+  
+  queueProcessing = runAnalysisQueue().catch(error => {
+    console.error('Error processing analysis queue:', error);
+  }).finally(() => {
+    queueProcessing = null;
+    if (queueProcessRequested) {
+      queueProcessRequested = false;
+      processAnalysisQueue();
+    }
+  });
+  return queueProcessing;
+}
+
+async function runAnalysisQueue() {
+  const queue = await loadAnalysisQueue();
+  let changed = false;
+  
+  queue.forEach(item => {
+    if (item.status === 'running' && Date.now() - (item.startedAt || 0) > QUEUE_JOB_TIMEOUT_MS) {
+      finishQueueJob(item, { status: 'failed', error: 'Timed out - the YouTube tab may have been reloaded' });
+      changed = true;
+    }
+  });
+  
+  for (const item of queue.filter(entry => entry.status === 'pending')) {
+    // Removed while an earlier job was being started
+    if (item.status !== 'pending' || !queue.includes(item)) continue;
+    if (!queueRateLimiter.acquireSlot('queue_analysis')) break;
+    
+    const rateLimit = await queueRateLimiter.isAllowed('queue_analysis');
+    if (!rateLimit.allowed) {
+      queueRateLimiter.releaseSlot('queue_analysis');
+      scheduleAnalysisQueue(rateLimit.waitTimeMs);
+      break;
+    }
+    
+    const tabId = await findQueueTab(item.tabId);
+    if (!tabId) {
+      // Jobs wait for a YouTube tab; opening the popup there starts them again
+      queueRateLimiter.releaseSlot('queue_analysis');
+      console.log('⏸️ Analysis queue waiting for an open YouTube tab');
+      break;
+    }
+    
+    updateQueueItem(item, { status: 'running', tabId: tabId, error: null, startedAt: Date.now() });
+    changed = true;
+    
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'analyzeQueuedVideo',
+        video: { videoId: item.videoId, title: item.title, channelName: item.channelName }
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'The YouTube tab did not accept the job');
+      }
+    } catch (error) {
+      console.warn('Could not start queued analysis:', item.videoId, error.message);
+      finishQueueJob(item, { status: 'failed', error: `Could not start: ${error.message}` });
+    }
+  }
+  
+  if (changed) {
+    await saveAnalysisQueue();
+  }
+}
+
+// Best effort only - the worker may be stopped before the timer fires; the next queue
+// message or finished job picks the queue up again
+function scheduleAnalysisQueue(delayMs) {
+  clearTimeout(queueRetryTimer);
+  queueRetryTimer = setTimeout(processAnalysisQueue, Math.max(1000, delayMs || 0));
+}
+
+// Prefer the tab the videos were queued from, otherwise any YouTube tab
+async function findQueueTab(preferredTabId) {
+  const tabs = await chrome.tabs.query({ url: 'https://*.youtube.com/*' });
+  const preferred = tabs.find(tab => tab.id === preferredTabId);
+  return (preferred || tabs[0])?.id || null;
+}
+
+// Jobs in a closed tab will never report back
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const queue = await loadAnalysisQueue();
+  const orphaned = queue.filter(item => item.status === 'running' && item.tabId === tabId);
+  if (orphaned.length === 0) return;
+  
+  orphaned.forEach(item => finishQueueJob(item, { status: 'failed', error: 'The YouTube tab was closed' }));
+  await saveAnalysisQueue();
+  processAnalysisQueue();
+});
+
 // Enhanced analysis state with persistent storage
 let analysisState = {
   isRunning: false,
@@ -27,13 +284,17 @@ let analysisState = {
   error: null,
   currentClaims: [],
   startTime: null,
-  stage: 'idle'
+  stage: 'idle',
+  tabId: null
 };
 
 // NEW: Persistent lies storage for current video
 let currentVideoLies = [];
 let currentVideoId = null;
 
+// Critical lies already announced for the running analysis - streamed updates arrive many times
+let notifiedCriticalLies = 0;
+
 // Persistent state management
 async function saveAnalysisState() {
   try {
@@ -195,6 +456,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Handle progress updates with visual cues
     analysisState.stage = message.stage;
     analysisState.progress = message.message;
+    if (sender.tab?.id) {
+      analysisState.tabId = sender.tab.id;
+    }
     
     // Save state persistently
     saveAnalysisState();
@@ -222,7 +486,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!message.isComplete && message.claims && message.claims.length > 0) {
       const highSeverityLies = message.claims.filter(c => c.severity === 'critical').length;
       
-      if (highSeverityLies > 0) {
+      if (highSeverityLies > notifiedCriticalLies) {
+        notifiedCriticalLies = highSeverityLies;
         try {
           chrome.notifications.create({
             type: 'basic',
@@ -257,16 +522,58 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     analysisState.currentClaims = [];
     analysisState.startTime = Date.now();
     analysisState.stage = 'starting';
+    // The tab running the analysis, so the popup can cancel it
+    analysisState.tabId = sender.tab?.id || null;
     
     // NEW: Set current video context
     currentVideoId = message.videoId;
     currentVideoLies = [];
+    notifiedCriticalLies = 0;
     
     // Save state persistently
     saveAnalysisState();
     
     sendResponse({ success: true });
     return true;
+  } else if (message.type === 'cancelAnalysis') {
+    // Popup asking to stop the running analysis - the content script aborts its requests.
+    // The tab recorded when the analysis started wins over whatever the popup knows.
+    const tabId = analysisState.tabId || message.tabId;
+    if (!tabId) {
+      sendResponse({ success: false, error: 'No analysis is running' });
+      return true;
+    }
+    
+    analysisState.stage = 'cancelling';
+    analysisState.progress = 'Cancelling analysis...';
+    saveAnalysisState();
+    
+    chrome.tabs.sendMessage(tabId, { type: 'cancelAnalysis' }, (response) => {
+      if (chrome.runtime.lastError) {
+        // The tab is gone or was reloaded, so nothing is running there any more
+        console.warn('Could not reach tab to cancel analysis:', chrome.runtime.lastError.message);
+        analysisState.isRunning = false;
+        analysisState.stage = 'cancelled';
+        saveAnalysisState();
+        sendResponse({ success: true, cancelled: false });
+        return;
+      }
+      sendResponse(response || { success: false });
+    });
+    return true;
+  } else if (message.type === 'analysisCancelled') {
+    analysisState.isRunning = false;
+    analysisState.stage = 'cancelled';
+    analysisState.error = null;
+    analysisState.progress = message.reason === 'video-change'
+      ? 'Analysis cancelled - the video changed'
+      : 'Analysis cancelled';
+    analysisState.results = analysisState.progress;
+    
+    saveAnalysisState();
+    
+    safelySendMessageToPopup(message);
+    sendResponse({ success: true });
   } else if (message.type === 'getAnalysisState') {
     // Popup requesting current analysis state
     sendResponse(analysisState);
@@ -315,7 +622,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       error: null,
       currentClaims: [],
       startTime: null,
-      stage: 'idle'
+      stage: 'idle',
+      tabId: null
     };
     
     // NEW: Clear current video lies
@@ -369,6 +677,54 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
     })();
     
+    return true;
+  } else if (message.type === 'transcribeAudio') {
+    // Relay an audio window from the content script to the speech-to-text document
+    (async () => {
+      try {
+        await ensureOffscreenDocument();
+        
+        const response = await chrome.runtime.sendMessage({
+          ...message,
+          target: 'offscreen'
+        });
+        
+        sendResponse(response || { success: false, error: 'Speech-to-text document did not respond' });
+      } catch (error) {
+        console.error('Error relaying audio for transcription:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    
+    return true;
+  } else if (message.type === 'enqueueVideos') {
+    // Popup queuing the videos of a playlist or Watch Later page
+    enqueueVideos(message.videos, message.tabId).then(added => {
+      sendResponse({ success: true, added: added, queue: analysisQueue });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.type === 'getQueue') {
+    loadAnalysisQueue().then(queue => {
+      sendResponse({ success: true, queue: queue });
+      // Opening the queue view also resumes jobs that were waiting for a tab or rate limit
+      processAnalysisQueue();
+    });
+    return true;
+  } else if (message.type === 'retryQueueItem' || message.type === 'removeQueueItem') {
+    const change = message.type === 'retryQueueItem' ? retryQueueItem : removeQueueItem;
+    change(message.videoId).then(() => {
+      sendResponse({ success: true, queue: analysisQueue });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  } else if (message.type === 'queuedAnalysisResult') {
+    handleQueuedAnalysisResult(message).then(() => sendResponse({ success: true }));
+    return true;
+  } else if (message.type === 'customProviderRequest') {
+    CustomProviderService.relayRequest(message).then(sendResponse);
     return true;
   } else if (message.type === 'STATS_UPDATE') {
     // Handle stats updates - just forward to popup
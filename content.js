@@ -12,13 +12,47 @@
   // Global state
   let currentVideoId = null;
   let isAnalyzing = false;
+  // { videoId, controller, reason, partialLies } while an analysis runs
+  let currentAnalysis = null;
+  // Abort controllers of playlist-queue analyses running in this tab, by video ID
+  const queuedAnalyses = new Map();
   let skipLiesEnabled = false;
   let currentLies = [];
   let videoPlayer = null;
-  let skipNotificationTimeout = null;
+  let skipNotification = null;
   let securityService = null;
+  let apiKeyVault = null;
+  let apiService = null;
+  let captionTrackService = null;
+  let audioCaptureService = null;
+  let currentTranscript = null;
+  let transcriptPanel = null;
+  let skipScheduler = null;
+  let lieOverlay = null;
+  let progressBarMarkers = null;
+  let factCheckCard = null;
+  // What happens when playback reaches a lie, by severity - DEFAULT_LIE_ACTIONS until loaded
+  let lieActions = null;
+  // The video muted for a lie, to unmute when the lie ends
+  let videoMutedForLie = null;
+  let claimSchema = null;
+  let costEstimator = null;
+  // Removes the pending 'wait for playback' listener of an automatic analysis
+  let cancelPendingAutoAnalyze = null;
   let extensionContextValid = true;
   
+  // Long transcripts are analyzed in overlapping windows so each prompt and reply fits the model
+  const ANALYSIS_CHUNK_SECONDS = 10 * 60;
+  const ANALYSIS_CHUNK_OVERLAP_SECONDS = 60;
+  const ANALYSIS_CHUNK_CONCURRENCY = 2;
+  
+  // Second-pass verification sees each claim with this much transcript on either side
+  const CRITIC_CONTEXT_SECONDS = 60;
+  const CRITIC_CONCURRENCY = 2;
+  
+  // One of SkipScheduler.ACTIONS per severity
+  const DEFAULT_LIE_ACTIONS = { critical: 'skip', high: 'skip', medium: 'skip', low: 'skip' };
+  
   // Check if extension context is still valid
   function checkExtensionContext() {
     try {
@@ -37,7 +71,7 @@
   }
   
   // Safe message sending with context validation
-  async function safeSendMessage(message) {
+  async function safeSendMessage(message, timeoutMs = 5000) {
     if (!checkExtensionContext()) {
       console.warn('⚠️ Cannot send message - extension context invalidated');
       return null;
@@ -47,7 +81,7 @@
       return await new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
           reject(new Error('Message timeout'));
-        }, 5000);
+        }, timeoutMs);
         
         chrome.runtime.sendMessage(message, (response) => {
           clearTimeout(timeout);
@@ -98,6 +132,15 @@
       try {
         securityService = new SecurityService();
         console.log('🔒 Security service initialized in content script');
+        
+        if (typeof ApiKeyVault !== 'undefined') {
+          apiKeyVault = new ApiKeyVault(securityService);
+        }
+        
+        // Shares the vault so key status updates go through one write queue
+        if (typeof APIService !== 'undefined' && apiKeyVault) {
+          apiService = new APIService({ securityService: securityService, apiKeyVault: apiKeyVault });
+        }
       } catch (error) {
         console.warn('⚠️ Failed to initialize SecurityService:', error);
       }
@@ -105,6 +148,79 @@
       console.warn('⚠️ SecurityService not available in content script');
     }
     
+    // Initialize caption track service if available
+    if (typeof CaptionTrackService !== 'undefined') {
+      captionTrackService = new CaptionTrackService();
+    } else {
+      console.warn('⚠️ CaptionTrackService not available in content script');
+    }
+
+    // Initialize audio capture service for the speech-to-text fallback
+    if (typeof AudioCaptureService !== 'undefined') {
+      audioCaptureService = new AudioCaptureService();
+    } else {
+      console.warn('⚠️ AudioCaptureService not available in content script');
+    }
+    
+    // Initialize AI response schema validation
+    if (typeof ClaimSchema !== 'undefined') {
+      claimSchema = new ClaimSchema();
+    } else {
+      console.warn('⚠️ ClaimSchema not available in content script');
+    }
+    
+    // Initialize cost estimates for the automatic analysis budget
+    if (typeof CostEstimator !== 'undefined') {
+      costEstimator = new CostEstimator();
+    } else {
+      console.warn('⚠️ CostEstimator not available in content script');
+    }
+    
+    // Initialize transcript viewer panel
+    if (typeof TranscriptPanel !== 'undefined') {
+      transcriptPanel = new TranscriptPanel({ onSeek: jumpToTimestamp });
+    } else {
+      console.warn('⚠️ TranscriptPanel not available in content script');
+    }
+
+    // Initialize the auto-skip engine and the overlay for blur and pause actions
+    if (typeof SkipScheduler !== 'undefined') {
+      skipScheduler = new SkipScheduler({
+        onSkip: handleLieSkipped,
+        onEnter: handleLieRangeEnter,
+        onLeave: handleLieRangeLeave,
+        getAction: getLieAction
+      });
+    } else {
+      console.warn('⚠️ SkipScheduler not available in content script');
+    }
+    
+    if (typeof SkipNotification !== 'undefined') {
+      skipNotification = new SkipNotification();
+    } else {
+      console.warn('⚠️ SkipNotification not available in content script');
+    }
+    
+    if (typeof LieOverlay !== 'undefined') {
+      lieOverlay = new LieOverlay();
+    } else {
+      console.warn('⚠️ LieOverlay not available in content script');
+    }
+    
+    // Initialize lie markers on the player's progress bar
+    if (typeof ProgressBarMarkers !== 'undefined') {
+      progressBarMarkers = new ProgressBarMarkers({ onSeek: jumpToTimestamp });
+    } else {
+      console.warn('⚠️ ProgressBarMarkers not available in content script');
+    }
+    
+    // Initialize the live fact-check card
+    if (typeof FactCheckCard !== 'undefined') {
+      factCheckCard = new FactCheckCard();
+    } else {
+      console.warn('⚠️ FactCheckCard not available in content script');
+    }
+    
     // Set up video change detection
     setupVideoChangeDetection();
     
@@ -147,14 +263,31 @@
     
     if (videoId && videoId !== currentVideoId) {
       console.log('📹 New video detected:', videoId);
+      
+      // A running analysis belongs to the previous video
+      cancelAnalysis('video-change');
+      
       currentVideoId = videoId;
       currentLies = [];
+      currentTranscript = null;
+      
+      if (transcriptPanel) {
+        transcriptPanel.destroy();
+      }
+      
+      // Skip ranges, deliberate seeks and markers belong to the previous video
+      if (skipScheduler) {
+        skipScheduler.reset();
+      }
+      if (progressBarMarkers) {
+        progressBarMarkers.setLies([]);
+      }
       
       // Get video player reference
       videoPlayer = document.querySelector('video');
       
-      // Load lies for this video from background storage
-      loadCurrentVideoLies(videoId);
+      // Load lies for this video from background storage, then analyze it automatically if enabled
+      loadCurrentVideoLies(videoId).then(() => maybeAutoAnalyze(videoId));
     }
   }
   
@@ -163,6 +296,168 @@
     return urlParams.get('v');
   }
   
+  // Opt-in: analyze a new video once it starts playing, unless results already exist or the
+  // channel, video length or daily budget rules out
+  async function maybeAutoAnalyze(videoId) {
+    if (cancelPendingAutoAnalyze) {
+      cancelPendingAutoAnalyze();
+      cancelPendingAutoAnalyze = null;
+    }
+    
+    try {
+      const settings = await getSettings();
+      if (!settings.autoAnalyzeEnabled || videoId !== currentVideoId) {
+        return;
+      }
+      
+      if (ApiKeyVault.requiresKey(settings.aiProvider) && !settings.apiKey) {
+        console.log('⏸️ Auto-analyze skipped: no API key for', settings.aiProvider);
+        return;
+      }
+      
+      // Existing results (Supabase or local cache) are loaded instead of paying for a new analysis
+      if (await checkCachedResults(videoId)) {
+        console.log('📋 Auto-analyze skipped: results already exist');
+        return;
+      }
+      
+      const videoDetails = await getAutoAnalyzeVideoDetails(videoId);
+      if (videoId !== currentVideoId) return;
+      
+      const skipReason = getAutoAnalyzeSkipReason(settings, videoDetails);
+      if (skipReason) {
+        console.log('⏸️ Auto-analyze skipped:', skipReason);
+        return;
+      }
+      
+      const analyzedMinutes = Math.min(videoDetails.lengthSeconds / 60, settings.analysisDuration);
+      const estimatedCost = costEstimator ? costEstimator.estimateAnalysisCost(settings, analyzedMinutes) : 0;
+      const spentToday = await getAutoAnalyzeSpentToday();
+      if (spentToday + estimatedCost > settings.autoAnalyzeDailyBudget) {
+        console.log(`⏸️ Auto-analyze skipped: estimated $${estimatedCost.toFixed(4)} would exceed the daily budget ($${spentToday.toFixed(4)} of $${settings.autoAnalyzeDailyBudget.toFixed(2)} spent)`);
+        return;
+      }
+      
+      if (!await waitForPlayback(videoId) || isAnalyzing) {
+        return;
+      }
+      
+      // The estimate is charged up front so a cancelled or failed analysis still counts
+      if (!await addAutoAnalyzeSpend(estimatedCost, settings.autoAnalyzeDailyBudget)) {
+        console.log('⏸️ Auto-analyze skipped: the daily budget was used up while waiting for playback');
+        return;
+      }
+      console.log(`🤖 Auto-analyzing video ${videoId} (estimated $${estimatedCost.toFixed(4)})`);
+      
+      await handleAnalyzeVideo(response => {
+        if (response && !response.success && !response.cancelled) {
+          console.warn('⚠️ Auto-analysis failed:', response.error);
+        }
+      });
+    } catch (error) {
+      console.error('❌ Error during auto-analysis check:', error);
+    }
+  }
+  
+  async function getAutoAnalyzeVideoDetails(videoId) {
+    let details = {};
+    if (captionTrackService) {
+      try {
+        details = (await captionTrackService.getPlayerResponse(videoId))?.videoDetails || {};
+      } catch (error) {
+        console.warn('⚠️ Could not load video details for auto-analyze:', error.message);
+      }
+    }
+    
+    return {
+      lengthSeconds: Number(details.lengthSeconds) || (videoPlayer && Number.isFinite(videoPlayer.duration) ? videoPlayer.duration : 0),
+      channelName: details.author || document.querySelector('#channel-name a, .ytd-channel-name a, ytd-channel-name a')?.textContent?.trim() || '',
+      channelId: details.channelId || '',
+      isLive: details.isLive === true
+    };
+  }
+  
+  function getAutoAnalyzeSkipReason(settings, videoDetails) {
+    const channelKeys = [videoDetails.channelName, videoDetails.channelId]
+      .filter(Boolean)
+      .map(key => key.toLowerCase());
+    const listed = list => list.some(entry => channelKeys.includes(entry.toLowerCase()));
+    
+    if (listed(settings.autoAnalyzeBlockedChannels)) {
+      return `channel "${videoDetails.channelName}" is on the deny list`;
+    }
+    if (settings.autoAnalyzeAllowedChannels.length > 0 && !listed(settings.autoAnalyzeAllowedChannels)) {
+      return `channel "${videoDetails.channelName || 'unknown'}" is not on the allow list`;
+    }
+    if (videoDetails.isLive || !videoDetails.lengthSeconds) {
+      return 'video length unknown';
+    }
+    
+    const minutes = videoDetails.lengthSeconds / 60;
+    if (minutes < settings.autoAnalyzeMinMinutes) {
+      return `video is shorter than ${settings.autoAnalyzeMinMinutes} minutes`;
+    }
+    if (minutes > settings.autoAnalyzeMaxMinutes) {
+      return `video is longer than ${settings.autoAnalyzeMaxMinutes} minutes`;
+    }
+    return null;
+  }
+  
+  // Resolves true once the video plays, false if another video is opened first
+  function waitForPlayback(videoId) {
+    const player = videoPlayer || document.querySelector('video');
+    if (player && !player.paused && !player.ended) {
+      return Promise.resolve(true);
+    }
+    if (!player) {
+      return Promise.resolve(false);
+    }
+    
+    return new Promise(resolve => {
+      const onPlaying = () => {
+        cancelPendingAutoAnalyze = null;
+        player.removeEventListener('playing', onPlaying);
+        resolve(videoId === currentVideoId);
+      };
+      
+      player.addEventListener('playing', onPlaying);
+      cancelPendingAutoAnalyze = () => {
+        player.removeEventListener('playing', onPlaying);
+        resolve(false);
+      };
+    });
+  }
+  
+  // Spend is tracked per calendar day in local time: { date: 'YYYY-MM-DD', spent }
+  function getTodayKey() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+  
+  async function getAutoAnalyzeSpentToday() {
+    if (!checkExtensionContext()) return 0;
+    
+    const result = await new Promise(resolve => chrome.storage.local.get(['autoAnalyzeSpend'], resolve));
+    const record = result.autoAnalyzeSpend;
+    return record && record.date === getTodayKey() ? Number(record.spent) || 0 : 0;
+  }
+  
+  // Re-checks the budget and charges the amount in one serialized step, so two analyses started
+  // together in this tab cannot both read the old total. Resolves false when the amount no longer fits.
+  function addAutoAnalyzeSpend(amount, dailyBudget) {
+    return window.RateLimiter.serialize('autoAnalyzeSpend', async () => {
+      if (!checkExtensionContext()) return false;
+      
+      const spent = await getAutoAnalyzeSpentToday() + amount;
+      if (spent > dailyBudget) return false;
+      
+      await new Promise(resolve => chrome.storage.local.set({
+        autoAnalyzeSpend: { date: getTodayKey(), spent: Math.round(spent * 10000) / 10000 }
+      }, resolve));
+      return true;
+    });
+  }
+  
   function setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       console.log('📨 Content script received message:', message.type);
@@ -182,9 +477,24 @@
         } else if (message.type === 'analyzeVideo') {
           handleAnalyzeVideo(sendResponse);
           return true; // Keep message channel open
+        } else if (message.type === 'cancelAnalysis') {
+          sendResponse({ success: true, cancelled: cancelAnalysis('user') });
+        } else if (message.type === 'getPlaylistVideos') {
+          sendResponse({ success: true, videos: getPlaylistVideos() });
+        } else if (message.type === 'analyzeQueuedVideo') {
+          // Runs detached - the result is reported to the background queue when it finishes
+          runQueuedAnalysis(message.video);
+          sendResponse({ success: true, started: true });
+        } else if (message.type === 'cancelQueuedAnalysis') {
+          const controller = queuedAnalyses.get(message.videoId);
+          if (controller) {
+            controller.abort(new DOMException('Removed from the queue', 'AbortError'));
+          }
+          sendResponse({ success: true, cancelled: Boolean(controller) });
         } else if (message.type === 'skipLiesToggle') {
           skipLiesEnabled = message.enabled;
           console.log('⏭️ Skip lies toggled:', skipLiesEnabled);
+          updatePlayerLies();
           sendResponse({ success: true });
         } else if (message.type === 'jumpToTimestamp') {
           jumpToTimestamp(message.timestamp);
@@ -211,8 +521,12 @@
       return;
     }
     
+    const analysis = { videoId: videoId, controller: new AbortController(), reason: null, partialLies: [] };
+    const signal = analysis.controller.signal;
+    
     try {
       isAnalyzing = true;
+      currentAnalysis = analysis;
       
       // Check extension context before starting
       if (!checkExtensionContext()) {
@@ -240,12 +554,12 @@
       });
       
       const settings = await getSettings();
-      if (!settings.apiKey || settings.apiKey.trim() === '') {
+      if (ApiKeyVault.requiresKey(settings.aiProvider) && (!settings.apiKey || settings.apiKey.trim() === '')) {
         throw new Error('AI API key not configured. Please add your API key in the extension settings.');
       }
       
-      // Validate API key format
-      if (!validateApiKeyFormat(settings.aiProvider, settings.apiKey)) {
+      // Validate API key format (self-hosted endpoints may run without one)
+      if (settings.apiKey && !ApiKeyVault.isValidFormat(settings.aiProvider, settings.apiKey)) {
         throw new Error(`Invalid ${settings.aiProvider} API key format. Please check your API key in settings.`);
       }
       
@@ -257,6 +571,8 @@
         console.log('📋 Using cached analysis results');
         
         currentLies = cachedResults.lies || [];
+        updatePlayerLies();
+        showTranscriptPanel(await loadCachedTranscript(videoId));
         
         await safeSendMessage({
           type: 'liesUpdate',
@@ -270,7 +586,6 @@
           data: `Analysis loaded from cache. Found ${currentLies.length} lies.`
         });
         
-        isAnalyzing = false;
         sendResponse({ success: true, cached: true });
         return;
       }
@@ -282,12 +597,12 @@
         message: 'Extracting video transcript...'
       });
       
-      const transcript = await extractTranscript();
+      const transcript = await extractTranscript(settings, signal);
       if (!transcript) {
         throw new Error('Transcript extraction failed: All transcript extraction methods failed');
       }
       
-      console.log('📝 Transcript extracted successfully, length:', transcript.length);
+      console.log(`📝 Transcript extracted successfully: ${transcript.segments.length} segments (${transcript.source}, ${transcript.language || 'unknown language'})`);
       
       // Get video metadata
       const videoData = await getVideoMetadata();
@@ -299,13 +614,16 @@
         message: 'Analyzing transcript for lies...'
       });
       
-      const analysisResults = await analyzeTranscriptWithAI(transcript, videoData);
+      const analysisResults = await analyzeTranscriptWithAI(transcript, videoData, signal, publishPartialLies);
+      signal.throwIfAborted();
       
       // Store results
       await storeAnalysisResults(videoId, videoData, analysisResults);
       
       // Update current lies
       currentLies = analysisResults.lies || [];
+      updatePlayerLies();
+      showTranscriptPanel(analysisResults.transcript);
       
       // Send final results
       await safeSendMessage({
@@ -320,10 +638,15 @@
         data: `Analysis complete. Found ${currentLies.length} lies.`
       });
       
-      isAnalyzing = false;
       sendResponse({ success: true, lies: currentLies });
       
     } catch (error) {
+      if (signal.aborted) {
+        await finishCancelledAnalysis(analysis);
+        sendResponse({ success: false, cancelled: true, reason: analysis.reason });
+        return;
+      }
+      
       console.error('❌ Analysis failed:', error);
       
       await safeSendMessage({
@@ -331,34 +654,182 @@
         data: `Error: ${error.message}`
       });
       
-      isAnalyzing = false;
       sendResponse({ success: false, error: error.message });
+    } finally {
+      isAnalyzing = false;
+      currentAnalysis = null;
     }
   }
   
-  function validateApiKeyFormat(provider, apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') return false;
+  // Analyze a video from the playlist queue without touching the video being watched. Only caption
+  // tracks work here - the transcript panel and audio fallbacks need the video open in the player.
+  async function runQueuedAnalysis(video) {
+    const videoId = video && video.videoId;
+    if (!videoId || queuedAnalyses.has(videoId)) return;
     
-    switch (provider) {
-      case 'openai':
-        return apiKey.startsWith('sk-') && apiKey.length > 20;
-      case 'gemini':
-        return apiKey.length > 20; // Basic length check for Gemini
-      case 'openrouter':
-        return apiKey.startsWith('sk-or-') && apiKey.length > 20;
-      default:
-        return false;
+    const controller = new AbortController();
+    const signal = controller.signal;
+    queuedAnalyses.set(videoId, controller);
+    console.log('📥 Starting queued analysis:', videoId);
+    
+    let result;
+    try {
+      const settings = await getSettings();
+      if (ApiKeyVault.requiresKey(settings.aiProvider) && !settings.apiKey) {
+        throw new Error('AI API key not configured');
+      }
+      
+      const cachedResults = await checkCachedResults(videoId);
+      if (cachedResults) {
+        result = { success: true, cached: true, totalLies: (cachedResults.lies || []).length };
+      } else {
+        const transcript = await extractTranscriptFromCaptionTracks({
+          videoId: videoId,
+          preferredLanguage: settings.captionLanguage,
+          foreignMode: settings.foreignTranscriptMode,
+          signal: signal
+        });
+        if (!isUsableTranscript(transcript)) {
+          throw new Error('Captions are too short to analyze');
+        }
+        
+        const videoData = {
+          videoId: videoId,
+          title: video.title || 'Unknown Title',
+          channelName: video.channelName || 'Unknown Channel'
+        };
+        // No partial results: a queued job for the video being watched must not replace its lies
+        // or the skip schedule, which belong to the foreground analysis
+        const analysisResults = await analyzeTranscriptWithAI(transcript, videoData, signal);
+        signal.throwIfAborted();
+        
+        // Cached before the video is watched; opening it later loads these results
+        await storeAnalysisResults(videoId, videoData, analysisResults);
+        result = { success: true, cached: false, totalLies: analysisResults.totalLies };
+      }
+    } catch (error) {
+      if (signal.aborted) {
+        result = { success: false, cancelled: true };
+      } else {
+        console.error('❌ Queued analysis failed:', videoId, error);
+        result = { success: false, error: error.message };
+      }
+    } finally {
+      queuedAnalyses.delete(videoId);
+    }
+    
+    try {
+      await safeSendMessage({ type: 'queuedAnalysisResult', videoId: videoId, ...result });
+    } catch (error) {
+      console.warn('⚠️ Could not report queued analysis result:', error.message);
+    }
+  }
+  
+  function isQueuedAnalysisSignal(signal) {
+    return Boolean(signal) && Array.from(queuedAnalyses.values()).some(controller => controller.signal === signal);
+  }
+  
+  // Status-line progress for the popup. Queued analyses report through the queue instead, so
+  // their steps do not overwrite the progress of the video being watched.
+  async function sendAnalysisProgress(signal, progress) {
+    if (isQueuedAnalysisSignal(signal)) {
+      return null;
+    }
+    
+    return safeSendMessage({ type: 'analysisProgress', ...progress });
+  }
+  
+  // Videos listed on a playlist or Watch Later page, or in the playlist panel next to a video.
+  // YouTube renders long playlists lazily, so only the entries loaded so far are found.
+  function getPlaylistVideos() {
+    const entries = document.querySelectorAll('ytd-playlist-video-renderer, ytd-playlist-panel-video-renderer');
+    const videos = [];
+    
+    entries.forEach(entry => {
+      const link = entry.querySelector('a#video-title, a#wc-endpoint');
+      const videoId = link ? new URL(link.href, location.origin).searchParams.get('v') : null;
+      if (!videoId || videos.some(video => video.videoId === videoId)) return;
+      
+      videos.push({
+        videoId: videoId,
+        title: (entry.querySelector('#video-title')?.textContent || '').trim(),
+        channelName: ((entry.querySelector('ytd-channel-name a') || entry.querySelector('#byline'))?.textContent || '').trim()
+      });
+    });
+    
+    return videos;
+  }
+  
+  // Stop the running analysis: in-flight AI requests, retries and transcript waits end right away.
+  // reason is 'user' (Cancel button) or 'video-change'. Returns whether anything was running.
+  function cancelAnalysis(reason) {
+    if (!currentAnalysis || currentAnalysis.controller.signal.aborted) {
+      return false;
+    }
+    
+    console.log(`🛑 Cancelling analysis of ${currentAnalysis.videoId} (${reason})`);
+    currentAnalysis.reason = reason;
+    currentAnalysis.controller.abort();
+    return true;
+  }
+  
+  // Claims found before the cancel are never cached; the keepPartialResults setting decides
+  // whether they stay on the video or are discarded
+  async function finishCancelledAnalysis(analysis) {
+    try {
+      const settings = await getSettings();
+      const keptLies = settings.keepPartialResults ? analysis.partialLies : [];
+      console.log(`🛑 Analysis cancelled, ${settings.keepPartialResults ? 'keeping' : 'discarding'} ${analysis.partialLies.length} partial result(s)`);
+      
+      if (analysis.videoId === currentVideoId) {
+        currentLies = keptLies;
+        refreshLiesDisplay();
+      }
+      
+      await safeSendMessage({
+        type: 'liesUpdate',
+        claims: keptLies,
+        videoId: analysis.videoId,
+        isComplete: true
+      });
+      
+      await safeSendMessage({
+        type: 'analysisCancelled',
+        videoId: analysis.videoId,
+        reason: analysis.reason,
+        keptClaims: keptLies.length
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not report cancelled analysis:', error.message);
     }
   }
   
-  async function extractTranscript() {
+  // Each method swallows its own errors, so the signal is checked again before the next one
+  async function extractTranscript(settings = {}, signal = null) {
     console.log('📝 Starting transcript extraction...');
     
-    // Method 1: Try auto-generated transcript first (highest priority)
+    // Method 0: Read caption tracks from the player response (no DOM interaction)
+    try {
+      console.log('🎞️ Attempting caption track extraction...');
+      const captionTranscript = await extractTranscriptFromCaptionTracks({
+        preferredLanguage: settings.captionLanguage,
+        foreignMode: settings.foreignTranscriptMode,
+        signal: signal
+      });
+      if (isUsableTranscript(captionTranscript)) {
+        console.log('✅ Caption track transcript extracted successfully');
+        return captionTranscript;
+      }
+    } catch (error) {
+      console.log('⚠️ Caption track extraction failed:', error.message);
+    }
+    
+    // Method 1: Try auto-generated transcript panel (DOM fallback)
+    signal?.throwIfAborted();
     try {
       console.log('🤖 Attempting auto-generated transcript extraction...');
-      const autoTranscript = await extractAutoGeneratedTranscript();
-      if (autoTranscript && autoTranscript.length > 100) {
+      const autoTranscript = await untilCancelled(extractAutoGeneratedTranscript(), signal);
+      if (isUsableTranscript(autoTranscript)) {
         console.log('✅ Auto-generated transcript extracted successfully');
         return autoTranscript;
       }
@@ -367,10 +838,11 @@
     }
     
     // Method 2: Try manual transcript extraction
+    signal?.throwIfAborted();
     try {
       console.log('📋 Attempting manual transcript extraction...');
-      const manualTranscript = await extractManualTranscript();
-      if (manualTranscript && manualTranscript.length > 100) {
+      const manualTranscript = await untilCancelled(extractManualTranscript(), signal);
+      if (isUsableTranscript(manualTranscript)) {
         console.log('✅ Manual transcript extracted successfully');
         return manualTranscript;
       }
@@ -379,10 +851,11 @@
     }
     
     // Method 3: Try DOM-based extraction
+    signal?.throwIfAborted();
     try {
       console.log('🔍 Attempting DOM-based transcript extraction...');
-      const domTranscript = await extractTranscriptFromDOM();
-      if (domTranscript && domTranscript.length > 100) {
+      const domTranscript = await untilCancelled(extractTranscriptFromDOM(), signal);
+      if (isUsableTranscript(domTranscript)) {
         console.log('✅ DOM-based transcript extracted successfully');
         return domTranscript;
       }
@@ -390,9 +863,170 @@
       console.log('⚠️ DOM-based transcript extraction failed:', error.message);
     }
     
+    // Method 4: Transcribe the video's audio locally (opt-in, slow - plays the video once)
+    signal?.throwIfAborted();
+    if (settings.speechToTextFallback) {
+      try {
+        console.log('🎙️ Attempting local speech-to-text transcription...');
+        const speechTranscript = await extractTranscriptFromAudio(settings, signal);
+        if (isUsableTranscript(speechTranscript)) {
+          console.log('✅ Speech-to-text transcript extracted successfully');
+          return speechTranscript;
+        }
+      } catch (error) {
+        console.log('⚠️ Speech-to-text transcription failed:', error.message);
+      }
+    }
+    
+    signal?.throwIfAborted();
     throw new Error('All transcript extraction methods failed');
   }
   
+  // Settle with the signal's AbortError as soon as it aborts, for waits that cannot be aborted
+  // themselves (transcript panel polling, runtime messages)
+  function untilCancelled(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+  
+  function isUsableTranscript(transcript) {
+    return Boolean(transcript) && transcript.text.length > 100;
+  }
+  
+  // languageOptions.videoId defaults to the video being watched
+  async function extractTranscriptFromCaptionTracks(languageOptions = {}) {
+    if (!captionTrackService) {
+      throw new Error('Caption track service not available');
+    }
+    
+    const videoId = languageOptions.videoId || extractVideoId();
+    if (!videoId) {
+      throw new Error('No video ID found');
+    }
+    
+    const { segments, track } = await captionTrackService.getTranscriptSegments(videoId, languageOptions);
+    
+    const transcript = Transcript.fromTimedSegments(segments, {
+      source: 'captions',
+      language: track.languageCode || null,
+      languageName: captionTrackService.getTrackName(track),
+      isAutoGenerated: track.kind === 'asr',
+      translatedFrom: track.translatedFrom || null
+    });
+    
+    console.log('✅ Caption track transcript extracted:', transcript.segments.length, 'segments,', transcript.text.length, 'characters');
+    return transcript;
+  }
+  
+  // Capture the player's audio in windows and transcribe each one in the offscreen document
+  async function extractTranscriptFromAudio(settings, signal = null) {
+    if (!audioCaptureService) {
+      throw new Error('Audio capture service not available');
+    }
+    
+    const video = document.querySelector('video');
+    if (!audioCaptureService.isSupported(video)) {
+      throw new Error('Audio capture is not supported for this video');
+    }
+    
+    const language = settings.captionLanguage && settings.captionLanguage !== 'auto' ? settings.captionLanguage : null;
+    const maxSeconds = (settings.analysisDuration || 20) * 60;
+    const segments = [];
+    let detectedLanguage = language;
+    let lastReportedMinute = -1;
+    
+    await safeSendMessage({
+      type: 'analysisProgress',
+      stage: 'speech-to-text',
+      message: 'No captions found - transcribing audio locally (the video will play while listening)...'
+    });
+    
+    const originalTime = video.currentTime;
+    const videoId = extractVideoId();
+    
+    try {
+      await audioCaptureService.capture(video, {
+        maxSeconds,
+        signal,
+        onProgress: (current, total) => {
+          const minute = Math.floor(current / 60);
+          if (minute === lastReportedMinute) return;
+          lastReportedMinute = minute;
+          
+          safeSendMessage({
+            type: 'analysisProgress',
+            stage: 'speech-to-text',
+            message: `Transcribing audio locally... ${Transcript.formatTimestamp(current)} / ${Transcript.formatTimestamp(total)}`
+          }).catch(() => {});
+        },
+        onWindow: async (samples, offset) => {
+          // The first window also downloads the model, so allow it much longer
+          const response = await untilCancelled(safeSendMessage({
+            type: 'transcribeAudio',
+            audio: audioCaptureService.encodePcm16(samples),
+            sampleRate: audioCaptureService.sampleRate,
+            offset,
+            language,
+            model: settings.speechToTextModel
+          }, segments.length === 0 ? 300000 : 120000), signal);
+          
+          if (!response || !response.success) {
+            throw new Error(response?.error || 'Speech-to-text worker did not respond');
+          }
+          
+          segments.push(...response.segments);
+          detectedLanguage = detectedLanguage || response.language || null;
+        }
+      });
+    } finally {
+      // After a cancel caused by navigation the player already shows the next video
+      if (extractVideoId() === videoId) {
+        video.pause();
+        video.currentTime = originalTime;
+      }
+    }
+    
+    const transcript = Transcript.fromTimedSegments(segments, {
+      source: 'speech-to-text',
+      language: detectedLanguage,
+      isAutoGenerated: true
+    });
+    
+    console.log('✅ Speech-to-text transcript extracted:', transcript.segments.length, 'segments,', transcript.text.length, 'characters');
+    return transcript;
+  }
+  
+  // Read "timestamp + text" transcript panel rows into timed segments
+  function readTranscriptSegmentElements(elements) {
+    return elements.map(segment => {
+      const timeElement = segment.querySelector('[data-start]') || 
+                        segment.querySelector('.ytd-transcript-segment-renderer:first-child');
+      const textElement = segment.querySelector('.segment-text, .ytd-transcript-segment-renderer:last-child') ||
+                        segment.querySelector('div:last-child');
+      
+      const timestamp = timeElement ? timeElement.textContent.trim() : '';
+      const text = textElement ? textElement.textContent.trim() : '';
+      
+      return {
+        start: Transcript.parseTimestamp(timestamp),
+        duration: 0,
+        text
+      };
+    }).filter(segment => segment.text.length > 0);
+  }
+  
   async function extractAutoGeneratedTranscript() {
     return new Promise((resolve, reject) => {
       const timeout = setTimeout(() => {
@@ -426,24 +1060,16 @@
               return;
             }
             
-            // Extract text with timestamps
-            const transcriptText = autoTranscriptSegments.map(segment => {
-              const timeElement = segment.querySelector('[data-start]') || 
-                                segment.querySelector('.ytd-transcript-segment-renderer:first-child');
-              const textElement = segment.querySelector('.segment-text, .ytd-transcript-segment-renderer:last-child') ||
-                                segment.querySelector('div:last-child');
-              
-              const timestamp = timeElement ? timeElement.textContent.trim() : '';
-              const text = textElement ? textElement.textContent.trim() : '';
-              
-              return timestamp && text ? `${timestamp} ${text}` : text;
-            }).filter(line => line.length > 0).join('\n');
+            const transcript = Transcript.fromTimedSegments(readTranscriptSegmentElements(autoTranscriptSegments), {
+              source: 'transcript-panel',
+              isAutoGenerated: true
+            });
             
             clearTimeout(timeout);
             
-            if (transcriptText.length > 100) {
-              console.log('✅ Auto-generated transcript extracted:', transcriptText.length, 'characters');
-              resolve(transcriptText);
+            if (transcript.text.length > 100) {
+              console.log('✅ Auto-generated transcript extracted:', transcript.segments.length, 'segments');
+              resolve(transcript);
             } else {
               reject(new Error('Auto-generated transcript too short'));
             }
@@ -521,24 +1147,16 @@
           return;
         }
         
-        // Extract text with timestamps
-        const transcriptText = manualSegments.map(segment => {
-          const timeElement = segment.querySelector('[data-start]') || 
-                            segment.querySelector('.ytd-transcript-segment-renderer:first-child');
-          const textElement = segment.querySelector('.segment-text, .ytd-transcript-segment-renderer:last-child') ||
-                            segment.querySelector('div:last-child');
-          
-          const timestamp = timeElement ? timeElement.textContent.trim() : '';
-          const text = textElement ? textElement.textContent.trim() : '';
-          
-          return timestamp && text ? `${timestamp} ${text}` : text;
-        }).filter(line => line.length > 0).join('\n');
+        const transcript = Transcript.fromTimedSegments(readTranscriptSegmentElements(manualSegments), {
+          source: 'transcript-panel',
+          isAutoGenerated: false
+        });
         
         clearTimeout(timeout);
         
-        if (transcriptText.length > 100) {
-          console.log('✅ Manual transcript extracted:', transcriptText.length, 'characters');
-          resolve(transcriptText);
+        if (transcript.text.length > 100) {
+          console.log('✅ Manual transcript extracted:', transcript.segments.length, 'segments');
+          resolve(transcript);
         } else {
           reject(new Error('Manual transcript too short'));
         }
@@ -601,24 +1219,15 @@
               return;
             }
             
-            // Extract text with timestamps
-            const transcriptText = transcriptSegments.map(segment => {
-              const timeElement = segment.querySelector('[data-start]') || 
-                                segment.querySelector('.ytd-transcript-segment-renderer:first-child');
-              const textElement = segment.querySelector('.segment-text, .ytd-transcript-segment-renderer:last-child') ||
-                                segment.querySelector('div:last-child');
-              
-              const timestamp = timeElement ? timeElement.textContent.trim() : '';
-              const text = textElement ? textElement.textContent.trim() : '';
-              
-              return timestamp && text ? `${timestamp} ${text}` : text;
-            }).filter(line => line.length > 0).join('\n');
+            const transcript = Transcript.fromTimedSegments(readTranscriptSegmentElements(transcriptSegments), {
+              source: 'transcript-panel'
+            });
             
             clearTimeout(timeout);
             
-            if (transcriptText.length > 100) {
-              console.log('✅ DOM transcript extracted:', transcriptText.length, 'characters');
-              resolve(transcriptText);
+            if (transcript.text.length > 100) {
+              console.log('✅ DOM transcript extracted:', transcript.segments.length, 'segments');
+              resolve(transcript);
             } else {
               reject(new Error('Transcript too short'));
             }
@@ -713,11 +1322,12 @@
     };
   }
   
-  async function analyzeTranscriptWithAI(transcript, videoData) {
+  // onPartialLies(videoId, lies) receives the claims found so far while the analysis runs
+  async function analyzeTranscriptWithAI(transcript, videoData, signal = null, onPartialLies = null) {
     // Get settings from secure storage
     const settings = await getSettings();
     
-    if (!settings.apiKey) {
+    if (ApiKeyVault.requiresKey(settings.aiProvider) && !settings.apiKey) {
       throw new Error('AI API key not configured');
     }
     
@@ -725,47 +1335,489 @@
     const minConfidenceThreshold = (settings.minConfidenceThreshold || 85) / 100; // Convert percentage to decimal
     
     // Build the system prompt
-    const systemPrompt = buildSystemPrompt(analysisDuration, minConfidenceThreshold);
+    const systemPrompt = buildSystemPrompt(analysisDuration, minConfidenceThreshold, transcript, settings.captionLanguage);
     
-    // Prepare the transcript for analysis (limit to analysis duration)
-    const limitedTranscript = limitTranscriptByDuration(transcript, analysisDuration);
+    // Prepare the transcript for analysis (cut on real segment timestamps)
+    const limitedTranscript = transcript.limitToDuration(analysisDuration);
     
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt
-      },
-      {
-        role: 'user',
-        content: `Analyze this ${analysisDuration}-minute YouTube transcript for false or misleading claims:\n\n${limitedTranscript}`
-      }
-    ];
+    // Map: analyze each window independently
+    const chunks = limitedTranscript.splitIntoWindows(ANALYSIS_CHUNK_SECONDS, ANALYSIS_CHUNK_OVERLAP_SECONDS);
+    console.log(`🧩 Analyzing transcript in ${chunks.length} chunk(s)`);
+    
+    // Consensus mode runs the same analysis on every configured model
+    let models = getAnalysisModels(settings);
+    const quorum = Math.min(settings.consensusQuorum || 2, models.length);
+    if (models.length > 1) {
+      console.log(`🤝 Consensus mode: ${models.map(getModelLabel).join(', ')} (quorum ${quorum})`);
+    }
+    
+    // Claims streamed from any chunk are published right away so auto-skip and the popup can use them;
+    // in consensus mode only once enough models have flagged them
+    const claimMatcher = new ClaimMatcher();
+    const streamedClaims = models.map(() => []);
+    const onClaim = onPartialLies ? (modelIndex, claim) => {
+      streamedClaims[modelIndex].push(claim);
+      const partialLies = combineModelClaims(claimMatcher, streamedClaims, models, quorum)
+        .filter(partial => (partial.confidence || 0) >= minConfidenceThreshold);
+      onPartialLies(videoData.videoId, partialLies);
+    } : () => {};
+    
+    const results = await Promise.allSettled(models.map((model, modelIndex) =>
+      runWithConcurrency(chunks, ANALYSIS_CHUNK_CONCURRENCY, (chunk, index) =>
+        analyzeTranscriptChunk(chunk, index, chunks.length, {
+          model,
+          systemPrompt,
+          analysisDuration,
+          modelLabel: models.length > 1 ? getModelLabel(model) : null,
+          onClaim: claim => onClaim(modelIndex, claim),
+          signal
+        })
+      )
+    ));
+    signal?.throwIfAborted();
     
-    // Make API call
-    const response = await makeAIAPICall(settings.aiProvider, settings.aiModel, messages, settings.apiKey);
+    // A failed model only sinks the analysis when too few are left to reach the quorum
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length > 0) {
+      const finished = results.length - failures.length;
+      if (finished === 0) {
+        throw failures[0].reason;
+      }
+      if (finished < quorum) {
+        throw new Error(`Consensus needs ${quorum} models but only ${finished} finished: ${failures[0].reason.message}`);
+      }
+      console.warn(`⚠️ ${failures.length} consensus model(s) failed, continuing with ${finished}:`, failures.map(failure => failure.reason.message));
+      models = models.filter((model, index) => results[index].status === 'fulfilled');
+    }
     
-    // Parse response
-    const analysisResult = parseAIResponse(response);
+    // Reduce: claims inside an overlap are reported by both neighbouring chunks
+    const modelClaims = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.flat());
+    let allClaims = combineModelClaims(claimMatcher, modelClaims, models, quorum);
+    
+    // Optional second pass: a critic model confirms, downgrades or rejects each candidate
+    if (settings.criticEnabled) {
+      allClaims = await verifyClaimsWithCritic(
+        allClaims.filter(claim => (claim.confidence || 0) >= minConfidenceThreshold),
+        limitedTranscript,
+        settings,
+        signal
+      );
+    }
     
     // Filter results by confidence threshold
-    const filteredLies = (analysisResult.claims || []).filter(claim => 
+    const filteredLies = allClaims.filter(claim => 
       (claim.confidence || 0) >= minConfidenceThreshold
     );
     
-    console.log(`🎯 Filtered lies by confidence threshold (${minConfidenceThreshold}): ${filteredLies.length}/${(analysisResult.claims || []).length}`);
+    console.log(`🎯 Filtered lies by confidence threshold (${minConfidenceThreshold}): ${filteredLies.length}/${allClaims.length}`);
     
     return {
       lies: filteredLies,
       totalLies: filteredLies.length,
-      analysisDuration: analysisDuration
+      analysisDuration: analysisDuration,
+      transcript: limitedTranscript
+    };
+  }
+  
+  async function analyzeTranscriptChunk(chunk, index, chunkCount, { model, systemPrompt, analysisDuration, modelLabel, onClaim, signal }) {
+    const range = `${Transcript.formatTimestamp(chunk.start)}–${Transcript.formatTimestamp(chunk.end)}`;
+    const progressPrefix = modelLabel ? `${modelLabel}: ` : '';
+    
+    if (chunkCount > 1 || modelLabel) {
+      await sendAnalysisProgress(signal, {
+        stage: 'analysis',
+        message: `${progressPrefix}Analyzing part ${index + 1} of ${chunkCount} (${range})...`,
+        chunkIndex: index,
+        chunkCount: chunkCount
+      });
+    }
+    
+    const request = chunkCount > 1
+      ? `Analyze part ${index + 1} of ${chunkCount} (${range}) of a ${analysisDuration}-minute YouTube transcript for false or misleading claims. Use the timestamps exactly as they appear below:`
+      : `Analyze this ${analysisDuration}-minute YouTube transcript for false or misleading claims:`;
+    
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: `${request}\n\n${chunk.transcript.toPromptText()}`
+      }
+    ];
+    
+    const streamOptions = {
+      responseSchema: claimSchema ? {
+        strict: claimSchema.toStrictJsonSchema(),
+        gemini: claimSchema.toGeminiSchema()
+      } : null,
+      onClaim: rawClaim => {
+        const validation = claimSchema ? claimSchema.validateClaim(rawClaim) : { valid: false };
+        const claim = validation.valid ? normalizeClaim(validation.claim, chunk.transcript) : null;
+        if (claim && onClaim) {
+          onClaim(claim);
+        }
+      },
+      signal: signal
+    };
+    
+    // Make API call, streaming claims as the model completes them
+    let response = await callModel(model, messages, streamOptions);
+    
+    // Parse response and align claims with this chunk's segments
+    let analysisResult;
+    try {
+      analysisResult = parseAIResponse(response, chunk.transcript);
+    } catch (parseError) {
+      // Repair failed - show the model its reply and the problem, and ask once more
+      console.warn(`⚠️ Unusable AI response for chunk ${index + 1}/${chunkCount}, retrying with a correction prompt:`, parseError.message);
+      
+      const correctionMessages = [
+        ...messages,
+        {
+          role: 'assistant',
+          content: APIService.getResponseText(response) || '(empty response)'
+        },
+        {
+          role: 'user',
+          content: `Your previous reply could not be used: ${parseError.message}. Reply again with only the JSON object in the required RESPONSE FORMAT - every claim needs timestamp, timeInSeconds, duration, claim, explanation, confidence (0.0-1.0), severity (low, medium, high or critical), category (${ClaimCategories.ids.join(', ')}), plus evidence (correctFact, whatWasSaid, whatIsTrue, references) where you have it. If there are no false claims, reply with {"claims": []}.`
+        }
+      ];
+      
+      response = await callModel(model, correctionMessages, streamOptions);
+      
+      try {
+        analysisResult = parseAIResponse(response, chunk.transcript);
+      } catch (retryError) {
+        const part = chunkCount > 1 ? ` for part ${index + 1} of ${chunkCount}` : '';
+        const source = modelLabel ? ` from ${modelLabel}` : '';
+        throw new Error(`Could not read the AI response${source}${part}: ${retryError.message}`);
+      }
+    }
+    
+    const claims = analysisResult.claims;
+    
+    if (chunkCount > 1 || modelLabel) {
+      console.log(`✅ ${progressPrefix}Chunk ${index + 1}/${chunkCount} (${range}): ${claims.length} claims`);
+      await sendAnalysisProgress(signal, {
+        stage: 'analysis',
+        message: `${progressPrefix}Finished part ${index + 1} of ${chunkCount} (${range}): ${claims.length} claim(s)`,
+        chunkIndex: index,
+        chunkCount: chunkCount
+      });
+    }
+    
+    return claims;
+  }
+  
+  // The main model (with its fallback), plus the extra consensus models that have an API key
+  function getAnalysisModels(settings) {
+    const models = [{
+      provider: settings.aiProvider,
+      model: settings.aiModel,
+      apiKey: settings.apiKey,
+      fallback: getFallbackModel(settings)
+    }];
+    
+    if (!settings.consensusEnabled) {
+      return models;
+    }
+    
+    settings.consensusModels.forEach(({ provider, model }) => {
+      if (models.some(existing => existing.provider === provider && existing.model === model)) {
+        return;
+      }
+      
+      const apiKey = resolveApiKey(settings, provider);
+      if (!apiKey && ApiKeyVault.requiresKey(provider)) {
+        console.warn(`⚠️ Leaving ${provider}/${model} out of the consensus: no API key for ${provider}`);
+        return;
+      }
+      
+      models.push({ provider, model, apiKey });
+    });
+    
+    return models;
+  }
+  
+  function getFallbackModel(settings) {
+    if (!settings.fallbackProvider) {
+      return null;
+    }
+    
+    const apiKey = resolveApiKey(settings, settings.fallbackProvider);
+    if (!apiKey && ApiKeyVault.requiresKey(settings.fallbackProvider)) {
+      console.warn(`⚠️ Fallback provider ${settings.fallbackProvider} has no API key - analysis will not fall back`);
+      return null;
+    }
+    
+    return { provider: settings.fallbackProvider, model: settings.fallbackModel, apiKey: apiKey };
+  }
+  
+  // Call a model and record in the key vault whether its key worked. When the provider still fails
+  // after its retries, a model with a fallback retries once on the fallback provider with that provider's key.
+  async function callModel(model, messages, options = {}) {
+    if (!apiService) {
+      throw new Error('AI provider service not available - please refresh the page');
+    }
+    
+    try {
+      const response = await apiService.makeAPICallWithRetry(model.provider, model.model, messages, model.apiKey, {
+        ...options,
+        onRetry: ({ attempt, maxRetries, delayMs, error }) => {
+          sendAnalysisProgress(options.signal, {
+            stage: 'analysis',
+            message: `${APIService.getProviderLabel(model.provider)} ${error.status ? `error ${error.status}` : error.code} - retrying in ${Math.ceil(delayMs / 1000)}s (${attempt}/${maxRetries})...`
+          }).catch(() => {});
+        }
+      });
+      recordKeyResult(model.provider, null);
+      return response;
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      
+      recordKeyResult(model.provider, error);
+      
+      if (!model.fallback) {
+        throw error;
+      }
+      
+      console.warn(`⚠️ ${getModelLabel(model)} failed, retrying with fallback ${getModelLabel(model.fallback)}:`, error.message);
+      await sendAnalysisProgress(options.signal, {
+        stage: 'analysis',
+        message: `${model.provider} failed - retrying with ${model.fallback.provider}...`
+      });
+      return callModel(model.fallback, messages, options);
+    }
+  }
+  
+  function recordKeyResult(provider, error) {
+    if (!apiKeyVault) return;
+    
+    let update = null;
+    if (!error) {
+      update = apiKeyVault.markUsed(provider);
+    } else if (error.status === 401 || error.status === 403) {
+      update = apiKeyVault.markInvalid(provider, error.message);
+    }
+    
+    if (update) {
+      update.catch(vaultError => console.warn('⚠️ Could not update API key status:', vaultError.message));
+    }
+  }
+  
+  function getModelLabel(model) {
+    return `${model.provider}/${model.model}`;
+  }
+  
+  // One model: its claims without chunk-overlap duplicates. Several models: the claims at least
+  // `quorum` of them flagged, with the average confidence and which models agreed.
+  function combineModelClaims(claimMatcher, modelClaims, models, quorum) {
+    if (modelClaims.length === 1) {
+      return claimMatcher.merge(modelClaims);
+    }
+    
+    const mergedClaims = modelClaims.map(claims => claimMatcher.merge([claims]));
+    
+    return claimMatcher.consensus(mergedClaims, quorum).map(({ claim, sources, confidence }) => ({
+      ...claim,
+      confidence: Math.round(confidence * 100) / 100,
+      consensus_models: models.map((model, index) => ({
+        provider: model.provider,
+        model: model.model,
+        agreed: sources.includes(index)
+      }))
+    }));
+  }
+  
+  // Ask the critic model about each claim; rejected claims are dropped and the final confidence
+  // combines both passes. A claim the critic could not review keeps its detector result.
+  async function verifyClaimsWithCritic(claims, transcript, settings, signal = null) {
+    if (claims.length === 0) {
+      return claims;
+    }
+    
+    const criticApiKey = resolveApiKey(settings, settings.criticProvider);
+    if (!criticApiKey && ApiKeyVault.requiresKey(settings.criticProvider)) {
+      console.warn(`⚠️ Skipping second-pass verification: no API key for ${settings.criticProvider}`);
+      await sendAnalysisProgress(signal, {
+        stage: 'verification',
+        message: `Second-pass verification skipped - no API key for ${settings.criticProvider}`
+      });
+      return claims;
+    }
+    
+    console.log(`🔎 Verifying ${claims.length} claim(s) with ${settings.criticProvider}/${settings.criticModel}`);
+    let reviewed = 0;
+    
+    const verifiedClaims = await runWithConcurrency(claims, CRITIC_CONCURRENCY, async (claim) => {
+      let verdict = null;
+      try {
+        verdict = await requestCriticVerdict(claim, transcript, settings, criticApiKey, signal);
+      } catch (error) {
+        signal?.throwIfAborted();
+        console.warn('⚠️ Critic could not review claim, keeping detector result:', claim.claim_text, error.message);
+      }
+      
+      reviewed++;
+      await sendAnalysisProgress(signal, {
+        stage: 'verification',
+        message: `Verifying claims with a second model (${reviewed}/${claims.length})...`,
+        chunkIndex: reviewed - 1,
+        chunkCount: claims.length
+      });
+      
+      return verdict ? applyCriticVerdict(claim, verdict, settings) : claim;
+    });
+    
+    const keptClaims = verifiedClaims.filter(claim => claim.critic_verdict !== 'rejected');
+    console.log(`✅ Second pass kept ${keptClaims.length}/${claims.length} claims`);
+    
+    return keptClaims;
+  }
+  
+  async function requestCriticVerdict(claim, transcript, settings, apiKey, signal = null) {
+    const start = claim.timestamp_seconds || 0;
+    const end = start + (claim.duration_seconds || 10);
+    const context = transcript.slice(start - CRITIC_CONTEXT_SECONDS, end + CRITIC_CONTEXT_SECONDS);
+    
+    const messages = [
+      {
+        role: 'system',
+        content: buildCriticPrompt()
+      },
+      {
+        role: 'user',
+        content: `CLAIM (at ${Transcript.formatTimestamp(start)}): ${claim.claim_text}
+FIRST REVIEWER'S EXPLANATION: ${claim.explanation || '(none)'}
+FIRST REVIEWER'S SEVERITY: ${claim.severity || 'medium'}
+${claim.correct_fact ? `FIRST REVIEWER'S CORRECT FACT: ${claim.correct_fact}\n` : ''}
+TRANSCRIPT AROUND THE CLAIM:
+${context.isEmpty() ? '(not available)' : context.toPromptText()}`
+      }
+    ];
+    
+    const critic = { provider: settings.criticProvider, model: settings.criticModel, apiKey: apiKey };
+    const response = await callModel(critic, messages, {
+      responseSchema: {
+        name: 'claim_verdict',
+        strict: claimSchema.toStrictJsonSchema(claimSchema.verdictSchema),
+        gemini: claimSchema.toGeminiSchema(claimSchema.verdictSchema)
+      },
+      signal: signal
+    });
+    
+    return claimSchema.parseVerdict(APIService.getResponseText(response));
+  }
+  
+  function buildCriticPrompt() {
+    return `You are a second, independent fact-checker. Another model flagged a statement from a YouTube video as false or misleading. Review the flag using the transcript around it.
+
+VERDICTS:
+- "confirmed": The statement is a factual claim and it is clearly false or misleading in context
+- "downgraded": The statement is problematic, but less certain or less severe than the first reviewer said
+- "rejected": The statement is accurate, an opinion, a joke, a quote the speaker disputes, or taken out of context
+
+RESPONSE FORMAT:
+{
+  "verdict": "confirmed", "downgraded" or "rejected",
+  "confidence": Your confidence (0.0-1.0) that the statement is false or misleading,
+  "severity": "low", "medium", "high" or "critical" - your own assessment,
+  "reason": One sentence explaining your verdict
+}
+
+IMPORTANT: Only return the JSON object. Do not include any other text.`;
+  }
+  
+  function applyCriticVerdict(claim, verdict, settings) {
+    const detectorConfidence = claim.confidence || 0;
+    const severityOrder = ['low', 'medium', 'high', 'critical'];
+    
+    // A downgrade can only lower the severity, never raise it
+    let severity = claim.severity;
+    if (verdict.verdict === 'downgraded') {
+      const current = severityOrder.indexOf(claim.severity);
+      const proposed = severityOrder.indexOf(verdict.severity);
+      severity = proposed !== -1 && (current === -1 || proposed < current)
+        ? verdict.severity
+        : severityOrder[Math.max(0, current - 1)];
+    }
+    
+    return {
+      ...claim,
+      severity: severity,
+      // Geometric mean: either model doubting the claim pulls the result down sharply
+      confidence: Math.round(Math.sqrt(detectorConfidence * verdict.confidence) * 100) / 100,
+      detector_confidence: detectorConfidence,
+      critic_verdict: verdict.verdict,
+      critic_confidence: verdict.confidence,
+      critic_reason: verdict.reason,
+      critic_model: `${settings.criticProvider}/${settings.criticModel}`
+    };
+  }
+  
+  // Each provider uses its own key from the vault
+  function resolveApiKey(settings, provider) {
+    return settings.apiKeys[provider] || '';
+  }
+  
+  // Share claims found so far while the analysis is still running
+  function publishPartialLies(videoId, lies) {
+    if (currentAnalysis && currentAnalysis.videoId === videoId) {
+      currentAnalysis.partialLies = lies;
+    }
+    
+    if (videoId !== currentVideoId) return;
+    
+    currentLies = lies;
+    refreshLiesDisplay();
+    
+    safeSendMessage({
+      type: 'liesUpdate',
+      claims: currentLies,
+      videoId: videoId,
+      isComplete: false
+    }).catch(error => {
+      console.warn('⚠️ Could not send partial lies update:', error.message);
+    });
+  }
+  
+  // Show currentLies in the transcript panel and on the player, and re-arm auto-skip for them
+  function refreshLiesDisplay() {
+    if (transcriptPanel && currentTranscript) {
+      transcriptPanel.setLies(currentLies);
+    }
+    
+    updatePlayerLies();
+  }
+  
+  // Run worker over items with at most `limit` in flight; results keep the input order
+  async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    const runNext = async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
     };
+    
+    const runners = Array.from({ length: Math.min(limit, items.length) }, runNext);
+    await Promise.all(runners);
+    return results;
   }
   
-  function buildSystemPrompt(analysisDuration, minConfidenceThreshold) {
+  function buildSystemPrompt(analysisDuration, minConfidenceThreshold, transcript = null, preferredLanguage = 'auto') {
     const confidencePercentage = Math.round(minConfidenceThreshold * 100);
     
     return `You are a fact-checking expert. Analyze this ${analysisDuration}-minute YouTube transcript and identify false or misleading claims.
-
+${buildLanguageInstructions(transcript, preferredLanguage)}
 DETECTION CRITERIA:
 - Only flag factual claims, not opinions or predictions
 - Require very high confidence (${confidencePercentage}%+) before flagging
@@ -783,6 +1835,13 @@ Respond with a JSON object containing an array of claims. Each claim should have
 - "explanation": Why this claim is problematic (1-2 sentences)
 - "confidence": Your confidence level (0.0-1.0, minimum ${minConfidenceThreshold})
 - "severity": "low", "medium", "high", or "critical"
+- "category": The topic of the claim, exactly one of:
+${ClaimCategories.toPromptList()}
+- "evidence": What a viewer can check, with:
+  - "correctFact": The accurate fact in one sentence
+  - "whatWasSaid": What the speaker actually said (short quote or close paraphrase)
+  - "whatIsTrue": What is actually true, phrased as a direct counterpart to whatWasSaid
+  - "references": Up to 3 reputable sources as { "title", "url" } - only URLs you are confident exist; use [] if unsure
 
 Example response:
 {
@@ -794,7 +1853,16 @@ Example response:
       "claim": "Vaccines contain microchips",
       "explanation": "This is a debunked conspiracy theory with no scientific evidence.",
       "confidence": 0.95,
-      "severity": "critical"
+      "severity": "critical",
+      "category": "health",
+      "evidence": {
+        "correctFact": "Vaccines contain antigens, preservatives and stabilizers, but no electronic components.",
+        "whatWasSaid": "Vaccines contain microchips",
+        "whatIsTrue": "Vaccine ingredients are published and contain no microchips or tracking devices",
+        "references": [
+          { "title": "CDC: Ingredients of Vaccines", "url": "https://www.cdc.gov/vaccines/vac-gen/additives.htm" }
+        ]
+      }
     }
   ]
 }
@@ -802,135 +1870,100 @@ Example response:
 IMPORTANT: Only return the JSON object. Do not include any other text.`;
   }
   
-  function limitTranscriptByDuration(transcript, durationMinutes) {
-    // Simple approach: estimate based on average speaking rate
-    // Average speaking rate is about 150-160 words per minute
-    const wordsPerMinute = 155;
-    const targetWords = durationMinutes * wordsPerMinute;
+  function buildLanguageInstructions(transcript, preferredLanguage) {
+    if (!transcript || !transcript.language) {
+      return '';
+    }
     
-    const words = transcript.split(/\s+/);
-    if (words.length <= targetWords) {
-      return transcript;
+    const transcriptLanguage = getLanguageName(transcript.language, transcript.languageName);
+    const explanationLanguage = preferredLanguage && preferredLanguage !== 'auto'
+      ? getLanguageName(preferredLanguage)
+      : 'English';
+    
+    let instructions = `
+LANGUAGE:
+- The transcript is in ${transcriptLanguage}
+- Quote each claim exactly as it appears in the transcript, in ${transcriptLanguage}
+- Write every explanation in ${explanationLanguage}`;
+    
+    if (transcript.translatedFrom) {
+      instructions += `
+- The transcript is a machine translation from ${getLanguageName(transcript.translatedFrom)}
+- Do not flag statements whose problem could be a translation artifact`;
     }
     
-    return words.slice(0, targetWords).join(' ') + '...';
+    return instructions + '\n';
   }
   
-  async function makeAIAPICall(provider, model, messages, apiKey) {
-    let apiUrl;
-    let headers;
-    let body;
+  function getLanguageName(languageCode, fallbackName = null) {
+    const names = {
+      en: 'English',
+      de: 'German',
+      es: 'Spanish',
+      fr: 'French'
+    };
     
-    if (provider === 'openai') {
-      apiUrl = 'https://api.openai.com/v1/chat/completions';
-      headers = {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      };
-      body = {
-        model: model,
-        messages: messages,
-        temperature: 0.3,
-        max_tokens: 4000
-      };
-    } else if (provider === 'gemini') {
-      apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-      headers = {
-        'Content-Type': 'application/json'
-      };
-      body = {
-        contents: messages.slice(1).map(msg => ({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: msg.content }]
-        })),
-        generationConfig: {
-          temperature: 0.3,
-          maxOutputTokens: 4000
-        }
-      };
-    } else if (provider === 'openrouter') {
-      apiUrl = 'https://openrouter.ai/api/v1/chat/completions';
-      headers = {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'https://lieblocker.extension',
-        'X-Title': 'LieBlocker Extension'
-      };
-      body = {
-        model: model,
-        messages: messages,
-        temperature: 0.3,
-        max_tokens: 4000
-      };
-    } else {
-      throw new Error(`Unsupported AI provider: ${provider}`);
+    const baseCode = String(languageCode).toLowerCase().split('-')[0];
+    return names[baseCode] || fallbackName || languageCode;
+  }
+  
+  // Throws when the response cannot be parsed or repaired - a broken reply must not read as "0 lies"
+  function parseAIResponse(response, transcript) {
+    if (!claimSchema) {
+      throw new Error('Claim schema not available - please refresh the page');
     }
     
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(body)
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`${provider} API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    const content = APIService.getResponseText(response);
+    if (content === null) {
+      throw new Error('Unexpected AI response format');
     }
     
-    return await response.json();
+    // Validate every claim against the schema (repairing malformed JSON where possible)
+    const parsed = claimSchema.parseResponse(content);
+    
+    return {
+      claims: parsed.claims
+        .map(claim => normalizeClaim(claim, transcript))
+        .filter(Boolean),
+      rejectedClaims: parsed.rejected.length,
+      repaired: parsed.repaired
+    };
   }
   
-  function parseAIResponse(response) {
-    try {
-      let content;
-      
-      // Handle OpenAI response format
-      if (response.choices && response.choices[0]) {
-        content = response.choices[0].message.content;
-      }
-      // Handle Gemini response format
-      else if (response.candidates && response.candidates[0]) {
-        content = response.candidates[0].content.parts[0].text;
-      }
-      else {
-        throw new Error('Unexpected AI response format');
-      }
-      
-      // Clean up the content (remove markdown code blocks if present)
-      content = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      
-      // Parse JSON
-      const parsed = JSON.parse(content);
-      
-      // Validate and process claims
-      if (parsed.claims && Array.isArray(parsed.claims)) {
-        parsed.claims = parsed.claims.map(claim => ({
-          ...claim,
-          timestamp_seconds: claim.timeInSeconds || parseTimestamp(claim.timestamp),
-          duration_seconds: claim.duration || 10,
-          claim_text: claim.claim,
-          category: 'other'
-        }));
-      }
-      
-      return parsed;
-    } catch (error) {
-      console.error('❌ Failed to parse AI response:', error);
-      return { claims: [] };
-    }
+  // Map a claim from the model's response format to the stored lie format
+  function normalizeClaim(claim, transcript) {
+    return alignClaimWithTranscript({
+      ...claim,
+      timestamp_seconds: claim.timeInSeconds || Transcript.parseTimestamp(claim.timestamp),
+      duration_seconds: claim.duration || 10,
+      claim_text: claim.claim,
+      category: ClaimCategories.normalize(claim.category),
+      correct_fact: claim.evidence?.correctFact || null,
+      what_was_said: claim.evidence?.whatWasSaid || null,
+      what_is_true: claim.evidence?.whatIsTrue || null,
+      source_references: claim.evidence?.references || []
+    }, transcript);
   }
   
-  function parseTimestamp(timestamp) {
-    if (typeof timestamp === 'number') return timestamp;
-    if (typeof timestamp !== 'string') return 0;
+  // Snap a claim onto real segment boundaries; drop claims that fall outside the analyzed transcript
+  function alignClaimWithTranscript(claim, transcript) {
+    if (!transcript || transcript.isEmpty()) {
+      return claim;
+    }
     
-    const parts = timestamp.split(':').map(Number);
-    if (parts.length === 2) {
-      return parts[0] * 60 + parts[1];
-    } else if (parts.length === 3) {
-      return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    if (claim.timestamp_seconds > transcript.duration + 30) {
+      console.warn('⚠️ Dropping claim outside the analyzed transcript:', claim.timestamp_seconds, claim.claim_text);
+      return null;
     }
-    return 0;
+    
+    const aligned = transcript.alignClaim(claim.timestamp_seconds, claim.duration_seconds, claim.claim_text);
+    
+    return {
+      ...claim,
+      timestamp_seconds: aligned.start,
+      duration_seconds: aligned.duration,
+      timestamp_verified: aligned.verified
+    };
   }
   
   async function getSettings() {
@@ -954,9 +1987,29 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
             'openaiModel',
             'geminiModel',
             'openrouterModel',
+            'anthropicModel',
+            'customModel',
             'apiKey', // Fallback for existing users
             'analysisDuration',
-            'minConfidenceThreshold'
+            'minConfidenceThreshold',
+            'captionLanguage',
+            'foreignTranscriptMode',
+            'speechToTextFallback',
+            'speechToTextModel',
+            'criticEnabled',
+            'criticProvider',
+            'criticModel',
+            'consensusEnabled',
+            'consensusModels',
+            'consensusQuorum',
+            'fallbackProvider',
+            'keepPartialResults',
+            'autoAnalyzeEnabled',
+            'autoAnalyzeAllowedChannels',
+            'autoAnalyzeBlockedChannels',
+            'autoAnalyzeDailyBudget',
+            'autoAnalyzeMinMinutes',
+            'autoAnalyzeMaxMinutes'
           ], resolve);
         });
       }
@@ -966,29 +2019,72 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
     }
     
     // Determine the correct model based on provider
-    let aiModel;
     const aiProvider = result.aiProvider || 'openai';
+    const aiModel = getModelForProvider(result, aiProvider);
+    const criticProvider = result.criticProvider || aiProvider;
+    const fallbackProvider = result.fallbackProvider && result.fallbackProvider !== 'off' && result.fallbackProvider !== aiProvider
+      ? result.fallbackProvider
+      : null;
     
-    if (aiProvider === 'openai') {
-      aiModel = result.openaiModel || 'gpt-4o-mini';
-    } else if (aiProvider === 'gemini') {
-      aiModel = result.geminiModel || 'gemini-2.0-flash-exp';
-    } else if (aiProvider === 'openrouter') {
-      aiModel = result.openrouterModel || 'meta-llama/llama-4-maverick-17b-128e-instruct:free';
+    // One key per provider from the vault; a single legacy key still works until the popup migrates it
+    const apiKeys = {};
+    Object.entries(secureSettings.apiKeys || {}).forEach(([provider, entry]) => {
+      if (entry && entry.key) {
+        apiKeys[provider] = entry.key;
+      }
+    });
+    const legacyApiKey = secureSettings.apiKey || result.apiKey;
+    if (legacyApiKey && !apiKeys[aiProvider]) {
+      apiKeys[aiProvider] = legacyApiKey;
     }
     
     // Merge with priority to secure storage
     const settings = {
       aiProvider: aiProvider,
       aiModel: aiModel,
-      apiKey: secureSettings.apiKey || result.apiKey || '',
+      apiKeys: apiKeys,
+      apiKey: apiKeys[aiProvider] || '',
+      fallbackProvider: fallbackProvider,
+      fallbackModel: fallbackProvider ? getModelForProvider(result, fallbackProvider) : null,
       analysisDuration: result.analysisDuration || 20, // Default to 20 minutes
-      minConfidenceThreshold: result.minConfidenceThreshold || 85 // Default to 85%
+      minConfidenceThreshold: result.minConfidenceThreshold || 85, // Default to 85%
+      captionLanguage: result.captionLanguage || 'auto',
+      foreignTranscriptMode: result.foreignTranscriptMode || 'original',
+      speechToTextFallback: result.speechToTextFallback === true, // Opt-in
+      speechToTextModel: result.speechToTextModel || 'whisper-tiny',
+      criticEnabled: result.criticEnabled === true, // Opt-in
+      criticProvider: criticProvider,
+      criticModel: result.criticModel || getModelForProvider(result, criticProvider),
+      consensusEnabled: result.consensusEnabled === true && Array.isArray(result.consensusModels) && result.consensusModels.length > 0,
+      consensusModels: Array.isArray(result.consensusModels) ? result.consensusModels : [],
+      consensusQuorum: result.consensusQuorum || 2,
+      keepPartialResults: result.keepPartialResults === true,
+      autoAnalyzeEnabled: result.autoAnalyzeEnabled === true, // Opt-in
+      autoAnalyzeAllowedChannels: Array.isArray(result.autoAnalyzeAllowedChannels) ? result.autoAnalyzeAllowedChannels : [],
+      autoAnalyzeBlockedChannels: Array.isArray(result.autoAnalyzeBlockedChannels) ? result.autoAnalyzeBlockedChannels : [],
+      autoAnalyzeDailyBudget: typeof result.autoAnalyzeDailyBudget === 'number' ? result.autoAnalyzeDailyBudget : 1, // USD
+      autoAnalyzeMinMinutes: typeof result.autoAnalyzeMinMinutes === 'number' ? result.autoAnalyzeMinMinutes : 1,
+      autoAnalyzeMaxMinutes: typeof result.autoAnalyzeMaxMinutes === 'number' ? result.autoAnalyzeMaxMinutes : 60
     };
     
     return settings;
   }
   
+  function getModelForProvider(storedSettings, provider) {
+    if (provider === 'openai') {
+      return storedSettings.openaiModel || 'gpt-4o-mini';
+    } else if (provider === 'gemini') {
+      return storedSettings.geminiModel || 'gemini-2.0-flash-exp';
+    } else if (provider === 'openrouter') {
+      return storedSettings.openrouterModel || 'meta-llama/llama-4-maverick-17b-128e-instruct:free';
+    } else if (provider === 'anthropic') {
+      return storedSettings.anthropicModel || 'claude-sonnet-4-20250514';
+    } else if (provider === 'custom') {
+      return storedSettings.customModel || '';
+    }
+    return undefined;
+  }
+  
   async function checkCachedResults(videoId) {
     try {
       // Check Supabase first
@@ -1003,7 +2099,16 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
               explanation: lie.explanation,
               confidence: lie.confidence,
               severity: lie.severity,
-              category: lie.category
+              category: lie.category,
+              correct_fact: lie.correct_fact,
+              what_was_said: lie.what_was_said,
+              what_is_true: lie.what_is_true,
+              source_references: lie.source_references || [],
+              critic_verdict: lie.critic_verdict,
+              critic_confidence: lie.critic_confidence,
+              critic_reason: lie.critic_reason,
+              critic_model: lie.critic_model,
+              consensus_models: lie.consensus_models || []
             }))
           };
         }
@@ -1034,7 +2139,9 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
           video_title: videoData.title,
           channel_name: videoData.channelName,
           total_lies: analysisResults.totalLies,
-          analysis_duration_minutes: analysisResults.analysisDuration
+          analysis_duration_minutes: analysisResults.analysisDuration,
+          transcript_language: analysisResults.transcript?.language || null,
+          transcript_translated_from: analysisResults.transcript?.translatedFrom || null
         };
         
         await window.SupabaseDB.storeVideoAnalysis(analysisData);
@@ -1048,7 +2155,16 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
             explanation: lie.explanation,
             confidence: lie.confidence,
             severity: lie.severity,
-            category: lie.category
+            category: lie.category,
+            correct_fact: lie.correct_fact,
+            what_was_said: lie.what_was_said,
+            what_is_true: lie.what_is_true,
+            source_references: lie.source_references,
+            critic_verdict: lie.critic_verdict,
+            critic_confidence: lie.critic_confidence,
+            critic_reason: lie.critic_reason,
+            critic_model: lie.critic_model,
+            consensus_models: lie.consensus_models
           }));
           
           await window.SupabaseDB.storeLies(liesData);
@@ -1060,7 +2176,11 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
         const cacheData = {
           lies: analysisResults.lies,
           timestamp: Date.now(),
-          videoData: videoData
+          videoData: videoData,
+          transcriptLanguage: analysisResults.transcript?.language || null,
+          transcriptTranslatedFrom: analysisResults.transcript?.translatedFrom || null,
+          // Kept so the transcript panel can show exactly what was analyzed
+          transcript: analysisResults.transcript ? analysisResults.transcript.toJSON() : null
         };
         
         chrome.storage.local.set({
@@ -1091,6 +2211,8 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
       if (response && response.success && response.lies) {
         currentLies = response.lies;
         console.log('📋 Loaded current video lies:', currentLies.length);
+        updatePlayerLies();
+        showTranscriptPanel(await loadCachedTranscript(videoId));
         return;
       }
       
@@ -1099,6 +2221,8 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
       if (cachedResults && cachedResults.lies) {
         currentLies = cachedResults.lies;
         console.log('📋 Loaded lies from cache:', currentLies.length);
+        updatePlayerLies();
+        showTranscriptPanel(await loadCachedTranscript(videoId));
       }
       
     } catch (error) {
@@ -1106,6 +2230,49 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
     }
   }
   
+  // Transcripts are only kept in the local cache - Supabase stores claims, not transcripts
+  async function loadCachedTranscript(videoId) {
+    try {
+      if (!checkExtensionContext()) {
+        return null;
+      }
+      
+      const result = await new Promise(resolve => {
+        chrome.storage.local.get([`analysis_${videoId}`], resolve);
+      });
+      
+      return Transcript.fromJSON(result[`analysis_${videoId}`]?.transcript);
+    } catch (error) {
+      console.error('❌ Error loading cached transcript:', error);
+      return null;
+    }
+  }
+  
+  function showTranscriptPanel(transcript) {
+    if (!transcriptPanel || !transcript || extractVideoId() !== currentVideoId) {
+      return;
+    }
+    
+    currentTranscript = transcript;
+    
+    if (!videoPlayer) {
+      videoPlayer = document.querySelector('video');
+    }
+    
+    transcriptPanel.attachVideo(videoPlayer);
+    transcriptPanel.setLies(currentLies);
+    transcriptPanel.setTranscript(currentTranscript);
+    
+    // The watch page sidebar renders lazily, so retry once if it is not there yet
+    if (!transcriptPanel.mount()) {
+      setTimeout(() => {
+        if (currentTranscript === transcript) {
+          transcriptPanel.mount();
+        }
+      }, 2000);
+    }
+  }
+  
   async function loadSkipLiesSetting() {
     try {
       if (!checkExtensionContext()) {
@@ -1113,11 +2280,13 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
       }
       
       const result = await new Promise(resolve => {
-        chrome.storage.local.get(['skipLiesEnabled'], resolve);
+        chrome.storage.local.get(['skipLiesEnabled', 'lieActions'], resolve);
       });
       
       skipLiesEnabled = result.skipLiesEnabled || false;
-      console.log('⏭️ Skip lies setting loaded:', skipLiesEnabled);
+      lieActions = { ...DEFAULT_LIE_ACTIONS, ...(result.lieActions || {}) };
+      console.log('⏭️ Skip lies setting loaded:', skipLiesEnabled, lieActions);
+      updatePlayerLies();
     } catch (error) {
       console.error('❌ Error loading skip lies setting:', error);
     }
@@ -1134,124 +2303,152 @@ IMPORTANT: Only return the JSON object. Do not include any other text.`;
     }
   }
   
-  // Auto-skip functionality
-  function setupAutoSkip() {
-    if (!videoPlayer || !skipLiesEnabled || currentLies.length === 0) {
-      return;
+  // Hand currentLies to the player's progress bar markers and skip scheduler
+  function updatePlayerLies() {
+    if (!videoPlayer) {
+      videoPlayer = document.querySelector('video');
     }
     
-    const checkSkip = () => {
-      if (!skipLiesEnabled) return;
-      
-      const currentTime = videoPlayer.currentTime;
-      
-      for (const lie of currentLies) {
-        const startTime = lie.timestamp_seconds;
-        const endTime = startTime + (lie.duration_seconds || 10);
-        
-        if (currentTime >= startTime && currentTime < endTime) {
-          // Skip this lie
-          videoPlayer.currentTime = endTime;
-          
-          // Show skip notification
-          showSkipNotification(lie);
-          
-          // Track skip for statistics with safe message sending
-          safeSendMessage({
-            type: 'lieSkipped',
-            videoId: currentVideoId,
-            timestamp: startTime,
-            duration: lie.duration_seconds || 10,
-            claim: lie.claim_text
+    if (progressBarMarkers) {
+      progressBarMarkers.attachVideo(videoPlayer);
+      progressBarMarkers.setLies(currentLies);
+    }
+    
+    if (skipScheduler) {
+      skipScheduler.attachVideo(videoPlayer);
+      skipScheduler.setLies(currentLies);
+    }
+  }
+  
+  // range covers every lie merged into the skipped stretch
+  function handleLieSkipped(lie, range) {
+    showSkipNotification(lie);
+    
+    // Track skip for statistics with safe message sending
+    safeSendMessage({
+      type: 'lieSkipped',
+      videoId: currentVideoId,
+      timestamp: range.start,
+      duration: range.end - range.start,
+      claim: lie.claim_text
+    }).catch(error => {
+      console.warn('⚠️ Could not report skipped lie:', error.message);
+    });
+  }
+  
+  // With Skip Lies off, lies are only annotated with the fact-check card
+  function getLieAction(lie) {
+    if (!skipLiesEnabled) return 'annotate';
+    
+    const actions = lieActions || DEFAULT_LIE_ACTIONS;
+    return actions[lie.severity] || actions.medium;
+  }
+  
+  // Mute, blur, pause and annotate last for as long as playback stays inside the lie
+  function handleLieRangeEnter(range) {
+    const lie = range.lies[0];
+    const video = skipScheduler.video;
+    console.log(`⚠️ Playing flagged claim (${range.action}):`, lie.claim_text);
+    
+    switch (range.action) {
+      case 'mute':
+        if (!video.muted) {
+          video.muted = true;
+          videoMutedForLie = video;
+        }
+        showFactCheckCard(range, '🔇 Flagged claim - muted');
+        break;
+      case 'blur':
+        if (lieOverlay) {
+          lieOverlay.showBlur(video, lie);
+        }
+        break;
+      case 'pause':
+        video.pause();
+        if (lieOverlay) {
+          lieOverlay.showPrompt(video, lie, {
+            onContinue: () => video.play(),
+            onSkip: () => {
+              skipScheduler.skipRange(range);
+              video.play();
+            }
           });
-          
-          break;
         }
-      }
-    };
+        break;
+      default:
+        showFactCheckCard(range, '⚠️ Flagged claim');
+    }
+  }
+  
+  function handleLieRangeLeave(range) {
+    if (videoMutedForLie) {
+      videoMutedForLie.muted = false;
+      videoMutedForLie = null;
+    }
     
-    // Check every 500ms when video is playing
-    const skipInterval = setInterval(() => {
-      if (videoPlayer && !videoPlayer.paused) {
-        checkSkip();
-      }
-    }, 500);
+    if ((range.action === 'blur' || range.action === 'pause') && lieOverlay) {
+      lieOverlay.hide();
+    }
     
-    // Clean up interval when video changes
-    const cleanup = () => {
-      clearInterval(skipInterval);
+    if (factCheckCard) {
+      factCheckCard.hide();
+    }
+  }
+  
+  function showFactCheckCard(range, title) {
+    if (!factCheckCard) return;
+    
+    factCheckCard.show(skipScheduler.video, range.lies[0], {
+      title,
+      onSkip: () => skipScheduler.skipRange(range),
+      onDismiss: () => console.log('🙈 Fact-check card dismissed'),
+      onDispute: (lie) => disputeLie(lie)
+    });
+  }
+  
+  // Viewer disagrees with a flag - shared with the community database so it can be reviewed
+  async function disputeLie(lie) {
+    const dispute = {
+      video_id: currentVideoId,
+      timestamp_seconds: Math.floor(lie.timestamp_seconds),
+      claim_text: String(lie.claim_text || '').substring(0, 1000),
+      severity: lie.severity || null
     };
     
-    // Store cleanup function for later use
-    window.cleanupAutoSkip = cleanup;
-  }
-  
-  function showSkipNotification(lie) {
-    // Clear any existing notification
-    if (skipNotificationTimeout) {
-      clearTimeout(skipNotificationTimeout);
-    }
-    
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: #4285f4;
-      color: white;
-      padding: 12px 16px;
-      border-radius: 8px;
-      font-size: 14px;
-      font-weight: 500;
-      z-index: 10000;
-      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
-      max-width: 300px;
-      animation: slideIn 0.3s ease;
-    `;
-    
-    notification.innerHTML = `
-      <div style="margin-bottom: 4px;">🚨 Lie Skipped</div>
-      <div style="font-size: 12px; opacity: 0.9;">${lie.claim_text.substring(0, 100)}${lie.claim_text.length > 100 ? '...' : ''}</div>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Remove notification after 3 seconds
-    skipNotificationTimeout = setTimeout(() => {
-      if (notification.parentNode) {
-        notification.style.animation = 'slideOut 0.3s ease';
-        setTimeout(() => {
-          if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
-          }
-        }, 300);
+    try {
+      if (!window.SupabaseDB) {
+        throw new Error('Community database not available');
       }
-    }, 3000);
+      
+      await window.SupabaseDB.createLieDispute(dispute);
+      console.log('🗳️ Lie disputed:', dispute);
+      showSkipNotification(lie, '🗳️ Dispute Sent');
+    } catch (error) {
+      console.warn('⚠️ Could not send dispute:', error.message);
+      showSkipNotification(lie, '⚠️ Dispute Not Sent');
+    }
+  }
+  
+  function showSkipNotification(lie, heading) {
+    if (skipNotification) {
+      skipNotification.show(lie, heading);
+    }
   }
   
   // Set up auto-skip when lies are loaded
   chrome.runtime.onMessage.addListener((message) => {
     if (message.type === 'liesUpdate' && message.videoId === currentVideoId) {
       currentLies = message.claims || [];
-      if (skipLiesEnabled) {
-        setupAutoSkip();
-      }
+      refreshLiesDisplay();
     }
   });
   
-  // Add CSS for animations
-  const style = document.createElement('style');
-  style.textContent = `
-    @keyframes slideIn {
-      from { transform: translateX(100%); opacity: 0; }
-      to { transform: translateX(0); opacity: 1; }
+  // Lie actions are edited in the popup settings while videos play
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.lieActions) {
+      lieActions = { ...DEFAULT_LIE_ACTIONS, ...(changes.lieActions.newValue || {}) };
+      updatePlayerLies();
     }
-    @keyframes slideOut {
-      from { transform: translateX(0); opacity: 1; }
-      to { transform: translateX(100%); opacity: 0; }
-    }
-  `;
-  document.head.appendChild(style);
+  });
   
 })();
\ No newline at end of file
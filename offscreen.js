@@ -0,0 +1,117 @@
+// Offscreen document for the local speech-to-text fallback
+// Runs Whisper on the CPU through ONNX Runtime WASM - audio never leaves the browser
+
+import { pipeline, env } from '@huggingface/transformers';
+
+const MODELS = {
+  'whisper-tiny': 'onnx-community/whisper-tiny',
+  'whisper-base': 'onnx-community/whisper-base'
+};
+
+// Models come from the Hugging Face hub and are kept in the browser cache after the first download.
+// The ONNX Runtime binary ships with the extension because remote scripts are blocked by the CSP;
+// the build puts it next to this file (see vite.config.js).
+env.allowLocalModels = false;
+env.backends.onnx.wasm.wasmPaths = chrome.runtime.getURL('/');
+env.backends.onnx.wasm.numThreads = 1;
+
+let transcriber = null;
+let transcriberModel = null;
+let loadingTranscriber = null;
+
+// Windows are transcribed one at a time so a long video cannot pile up parallel inference runs
+let queue = Promise.resolve();
+
+async function getTranscriber(modelKey) {
+  const model = MODELS[modelKey] || MODELS['whisper-tiny'];
+
+  if (transcriber && transcriberModel === model) {
+    return transcriber;
+  }
+
+  if (!loadingTranscriber || transcriberModel !== model) {
+    console.log('🎙️ Loading speech-to-text model:', model);
+    transcriberModel = model;
+    loadingTranscriber = pipeline('automatic-speech-recognition', model, {
+      device: 'wasm',
+      dtype: 'q8'
+    });
+  }
+
+  try {
+    transcriber = await loadingTranscriber;
+    return transcriber;
+  } catch (error) {
+    loadingTranscriber = null;
+    transcriberModel = null;
+    throw error;
+  }
+}
+
+// Inverse of AudioCaptureService.encodePcm16
+function decodePcm16(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  const pcm = new Int16Array(bytes.buffer);
+  const samples = new Float32Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    samples[i] = pcm[i] / (pcm[i] < 0 ? 0x8000 : 0x7fff);
+  }
+  return samples;
+}
+
+// Convert Whisper chunks to the caption track segment shape: [{ start, duration, text }] in video time
+async function transcribe({ audio, sampleRate = 16000, offset = 0, language, model }) {
+  const run = await getTranscriber(model);
+  const samples = decodePcm16(audio);
+
+  const output = await run(samples, {
+    return_timestamps: true,
+    chunk_length_s: 30,
+    task: 'transcribe',
+    ...(language ? { language } : {})
+  });
+
+  const chunks = Array.isArray(output.chunks) ? output.chunks : [];
+  const windowSeconds = samples.length / sampleRate;
+
+  return chunks
+    .map(chunk => {
+      const [start, end] = chunk.timestamp || [];
+      const chunkStart = Number.isFinite(start) ? start : 0;
+      const chunkEnd = Number.isFinite(end) ? end : windowSeconds;
+
+      return {
+        start: offset + chunkStart,
+        duration: Math.max(0, chunkEnd - chunkStart),
+        text: (chunk.text || '').replace(/\s+/g, ' ').trim()
+      };
+    })
+    .filter(segment => segment.text.length > 0);
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') {
+    return false;
+  }
+
+  if (message.type === 'transcribeAudio') {
+    queue = queue
+      .then(() => transcribe(message))
+      .then(segments => {
+        sendResponse({ success: true, segments, language: message.language || null });
+      })
+      .catch(error => {
+        console.error('❌ Speech-to-text failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+
+    return true;
+  }
+
+  return false;
+});
@@ -9,7 +9,10 @@
   let currentVideoLies = [];
   let analysisInProgress = false;
   let backgroundState = null;
+  // The tab this popup started an analysis in - the one to cancel, even after switching tabs
+  let analysisTabId = null;
   let securityService = null;
+  let apiKeyVault = null;
   let isInitializing = true; // Flag to prevent notifications during initialization
   let pendingSave = false; // Flag to track if there's a pending save operation
   
@@ -45,6 +48,7 @@
       if (typeof SecurityService !== 'undefined') {
         securityService = new SecurityService();
         await securityService.initialize();
+        apiKeyVault = new ApiKeyVault(securityService);
         console.log('🔒 Security service initialized');
       } else {
         console.warn('⚠️ SecurityService not available, using fallback storage');
@@ -107,6 +111,8 @@
         // Load tab-specific data
         if (targetTab === 'lies') {
           loadCurrentVideoLies();
+        } else if (targetTab === 'queue') {
+          loadQueue();
         } else if (targetTab === 'settings') {
           loadSettings();
         }
@@ -121,6 +127,16 @@
       analyzeBtn.addEventListener('click', analyzeCurrentVideo);
     }
     
+    const cancelBtn = document.getElementById('cancel-analysis');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', cancelAnalysis);
+    }
+    
+    const queuePageBtn = document.getElementById('queue-page-videos');
+    if (queuePageBtn) {
+      queuePageBtn.addEventListener('click', queuePageVideos);
+    }
+    
     // Skip lies toggle
     const skipToggle = document.getElementById('skip-lies-toggle');
     if (skipToggle) {
@@ -157,40 +173,55 @@
       console.warn('⚠️ AI Provider select not found');
     }
     
-    // API Key input with secure storage
-    const apiKeyInput = document.getElementById('api-key');
-    if (apiKeyInput) {
+    // API Key inputs (one per provider) with secure storage
+    const apiKeyInputs = document.querySelectorAll('.api-key-input');
+    apiKeyInputs.forEach(apiKeyInput => {
+      const provider = apiKeyInput.dataset.provider;
+      
       // Save immediately on input with debouncing
       apiKeyInput.addEventListener('input', debounce(() => {
-        console.log('🔑 API Key input changed');
+        console.log(`🔑 ${provider} API Key input changed`);
         markPendingSave();
         saveSettingsImmediately();
       }, 1000));
       // Save on blur for immediate persistence
       apiKeyInput.addEventListener('blur', () => {
-        console.log('🔑 API Key blur event');
+        console.log(`🔑 ${provider} API Key blur event`);
         markPendingSave();
         saveSettingsImmediately();
       });
       // Save on change for compatibility
       apiKeyInput.addEventListener('change', () => {
-        console.log('🔑 API Key change event');
+        console.log(`🔑 ${provider} API Key change event`);
         markPendingSave();
         saveSettingsImmediately();
       });
       
       // Visual feedback for secure storage
       apiKeyInput.addEventListener('focus', () => {
-        showSecurityIndicator(true);
+        showSecurityIndicator(true, apiKeyInput);
       });
       
       apiKeyInput.addEventListener('blur', () => {
         setTimeout(() => showSecurityIndicator(false), 2000);
       });
-      
-      console.log('✅ API Key listeners added');
-    } else {
-      console.warn('⚠️ API Key input not found');
+    });
+    console.log(`✅ ${apiKeyInputs.length} API Key listeners added`);
+    
+    // Custom OpenAI-compatible endpoint
+    const customConnectButton = document.getElementById('custom-connect');
+    if (customConnectButton) {
+      customConnectButton.addEventListener('click', connectCustomProvider);
+    }
+    
+    // Fallback provider
+    const fallbackProviderSelect = document.getElementById('fallback-provider');
+    if (fallbackProviderSelect) {
+      fallbackProviderSelect.addEventListener('change', (event) => {
+        console.log('🛟 Fallback provider changed to:', event.target.value);
+        markPendingSave();
+        saveSettingsImmediately();
+      });
     }
     
     // Analysis duration
@@ -221,6 +252,95 @@
       console.warn('⚠️ Confidence slider not found');
     }
     
+    // Caption language selects
+    ['caption-language', 'foreign-transcript-mode', 'speech-to-text-model', 'cancelled-results'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', (event) => {
+          console.log(`🌐 ${id} changed to:`, event.target.value);
+          markPendingSave();
+          saveSettingsImmediately();
+        });
+      }
+    });
+    console.log('✅ Caption language listeners added');
+    
+    // Second-opinion verification
+    const criticProviderSelect = document.getElementById('critic-provider');
+    if (criticProviderSelect) {
+      criticProviderSelect.addEventListener('change', (event) => {
+        console.log('🔎 Second-opinion provider changed to:', event.target.value);
+        handleCriticProviderChange();
+        markPendingSave();
+        saveSettingsImmediately();
+      });
+    }
+    
+    const criticModelSelect = document.getElementById('critic-model');
+    if (criticModelSelect) {
+      criticModelSelect.addEventListener('change', (event) => {
+        console.log('🔎 Second-opinion model changed to:', event.target.value);
+        markPendingSave();
+        saveSettingsImmediately();
+      });
+    }
+
+    console.log('✅ Second-opinion listeners added');
+    
+    // Multi-model consensus
+    renderConsensusModelOptions();
+    const consensusModeSelect = document.getElementById('consensus-mode');
+    if (consensusModeSelect) {
+      consensusModeSelect.addEventListener('change', (event) => {
+        console.log('🤝 Consensus mode changed to:', event.target.value);
+        handleConsensusModeChange();
+        markPendingSave();
+        saveSettingsImmediately();
+      });
+    }
+    
+    document.querySelectorAll('.consensus-model, #consensus-quorum').forEach(select => {
+      select.addEventListener('change', (event) => {
+        console.log(`🤝 ${event.target.id} changed to:`, event.target.value);
+        markPendingSave();
+        saveSettingsImmediately();
+      });
+    });
+    console.log('✅ Consensus listeners added');
+    
+    // Auto-analyze
+    const autoAnalyzeSelect = document.getElementById('auto-analyze');
+    if (autoAnalyzeSelect) {
+      autoAnalyzeSelect.addEventListener('change', (event) => {
+        console.log('🤖 Auto-analyze changed to:', event.target.value);
+        handleAutoAnalyzeChange();
+        markPendingSave();
+        saveSettingsImmediately();
+      });
+    }
+    
+    ['auto-analyze-min-minutes', 'auto-analyze-max-minutes', 'auto-analyze-daily-budget',
+      'auto-analyze-allowed-channels', 'auto-analyze-blocked-channels'].forEach(id => {
+      const field = document.getElementById(id);
+      if (field) {
+        field.addEventListener('change', () => {
+          console.log(`🤖 ${id} changed`);
+          markPendingSave();
+          saveSettingsImmediately();
+        });
+      }
+    });
+    console.log('✅ Auto-analyze listeners added');
+    
+    // Lie handling per severity
+    document.querySelectorAll('.lie-action-select').forEach(select => {
+      select.addEventListener('change', (event) => {
+        console.log(`⏭️ ${event.target.dataset.severity} lies now:`, event.target.value);
+        markPendingSave();
+        saveSettingsImmediately();
+      });
+    });
+    
     // Model selects - Set up all model select listeners
     setupModelSelectListeners();
 
@@ -235,6 +355,18 @@
     });
     console.log(`✅ ${severityCheckboxes.length} severity checkbox listeners added`);
     
+    // Category checkboxes
+    renderCategoryCheckboxes();
+    const categoryCheckboxes = document.querySelectorAll('.category-checkboxes input[type="checkbox"]');
+    categoryCheckboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', (event) => {
+        console.log('🏷️ Category checkbox changed:', event.target.value, event.target.checked);
+        markPendingSave();
+        handleCategoryChange();
+      });
+    });
+    console.log(`✅ ${categoryCheckboxes.length} category checkbox listeners added`);
+    
     // Clear cache button
     const clearCacheBtn = document.getElementById('clear-cache');
     if (clearCacheBtn) {
@@ -259,7 +391,9 @@
     const modelSelects = [
       { id: 'openai-model', provider: 'openai' },
       { id: 'gemini-model', provider: 'gemini' },
-      { id: 'openrouter-model', provider: 'openrouter' }
+      { id: 'openrouter-model', provider: 'openrouter' },
+      { id: 'anthropic-model', provider: 'anthropic' },
+      { id: 'custom-model', provider: 'custom' }
     ];
 
     modelSelects.forEach(({ id, provider }) => {
@@ -295,17 +429,14 @@
     console.log('✅ Cleared pending save flag');
   }
   
-  function showSecurityIndicator(show) {
-    const apiKeyInput = document.getElementById('api-key');
-    if (!apiKeyInput) return;
-    
+  function showSecurityIndicator(show, apiKeyInput = null) {
     // Remove existing indicator
     const existingIndicator = document.querySelector('.security-indicator');
     if (existingIndicator) {
       existingIndicator.remove();
     }
     
-    if (show) {
+    if (show && apiKeyInput) {
       const indicator = document.createElement('div');
       indicator.className = 'security-indicator';
       indicator.innerHTML = '🔒 Encrypted Storage';
@@ -341,6 +472,7 @@
       if (!tab.url || !tab.url.includes('youtube.com/watch')) {
         throw new Error('Please navigate to a YouTube video first');
       }
+      analysisTabId = tab.id;
       
       // Ensure content script is loaded and responsive
       const contentScriptReady = await ensureContentScriptLoaded(tab.id);
@@ -357,6 +489,12 @@
         throw new Error('No response from content script. Please refresh the page and try again.');
       }
       
+      if (response.cancelled) {
+        console.log('🛑 Analysis cancelled');
+        showNotification('Analysis cancelled', 'info');
+        return;
+      }
+      
       if (!response.success) {
         throw new Error(response.error || 'Analysis failed');
       }
@@ -380,6 +518,7 @@
       showNotification(`Analysis failed: ${error.message}`, 'error');
     } finally {
       analysisInProgress = false;
+      analysisTabId = null;
       updateAnalysisUI(false);
     }
   }
@@ -401,28 +540,10 @@
     try {
       console.log('💉 Injecting content script files...');
       
-      // Inject rate limiter first
+      // Same files, in the same order, as the manifest's content script - injected in one call
       await chrome.scripting.executeScript({
         target: { tabId: tabId },
-        files: ['src/utils/rateLimiter.js']
-      });
-      
-      // Inject security service
-      await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ['src/services/securityService.js']
-      });
-      
-      // Then inject Supabase client
-      await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ['supabase-client.js']
-      });
-      
-      // Finally inject main content script
-      await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ['content.js']
+        files: chrome.runtime.getManifest().content_scripts[0].js
       });
       
       console.log('✅ Content script files injected');
@@ -505,8 +626,44 @@
     });
   }
   
+  // The content script aborts its AI requests and transcript waits; the pending
+  // analyzeCurrentVideo call then resolves with { cancelled: true }
+  async function cancelAnalysis() {
+    const cancelBtn = document.getElementById('cancel-analysis');
+    if (cancelBtn) {
+      cancelBtn.disabled = true;
+      cancelBtn.textContent = 'Cancelling...';
+    }
+    
+    try {
+      // Not the active tab - the user may have switched away from the analyzing one
+      const response = await chrome.runtime.sendMessage({
+        type: 'cancelAnalysis',
+        tabId: analysisTabId || backgroundState?.tabId || null
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not cancel the analysis');
+      }
+      
+      if (!response.cancelled) {
+        // Nothing was running in that tab any more
+        analysisInProgress = false;
+        updateAnalysisUI(false);
+      }
+    } catch (error) {
+      console.error('❌ Cancel failed:', error);
+      showNotification(`Cancel failed: ${error.message}`, 'error');
+      if (cancelBtn) {
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = 'Cancel';
+      }
+    }
+  }
+  
   function updateAnalysisUI(inProgress) {
     const analyzeBtn = document.getElementById('analyze-current');
+    const cancelBtn = document.getElementById('cancel-analysis');
     const statusDiv = document.getElementById('analysis-status');
     const statusDot = document.getElementById('status-dot');
     const statusText = document.getElementById('status-text');
@@ -522,6 +679,12 @@
       }
     }
     
+    if (cancelBtn) {
+      cancelBtn.style.display = inProgress ? '' : 'none';
+      cancelBtn.disabled = false;
+      cancelBtn.textContent = 'Cancel';
+    }
+    
     if (statusDiv && statusDot && statusText) {
       if (inProgress) {
         statusDiv.style.display = 'flex';
@@ -609,7 +772,7 @@
       if (securityService) {
         try {
           secureSettings = await securityService.getSecureSettings() || {};
-          console.log('🔒 Secure settings loaded:', secureSettings.apiKey ? 'API key present' : 'No API key');
+          console.log('🔒 Secure settings loaded:', Object.keys(secureSettings.apiKeys || {}).join(', ') || 'No API keys');
         } catch (error) {
           console.warn('⚠️ Could not load secure settings, falling back to regular storage:', error);
         }
@@ -621,10 +784,34 @@
         'openaiModel',
         'geminiModel',
         'openrouterModel',
+        'anthropicModel',
+        'customModel',
+        'customModels',
+        'customBaseUrl',
         'apiKey', // Fallback for existing users
         'analysisDuration',
         'minConfidenceThreshold',
+        'captionLanguage',
+        'foreignTranscriptMode',
+        'speechToTextFallback',
+        'speechToTextModel',
+        'criticEnabled',
+        'criticProvider',
+        'criticModel',
+        'consensusEnabled',
+        'consensusModels',
+        'consensusQuorum',
+        'fallbackProvider',
+        'keepPartialResults',
+        'autoAnalyzeEnabled',
+        'autoAnalyzeAllowedChannels',
+        'autoAnalyzeBlockedChannels',
+        'autoAnalyzeDailyBudget',
+        'autoAnalyzeMinMinutes',
+        'autoAnalyzeMaxMinutes',
+        'lieActions',
         'selectedSeverities',
+        'selectedCategories',
         'skipLiesEnabled'
       ]);
       
@@ -636,16 +823,24 @@
         ...secureSettings
       };
       
-      // If we have an API key in regular storage but not in secure storage, migrate it
-      if (result.apiKey && !secureSettings.apiKey && securityService) {
-        console.log('🔄 Migrating API key to secure storage...');
+      // Move the single API key (plain or encrypted) into the per-provider vault
+      let apiKeyEntries = secureSettings.apiKeys || {};
+      if (apiKeyVault) {
         try {
-          await securityService.storeSecureSettings({ apiKey: result.apiKey });
-          // Remove from regular storage
-          await chrome.storage.local.remove(['apiKey']);
-          settings.apiKey = result.apiKey;
-          if (!isInitializing) {
-            showNotification('API key migrated to secure storage', 'success');
+          const migrated = await apiKeyVault.migrateLegacyKeys({
+            apiKey: result.apiKey,
+            aiProvider: result.aiProvider,
+            criticProvider: result.criticProvider
+          });
+          if (result.apiKey) {
+            // Remove from regular storage
+            await chrome.storage.local.remove(['apiKey']);
+          }
+          if (migrated.length > 0) {
+            apiKeyEntries = await apiKeyVault.getEntries();
+            if (!isInitializing) {
+              showNotification('API keys moved to per-provider storage', 'success');
+            }
           }
         } catch (error) {
           console.error('❌ Failed to migrate API key:', error);
@@ -665,6 +860,7 @@
       const openaiModelSelect = document.getElementById('openai-model');
       const geminiModelSelect = document.getElementById('gemini-model');
       const openrouterModelSelect = document.getElementById('openrouter-model');
+      const anthropicModelSelect = document.getElementById('anthropic-model');
       
       if (openaiModelSelect) {
         const savedModel = settings.openaiModel || 'gpt-4o-mini';
@@ -687,35 +883,30 @@
         console.log('✅ OpenRouter model select value is now:', openrouterModelSelect.value);
       }
       
+      if (anthropicModelSelect) {
+        const savedModel = settings.anthropicModel || 'claude-sonnet-4-20250514';
+        console.log('🔄 Setting Anthropic model to:', savedModel);
+        anthropicModelSelect.value = savedModel;
+      }
+      
+      // Custom endpoint - the model list comes from the last successful connect
+      const customBaseUrlInput = document.getElementById('custom-base-url');
+      if (customBaseUrlInput) {
+        customBaseUrlInput.value = settings.customBaseUrl || '';
+      }
+      populateCustomModels(Array.isArray(settings.customModels) ? settings.customModels : [], settings.customModel);
+      
       // API Key - show masked version for security
-      const apiKeyInput = document.getElementById('api-key');
-      if (apiKeyInput) {
-        if (settings.apiKey) {
-          // Show masked version: first 8 chars + asterisks + last 4 chars
-          const maskedKey = settings.apiKey.length > 12 
-            ? settings.apiKey.substring(0, 8) + '*'.repeat(Math.min(settings.apiKey.length - 12, 20)) + settings.apiKey.substring(settings.apiKey.length - 4)
-            : '*'.repeat(settings.apiKey.length);
-          
-          apiKeyInput.value = maskedKey;
-          apiKeyInput.dataset.hasKey = 'true';
-          apiKeyInput.placeholder = 'API key stored securely (click to change)';
-          
-          // Clear on focus to allow editing
-          apiKeyInput.addEventListener('focus', function clearMasked() {
-            if (this.dataset.hasKey === 'true') {
-              this.value = '';
-              this.placeholder = 'Enter new API key or leave blank to keep current';
-              this.dataset.hasKey = 'false';
-            }
-            this.removeEventListener('focus', clearMasked);
-          });
-          
-          console.log('🔑 API key loaded and masked');
-        } else {
-          apiKeyInput.value = '';
-          apiKeyInput.placeholder = 'Enter your AI API key...';
-          apiKeyInput.dataset.hasKey = 'false';
-        }
+      document.querySelectorAll('.api-key-input').forEach(apiKeyInput => {
+        const provider = apiKeyInput.dataset.provider;
+        const entry = apiKeyEntries[provider];
+        showStoredApiKey(apiKeyInput, entry?.key);
+        renderApiKeyStatus(provider, entry);
+      });
+      
+      const fallbackProviderSelect = document.getElementById('fallback-provider');
+      if (fallbackProviderSelect) {
+        fallbackProviderSelect.value = settings.fallbackProvider || 'off';
       }
       
       // Analysis Duration - Default to 20 minutes
@@ -736,6 +927,69 @@
         updateConfidenceDisplay();
       }
 
+      // Caption language preferences
+      const captionLanguageSelect = document.getElementById('caption-language');
+      if (captionLanguageSelect) {
+        captionLanguageSelect.value = settings.captionLanguage || 'auto';
+      }
+      
+      const foreignModeSelect = document.getElementById('foreign-transcript-mode');
+      if (foreignModeSelect) {
+        foreignModeSelect.value = settings.foreignTranscriptMode || 'original';
+      }
+      
+      // Speech-to-text fallback is opt-in; "off" hides the chosen model
+      const speechToTextSelect = document.getElementById('speech-to-text-model');
+      if (speechToTextSelect) {
+        speechToTextSelect.value = settings.speechToTextFallback ? (settings.speechToTextModel || 'whisper-tiny') : 'off';
+      }
+      
+      const cancelledResultsSelect = document.getElementById('cancelled-results');
+      if (cancelledResultsSelect) {
+        cancelledResultsSelect.value = settings.keepPartialResults ? 'keep' : 'discard';
+      }
+      
+      // Second-opinion verification is opt-in as well
+      const criticProviderSelect = document.getElementById('critic-provider');
+      if (criticProviderSelect) {
+        criticProviderSelect.value = settings.criticEnabled ? (settings.criticProvider || settings.aiProvider || 'openai') : 'off';
+        handleCriticProviderChange(settings.criticModel);
+      }
+      
+      // Consensus: the main model plus up to two more
+      const consensusModels = Array.isArray(settings.consensusModels) ? settings.consensusModels : [];
+      const consensusModeSelect = document.getElementById('consensus-mode');
+      if (consensusModeSelect) {
+        consensusModeSelect.value = settings.consensusEnabled && consensusModels.length > 0
+          ? String(Math.min(consensusModels.length + 1, 3))
+          : 'off';
+        consensusModels.slice(0, 2).forEach((entry, index) => {
+          const select = document.getElementById(`consensus-model-${index + 1}`);
+          if (select) {
+            select.value = `${entry.provider}|${entry.model}`;
+          }
+        });
+        handleConsensusModeChange(settings.consensusQuorum || 2);
+      }
+      
+      // Auto-analyze is opt-in; its limits are kept while it is off
+      const autoAnalyzeSelect = document.getElementById('auto-analyze');
+      if (autoAnalyzeSelect) {
+        autoAnalyzeSelect.value = settings.autoAnalyzeEnabled ? 'on' : 'off';
+        handleAutoAnalyzeChange();
+      }
+      setFieldValue('auto-analyze-min-minutes', settings.autoAnalyzeMinMinutes ?? 1);
+      setFieldValue('auto-analyze-max-minutes', settings.autoAnalyzeMaxMinutes ?? 60);
+      setFieldValue('auto-analyze-daily-budget', (settings.autoAnalyzeDailyBudget ?? 1).toFixed(2));
+      setFieldValue('auto-analyze-allowed-channels', (settings.autoAnalyzeAllowedChannels || []).join('\n'));
+      setFieldValue('auto-analyze-blocked-channels', (settings.autoAnalyzeBlockedChannels || []).join('\n'));
+      
+      // What happens when playback reaches a lie, per severity
+      const lieActions = settings.lieActions || {};
+      document.querySelectorAll('.lie-action-select').forEach(select => {
+        select.value = lieActions[select.dataset.severity] || 'skip';
+      });
+      
       // Selected Severities
       const selectedSeverities = settings.selectedSeverities || ['critical', 'high', 'medium', 'low'];
       console.log('🔄 Setting selected severities to:', selectedSeverities);
@@ -744,6 +998,13 @@
         checkbox.checked = selectedSeverities.includes(checkbox.value);
       });
       
+      // Selected Categories (all by default)
+      const selectedCategories = settings.selectedCategories || window.ClaimCategories?.ids || [];
+      const categoryCheckboxes = document.querySelectorAll('.category-checkboxes input[type="checkbox"]');
+      categoryCheckboxes.forEach(checkbox => {
+        checkbox.checked = selectedCategories.includes(checkbox.value);
+      });
+      
       // Skip Lies Toggle
       const skipToggle = document.getElementById('skip-lies-toggle');
       if (skipToggle) {
@@ -768,30 +1029,194 @@
   
   function handleAIProviderChange() {
     const aiProvider = document.getElementById('ai-provider')?.value;
-    const openaiModels = document.getElementById('openai-models');
-    const geminiModels = document.getElementById('gemini-models');
-    const openrouterModels = document.getElementById('openrouter-models');
     
     console.log('🔄 AI Provider changed to:', aiProvider);
     
-    if (openaiModels && geminiModels && openrouterModels) {
-      // Hide all model selections first
-      openaiModels.classList.add('hidden');
-      geminiModels.classList.add('hidden');
-      openrouterModels.classList.add('hidden');
+    // Show only the relevant model selection
+    ['openai', 'gemini', 'openrouter', 'anthropic', 'custom'].forEach(provider => {
+      const modelSelection = document.getElementById(`${provider}-models`);
+      if (modelSelection) {
+        modelSelection.classList.toggle('hidden', provider !== aiProvider);
+      }
+    });
+  }
+  
+  // Ask for access to the server (needs the click as user gesture), then list its models
+  async function connectCustomProvider() {
+    const baseUrlInput = document.getElementById('custom-base-url');
+    const status = document.getElementById('custom-status');
+    if (!baseUrlInput || !status) return;
+    
+    const showStatus = (text, state) => {
+      status.className = `api-key-status ${state}`;
+      status.textContent = text;
+    };
+    
+    try {
+      const baseUrl = CustomProviderService.normalizeBaseUrl(baseUrlInput.value);
+      baseUrlInput.value = baseUrl;
+      
+      await CustomProviderService.requestAccess(baseUrl);
+      
+      showStatus('Loading models...', 'unchecked');
+      
+      const apiKey = apiKeyVault ? await apiKeyVault.getKey('custom') : '';
+      const models = await CustomProviderService.listModels(baseUrl, apiKey);
+      
+      await chrome.storage.local.set({ customBaseUrl: baseUrl, customModels: models });
+      populateCustomModels(models, document.getElementById('custom-model')?.value);
+      
+      showStatus(`✓ Connected · ${models.length} model(s)`, 'valid');
+      markPendingSave();
+      await saveSettingsImmediately();
+    } catch (error) {
+      console.error('❌ Could not connect to custom provider:', error);
+      showStatus(`✗ ${error.message}`, 'invalid');
+    }
+  }
+  
+  function populateCustomModels(models, selectedModel = null) {
+    const customModelSelect = document.getElementById('custom-model');
+    if (!customModelSelect) return;
+    
+    customModelSelect.textContent = '';
+    models.forEach(model => customModelSelect.appendChild(new Option(model, model)));
+    if (selectedModel && models.includes(selectedModel)) {
+      customModelSelect.value = selectedModel;
+    }
+    
+    // The model lists elsewhere mirror this select
+    renderConsensusModelOptions();
+    handleCriticProviderChange();
+  }
+  
+  // The second-opinion model list mirrors the chosen provider's model select
+  function handleCriticProviderChange(selectedModel = null) {
+    const criticProvider = document.getElementById('critic-provider')?.value || 'off';
+    const criticOptions = document.getElementById('critic-options');
+    const criticModelSelect = document.getElementById('critic-model');
+    
+    if (!criticOptions || !criticModelSelect) return;
+    
+    criticOptions.classList.toggle('hidden', criticProvider === 'off');
+    if (criticProvider === 'off') return;
+    
+    const previousModel = selectedModel || criticModelSelect.value;
+    const providerModelSelect = document.getElementById(`${criticProvider}-model`);
+    criticModelSelect.innerHTML = providerModelSelect ? providerModelSelect.innerHTML : '';
+    
+    if (Array.from(criticModelSelect.options).some(option => option.value === previousModel)) {
+      criticModelSelect.value = previousModel;
+    }
+  }
+  
+  // Consensus model selects list every provider's models, grouped by provider
+  function renderConsensusModelOptions() {
+    const providers = [
+      { id: 'openai', label: 'OpenAI' },
+      { id: 'gemini', label: 'Google Gemini' },
+      { id: 'openrouter', label: 'OpenRouter' },
+      { id: 'anthropic', label: 'Anthropic' },
+      { id: 'custom', label: 'Custom' }
+    ];
+    
+    document.querySelectorAll('.consensus-model').forEach(select => {
+      const selectedValue = select.value;
+      select.textContent = '';
+      providers.forEach(provider => {
+        const providerModelSelect = document.getElementById(`${provider.id}-model`);
+        if (!providerModelSelect) return;
+        
+        const group = document.createElement('optgroup');
+        group.label = provider.label;
+        Array.from(providerModelSelect.options).forEach(option => {
+          group.appendChild(new Option(option.textContent, `${provider.id}|${option.value}`));
+        });
+        if (group.children.length > 0) {
+          select.appendChild(group);
+        }
+      });
       
-      // Show the relevant model selection
-      if (aiProvider === 'openai') {
-        openaiModels.classList.remove('hidden');
-        console.log('✅ Showing OpenAI models');
-      } else if (aiProvider === 'gemini') {
-        geminiModels.classList.remove('hidden');
-        console.log('✅ Showing Gemini models');
-      } else if (aiProvider === 'openrouter') {
-        openrouterModels.classList.remove('hidden');
-        console.log('✅ Showing OpenRouter models');
+      if (selectedValue) {
+        select.value = selectedValue;
       }
+    });
+  }
+  
+  function handleConsensusModeChange(selectedQuorum = null) {
+    const mode = document.getElementById('consensus-mode')?.value || 'off';
+    const consensusOptions = document.getElementById('consensus-options');
+    const thirdModelSetting = document.getElementById('consensus-model-2-setting');
+    const quorumSelect = document.getElementById('consensus-quorum');
+    
+    if (!consensusOptions || !quorumSelect) return;
+    
+    consensusOptions.classList.toggle('hidden', mode === 'off');
+    if (mode === 'off') return;
+    
+    const modelCount = parseInt(mode);
+    if (thirdModelSetting) {
+      thirdModelSetting.style.display = modelCount === 3 ? 'block' : 'none';
+    }
+    
+    // Quorum choices depend on how many models take part
+    const previousQuorum = parseInt(selectedQuorum || quorumSelect.value) || 2;
+    quorumSelect.textContent = '';
+    for (let quorum = 1; quorum <= modelCount; quorum++) {
+      const label = quorum === 1
+        ? 'Any model'
+        : quorum === modelCount ? `All ${modelCount} models` : `At least ${quorum} of ${modelCount} models`;
+      quorumSelect.appendChild(new Option(label, String(quorum)));
     }
+    quorumSelect.value = String(Math.min(previousQuorum, modelCount));
+  }
+  
+  function getConsensusModels() {
+    const mode = document.getElementById('consensus-mode')?.value || 'off';
+    if (mode === 'off') return [];
+    
+    return Array.from(document.querySelectorAll('.consensus-model'))
+      .slice(0, parseInt(mode) - 1)
+      .map(select => {
+        const [provider, ...model] = select.value.split('|');
+        return { provider, model: model.join('|') };
+      })
+      .filter(entry => entry.provider && entry.model);
+  }
+  
+  // { critical, high, medium, low } -> skip | mute | blur | pause | annotate
+  function getLieActions() {
+    const lieActions = {};
+    document.querySelectorAll('.lie-action-select').forEach(select => {
+      lieActions[select.dataset.severity] = select.value;
+    });
+    return lieActions;
+  }
+  
+  function handleAutoAnalyzeChange() {
+    const enabled = document.getElementById('auto-analyze')?.value === 'on';
+    document.getElementById('auto-analyze-options')?.classList.toggle('hidden', !enabled);
+  }
+  
+  function setFieldValue(id, value) {
+    const field = document.getElementById(id);
+    if (field) {
+      field.value = value;
+    }
+  }
+  
+  // Non-negative number from an input, or the fallback when it is empty or invalid
+  function getNumberFieldValue(id, fallback) {
+    const value = parseFloat(document.getElementById(id)?.value);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  }
+  
+  // One channel name or ID per line
+  function getChannelListValue(id) {
+    return (document.getElementById(id)?.value || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
   }
   
   function updateDurationDisplay() {
@@ -828,14 +1253,48 @@
     updateLiesList();
   }
   
+  async function handleCategoryChange() {
+    await saveSettingsImmediately();
+    updateLiesList();
+  }
+  
+  // One checkbox per category in the taxonomy, all checked until settings are loaded
+  function renderCategoryCheckboxes() {
+    const container = document.querySelector('.category-checkboxes');
+    if (!container || !window.ClaimCategories) return;
+    
+    container.textContent = '';
+    window.ClaimCategories.all.forEach(category => {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'severity-checkbox category-checkbox';
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `category-${category.id}`;
+      checkbox.value = category.id;
+      checkbox.checked = true;
+      
+      const label = document.createElement('label');
+      label.htmlFor = checkbox.id;
+      label.textContent = category.label;
+      
+      wrapper.appendChild(checkbox);
+      wrapper.appendChild(label);
+      container.appendChild(wrapper);
+    });
+  }
+  
+  function getSelectedCategories() {
+    return Array.from(document.querySelectorAll('.category-checkboxes input[type="checkbox"]:checked')).map(cb => cb.value);
+  }
+  
   // CRITICAL: Immediate synchronous save function
   async function saveSettingsImmediately() {
     try {
       console.log('💾 Saving settings IMMEDIATELY...');
       
       // Get all current values from the form
-      const apiKeyInput = document.getElementById('api-key');
-      const currentApiKey = apiKeyInput?.value || '';
+      const criticProvider = document.getElementById('critic-provider')?.value || 'off';
       
       // Get selected severities
       const checkboxes = document.querySelectorAll('.severity-checkboxes input[type="checkbox"]:checked');
@@ -847,12 +1306,38 @@
         openaiModel: document.getElementById('openai-model')?.value || 'gpt-4o-mini',
         geminiModel: document.getElementById('gemini-model')?.value || 'gemini-2.0-flash-exp',
         openrouterModel: document.getElementById('openrouter-model')?.value || 'meta-llama/llama-4-maverick-17b-128e-instruct:free',
+        anthropicModel: document.getElementById('anthropic-model')?.value || 'claude-sonnet-4-20250514',
+        customModel: document.getElementById('custom-model')?.value || '',
         analysisDuration: parseInt(document.getElementById('analysis-duration')?.value) || 20, // Default to 20
         minConfidenceThreshold: parseInt(document.getElementById('min-confidence-threshold')?.value) || 85, // Default to 85%
+        captionLanguage: document.getElementById('caption-language')?.value || 'auto',
+        foreignTranscriptMode: document.getElementById('foreign-transcript-mode')?.value || 'original',
+        speechToTextFallback: (document.getElementById('speech-to-text-model')?.value || 'off') !== 'off',
+        speechToTextModel: document.getElementById('speech-to-text-model')?.value === 'whisper-base' ? 'whisper-base' : 'whisper-tiny',
+        criticEnabled: criticProvider !== 'off',
+        consensusEnabled: getConsensusModels().length > 0,
+        consensusModels: getConsensusModels(),
+        consensusQuorum: parseInt(document.getElementById('consensus-quorum')?.value) || 2,
+        fallbackProvider: document.getElementById('fallback-provider')?.value || 'off',
+        keepPartialResults: document.getElementById('cancelled-results')?.value === 'keep',
+        autoAnalyzeEnabled: document.getElementById('auto-analyze')?.value === 'on',
+        autoAnalyzeAllowedChannels: getChannelListValue('auto-analyze-allowed-channels'),
+        autoAnalyzeBlockedChannels: getChannelListValue('auto-analyze-blocked-channels'),
+        autoAnalyzeDailyBudget: getNumberFieldValue('auto-analyze-daily-budget', 1),
+        autoAnalyzeMinMinutes: getNumberFieldValue('auto-analyze-min-minutes', 1),
+        autoAnalyzeMaxMinutes: getNumberFieldValue('auto-analyze-max-minutes', 60),
+        lieActions: getLieActions(),
         selectedSeverities: selectedSeverities,
+        selectedCategories: getSelectedCategories(),
         skipLiesEnabled: document.getElementById('skip-lies-toggle')?.classList.contains('active') || false
       };
       
+      // Turning verification off keeps the last provider and model for next time
+      if (criticProvider !== 'off') {
+        regularSettings.criticProvider = criticProvider;
+        regularSettings.criticModel = document.getElementById('critic-model')?.value || '';
+      }
+      
       console.log('💾 Saving regular settings IMMEDIATELY:', regularSettings);
       
       // Use synchronous storage API for immediate save
@@ -868,20 +1353,22 @@
       
       console.log('✅ Regular settings saved IMMEDIATELY');
       
-      // Handle API key securely if needed
-      if (securityService && currentApiKey && currentApiKey.trim() !== '' && !currentApiKey.includes('*') && currentApiKey.length > 10) {
-        console.log('🔒 Saving API key to secure storage IMMEDIATELY...');
-        await securityService.storeSecureSettings({ apiKey: currentApiKey.trim() });
-        console.log('✅ API key saved securely IMMEDIATELY');
-        
-        // Update UI to show masked version
-        const maskedKey = currentApiKey.length > 12 
-          ? currentApiKey.substring(0, 8) + '*'.repeat(Math.min(currentApiKey.length - 12, 20)) + currentApiKey.substring(currentApiKey.length - 4)
-          : '*'.repeat(currentApiKey.length);
-        
-        apiKeyInput.value = maskedKey;
-        apiKeyInput.dataset.hasKey = 'true';
-        apiKeyInput.placeholder = 'API key stored securely (click to change)';
+      // Handle API keys securely if needed - each provider has its own vault entry
+      if (apiKeyVault) {
+        for (const apiKeyInput of document.querySelectorAll('.api-key-input')) {
+          const provider = apiKeyInput.dataset.provider;
+          const currentApiKey = apiKeyInput.value || '';
+          
+          if (currentApiKey.trim() !== '' && !currentApiKey.includes('*') && currentApiKey.length > 10) {
+            console.log(`🔒 Saving ${provider} API key to secure storage IMMEDIATELY...`);
+            const entry = await apiKeyVault.setKey(provider, currentApiKey);
+            console.log(`✅ ${provider} API key saved securely IMMEDIATELY`);
+            
+            // Update UI to show masked version
+            showStoredApiKey(apiKeyInput, entry.key);
+            renderApiKeyStatus(provider, entry);
+          }
+        }
       }
       
       // Clear pending save flag
@@ -895,6 +1382,70 @@
     }
   }
   
+  // Show a stored key masked (first 8 chars + asterisks + last 4 chars); focusing the input clears it for editing
+  function showStoredApiKey(input, apiKey) {
+    // Remember the placeholder from the markup before it is replaced
+    if (!input.dataset.emptyPlaceholder) {
+      input.dataset.emptyPlaceholder = input.placeholder;
+    }
+    
+    if (!apiKey) {
+      input.value = '';
+      input.placeholder = input.dataset.emptyPlaceholder;
+      input.dataset.hasKey = 'false';
+      return;
+    }
+    
+    input.value = apiKey.length > 12
+      ? apiKey.substring(0, 8) + '*'.repeat(Math.min(apiKey.length - 12, 20)) + apiKey.substring(apiKey.length - 4)
+      : '*'.repeat(apiKey.length);
+    input.dataset.hasKey = 'true';
+    input.placeholder = 'API key stored securely (click to change)';
+    
+    input.addEventListener('focus', function clearMasked() {
+      if (this.dataset.hasKey === 'true') {
+        this.value = '';
+        this.placeholder = 'Enter new API key or leave blank to keep current';
+        this.dataset.hasKey = 'false';
+      }
+      this.removeEventListener('focus', clearMasked);
+    });
+  }
+  
+  // Validation status and last use of a provider's key
+  function renderApiKeyStatus(provider, entry) {
+    const status = document.getElementById(`api-key-status-${provider}`);
+    if (!status) return;
+    
+    status.className = 'api-key-status';
+    if (!entry || !entry.key) {
+      status.textContent = '';
+      return;
+    }
+    
+    status.classList.add(entry.status || 'unchecked');
+    if (entry.status === 'valid') {
+      status.textContent = `✓ Working · last used ${formatTimeAgo(entry.lastUsedAt)}`;
+    } else if (entry.status === 'invalid') {
+      status.textContent = `✗ ${entry.error || 'Key was rejected'}`;
+    } else {
+      status.textContent = 'Saved · not used yet';
+    }
+  }
+  
+  function formatTimeAgo(time) {
+    if (!time) return 'never';
+    
+    const minutes = Math.floor((Date.now() - time) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    
+    return new Date(time).toLocaleDateString();
+  }
+  
   // Legacy function that calls the immediate save
   async function saveSettingsSecurely(silent = false) {
     try {
@@ -1048,12 +1599,14 @@
     if (!liesList || !noLiesMessage) return;
 
     // Get selected severities from storage
-    chrome.storage.local.get(['selectedSeverities'], (result) => {
+    chrome.storage.local.get(['selectedSeverities', 'selectedCategories'], (result) => {
       const selectedSeverities = result.selectedSeverities || ['critical', 'high', 'medium', 'low'];
+      const selectedCategories = result.selectedCategories || window.ClaimCategories?.ids || null;
       
-      // Filter lies by selected severities
+      // Filter lies by selected severities and categories (lies from before the taxonomy count as "other")
       const filteredLies = currentVideoLies.filter(lie => 
-        selectedSeverities.includes(lie.severity || 'medium')
+        selectedSeverities.includes(lie.severity || 'medium') &&
+        (!selectedCategories || selectedCategories.includes(lie.category || 'other'))
       );
       
       if (filteredLies.length === 0) {
@@ -1096,17 +1649,26 @@
             
             <div class="lie-text">
               <span class="lie-number">#${index + 1}</span>
-              ${lie.claim_text || 'No claim text available'}
+              ${escapeHtml(lie.claim_text || 'No claim text available')}
             </div>
             
             <div class="lie-explanation">
-              ${lie.explanation || 'No explanation available'}
+              ${escapeHtml(lie.explanation || 'No explanation available')}
             </div>
             
+            ${renderLieEvidence(lie)}
+            
+            ${renderModelAgreement(lie)}
+            
+            ${renderCriticVerdict(lie)}
+            
             <div class="lie-meta">
               <span class="lie-confidence">
                 Confidence: ${Math.round((lie.confidence || 0) * 100)}%
               </span>
+              <span class="lie-category-badge">
+                ${window.ClaimCategories ? window.ClaimCategories.getLabel(lie.category || 'other') : (lie.category || 'other')}
+              </span>
               <span class="lie-severity-badge ${lie.severity || 'medium'}">
                 ${lie.severity || 'medium'}
               </span>
@@ -1115,6 +1677,11 @@
         `;
       }).join('');
       
+      // Source links open in a new tab without jumping the video
+      liesList.querySelectorAll('.lie-reference-link').forEach(link => {
+        link.addEventListener('click', (event) => event.stopPropagation());
+      });
+      
       // Add click handlers for timestamp jumping
       const lieItems = liesList.querySelectorAll('.clickable-lie-item');
       lieItems.forEach(item => {
@@ -1128,6 +1695,199 @@
     });
   }
   
+  async function loadQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getQueue' });
+      if (response && response.success) {
+        renderQueue(response.queue);
+      }
+    } catch (error) {
+      console.error('❌ Error loading analysis queue:', error);
+    }
+  }
+  
+  // Queue the videos listed on the current playlist or Watch Later page
+  async function queuePageVideos() {
+    const queueBtn = document.getElementById('queue-page-videos');
+    if (queueBtn) {
+      queueBtn.disabled = true;
+    }
+    
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const tab = tabs && tabs[0];
+      if (!tab || !tab.url || !/youtube\.com\/(playlist|watch)/.test(tab.url)) {
+        throw new Error('Open a YouTube playlist or your Watch Later page first');
+      }
+      
+      const contentScriptReady = await ensureContentScriptLoaded(tab.id);
+      if (!contentScriptReady) {
+        throw new Error('Failed to load content script. Please refresh the page and try again.');
+      }
+      
+      const pageResponse = await sendMessageWithTimeout(tab.id, { type: 'getPlaylistVideos' }, 5000);
+      const videos = pageResponse && Array.isArray(pageResponse.videos) ? pageResponse.videos : [];
+      if (videos.length === 0) {
+        throw new Error('No playlist videos found on this page');
+      }
+      
+      const response = await chrome.runtime.sendMessage({ type: 'enqueueVideos', videos: videos, tabId: tab.id });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not queue the videos');
+      }
+      
+      renderQueue(response.queue);
+      showNotification(response.added > 0
+        ? `Queued ${response.added} video${response.added === 1 ? '' : 's'} for analysis`
+        : 'All videos on this page are already in the queue', 'success');
+    } catch (error) {
+      console.error('❌ Failed to queue videos:', error);
+      showNotification(error.message, 'error');
+    } finally {
+      if (queueBtn) {
+        queueBtn.disabled = false;
+      }
+    }
+  }
+  
+  async function changeQueueItem(type, videoId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: type, videoId: videoId });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Queue update failed');
+      }
+      renderQueue(response.queue);
+    } catch (error) {
+      console.error('❌ Queue update failed:', error);
+      showNotification(error.message, 'error');
+    }
+  }
+  
+  function getQueueStatusText(item) {
+    const lies = `${item.totalLies || 0} lie${item.totalLies === 1 ? '' : 's'}`;
+    switch (item.status) {
+      case 'running':
+        return 'Analyzing...';
+      case 'done':
+        return `Done - ${lies} found`;
+      case 'cached':
+        return `Already analyzed - ${lies}`;
+      case 'failed':
+        return `Failed: ${item.error || 'unknown error'}`;
+      default:
+        return 'Waiting';
+    }
+  }
+  
+  function renderQueue(queue) {
+    const queueList = document.getElementById('queue-list');
+    const emptyMessage = document.getElementById('no-queue-message');
+    if (!queueList) return;
+    
+    const items = Array.isArray(queue) ? queue : [];
+    if (emptyMessage) {
+      emptyMessage.style.display = items.length === 0 ? 'block' : 'none';
+    }
+    
+    queueList.innerHTML = items.map(item => {
+      const statusClass = item.status === 'cached' ? 'done' : item.status;
+      return `
+        <div class="queue-item">
+          <div class="queue-item-info">
+            <div class="queue-item-title" title="${escapeHtml(item.title || item.videoId)}">${escapeHtml(item.title || item.videoId)}</div>
+            <div class="queue-item-status ${escapeHtml(statusClass)}">
+              ${item.channelName ? `${escapeHtml(item.channelName)} · ` : ''}${escapeHtml(getQueueStatusText(item))}
+            </div>
+          </div>
+          ${item.status === 'failed' ? `<button class="queue-item-action" data-action="retryQueueItem" data-video-id="${escapeHtml(item.videoId)}">Retry</button>` : ''}
+          <button class="queue-item-action" data-action="removeQueueItem" data-video-id="${escapeHtml(item.videoId)}">Remove</button>
+        </div>
+      `;
+    }).join('');
+    
+    queueList.querySelectorAll('.queue-item-action').forEach(button => {
+      button.addEventListener('click', () => changeQueueItem(button.dataset.action, button.dataset.videoId));
+    });
+  }
+  
+  // Which consensus models flagged the lie; single-model lies render nothing
+  function renderModelAgreement(lie) {
+    const models = Array.isArray(lie.consensus_models) ? lie.consensus_models : [];
+    if (models.length < 2) {
+      return '';
+    }
+    
+    const agreed = models.filter(entry => entry.agreed).length;
+    const chips = models.map(entry => `
+      <span class="lie-consensus-model ${entry.agreed ? 'agreed' : ''}" title="${entry.agreed ? 'Flagged' : 'Not flagged'} by ${escapeHtml(entry.provider)}">
+        ${entry.agreed ? '✓' : '✗'} ${escapeHtml(entry.model)}
+      </span>
+    `).join('');
+    
+    return `<div class="lie-consensus">Agreed by ${agreed}/${models.length} models: ${chips}</div>`;
+  }
+  
+  // Second-opinion verdict; lies analyzed without verification render nothing
+  function renderCriticVerdict(lie) {
+    if (lie.critic_verdict !== 'confirmed' && lie.critic_verdict !== 'downgraded') {
+      return '';
+    }
+    
+    const label = lie.critic_verdict === 'confirmed'
+      ? '✓ Confirmed by second model'
+      : '↓ Downgraded by second model';
+    const title = lie.critic_reason ? ` title="${escapeHtml(lie.critic_reason)}"` : '';
+    const model = lie.critic_model ? ` <span class="lie-critic-model">(${escapeHtml(lie.critic_model)})</span>` : '';
+    
+    return `<div class="lie-critic-verdict ${lie.critic_verdict}"${title}>${label}${model}</div>`;
+  }
+  
+  // Evidence block for a lie; lies analyzed before evidence existed render nothing
+  function renderLieEvidence(lie) {
+    const references = Array.isArray(lie.source_references) ? lie.source_references : [];
+    if (!lie.correct_fact && !lie.what_was_said && !lie.what_is_true && references.length === 0) {
+      return '';
+    }
+    
+    const rows = [];
+    
+    if (lie.what_was_said && lie.what_is_true) {
+      rows.push(`
+        <div class="lie-evidence-row"><span class="lie-evidence-label said">Said</span>${escapeHtml(lie.what_was_said)}</div>
+        <div class="lie-evidence-row"><span class="lie-evidence-label true">True</span>${escapeHtml(lie.what_is_true)}</div>
+      `);
+    }
+    
+    if (lie.correct_fact) {
+      rows.push(`<div class="lie-evidence-row"><span class="lie-evidence-label">Fact</span>${escapeHtml(lie.correct_fact)}</div>`);
+    }
+    
+    // Only URLs that pass validation become links; anything else is shown as plain text
+    const referenceItems = references.map(reference => {
+      const title = escapeHtml(reference.title || reference.url || 'Source');
+      const validation = window.Validator ? Validator.validateUrl(reference.url) : { valid: false };
+      
+      return validation.valid
+        ? `<li><a class="lie-reference-link" href="${escapeHtml(validation.sanitized)}" target="_blank" rel="noopener noreferrer">${title}</a></li>`
+        : `<li>${title}</li>`;
+    });
+    
+    if (referenceItems.length > 0) {
+      rows.push(`<ul class="lie-references">${referenceItems.join('')}</ul>`);
+    }
+    
+    return `<div class="lie-evidence">${rows.join('')}</div>`;
+  }
+  
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
   function formatTimestamp(seconds) {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
@@ -1250,9 +2010,32 @@
         'openaiModel', 
         'geminiModel',
         'openrouterModel',
+        'anthropicModel',
+        'customModel',
+        'customBaseUrl',
         'analysisDuration',
         'minConfidenceThreshold',
+        'captionLanguage',
+        'foreignTranscriptMode',
+        'speechToTextFallback',
+        'speechToTextModel',
+        'criticEnabled',
+        'criticProvider',
+        'criticModel',
+        'consensusEnabled',
+        'consensusModels',
+        'consensusQuorum',
+        'fallbackProvider',
+        'keepPartialResults',
+        'autoAnalyzeEnabled',
+        'autoAnalyzeAllowedChannels',
+        'autoAnalyzeBlockedChannels',
+        'autoAnalyzeDailyBudget',
+        'autoAnalyzeMinMinutes',
+        'autoAnalyzeMaxMinutes',
+        'lieActions',
         'selectedSeverities',
+        'selectedCategories',
         'skipLiesEnabled'
       ]);
       
@@ -1374,6 +2157,19 @@
       } else if (messageText.includes('complete') || messageText.includes('cache')) {
         showNotification(messageText, 'success');
       }
+    } else if (message.type === 'analysisCancelled') {
+      // Also covers analyses this popup did not start (reopened popup, video change)
+      if (!analysisInProgress) {
+        updateAnalysisUI(false);
+        if (message.reason === 'video-change') {
+          showNotification('Analysis cancelled - the video changed', 'info');
+        }
+      }
+    } else if (message.type === 'queueUpdate') {
+      renderQueue(message.queue);
+    } else if (message.target === 'offscreen') {
+      // Meant for the speech-to-text document - let it answer
+      return false;
     } else if (message.type === 'lieSkipped') {
       // Update time saved when lies are skipped
       updateSessionStats('timeSaved', message.duration || 10);
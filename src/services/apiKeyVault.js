@@ -0,0 +1,162 @@
+// API key vault - one encrypted key per AI provider, each with its own validation status
+// and last-used time, stored inside the SecurityService secure settings
+class ApiKeyVault {
+  constructor(securityService) {
+    this.securityService = securityService;
+    this.providers = ['openai', 'gemini', 'openrouter', 'anthropic', 'custom'];
+    // Serializes read-modify-write cycles so concurrent requests cannot drop each other's updates
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Keys by provider: { openai: { key, status, validatedAt, lastUsedAt, error }, ... }
+  async getEntries() {
+    const secureSettings = await this.securityService.getSecureSettings() || {};
+    return secureSettings.apiKeys || {};
+  }
+
+  async getKey(provider) {
+    const entries = await this.getEntries();
+    return entries[provider]?.key || '';
+  }
+
+  // Store a key after a format check; keys that fail it are kept but marked invalid
+  async setKey(provider, key) {
+    if (!this.providers.includes(provider)) {
+      throw new Error(`Unsupported AI provider: ${provider}`);
+    }
+
+    const trimmedKey = String(key || '').trim();
+    const validFormat = ApiKeyVault.isValidFormat(provider, trimmedKey);
+
+    return this.updateEntry(provider, () => ({
+      key: trimmedKey,
+      status: validFormat ? 'unchecked' : 'invalid',
+      validatedAt: Date.now(),
+      lastUsedAt: null,
+      error: validFormat ? null : `Key does not match the ${provider} key format`
+    }));
+  }
+
+  async removeKey(provider) {
+    await this.update(entries => {
+      delete entries[provider];
+    });
+  }
+
+  // A successful request proves the key works. Keys outside the vault are left alone.
+  async markUsed(provider) {
+    return this.updateEntry(provider, entry => entry && ({
+      ...entry,
+      status: 'valid',
+      validatedAt: Date.now(),
+      lastUsedAt: Date.now(),
+      error: null
+    }));
+  }
+
+  // The provider rejected the key (401/403)
+  async markInvalid(provider, error) {
+    return this.updateEntry(provider, entry => entry && ({
+      ...entry,
+      status: 'invalid',
+      validatedAt: Date.now(),
+      error: String(error || 'Rejected by provider').slice(0, 200)
+    }));
+  }
+
+  // Move keys from the single-key settings into the vault. The old apiKey belonged to
+  // whichever provider was selected; the second-opinion key to the second-opinion provider.
+  async migrateLegacyKeys({ apiKey, aiProvider, criticApiKey, criticProvider } = {}) {
+    const migrated = [];
+
+    await this.update((entries, secureSettings) => {
+      if (!secureSettings.apiKey && !secureSettings.criticApiKey && !apiKey && !criticApiKey) {
+        return false;
+      }
+
+      const legacyKeys = [
+        { key: secureSettings.apiKey || apiKey, provider: aiProvider || 'openai' },
+        { key: secureSettings.criticApiKey || criticApiKey, provider: criticProvider }
+      ];
+
+      legacyKeys.forEach(({ key, provider }) => {
+        if (!key || !this.providers.includes(provider) || entries[provider]?.key) return;
+
+        const validFormat = ApiKeyVault.isValidFormat(provider, key);
+        entries[provider] = {
+          key: key.trim(),
+          status: validFormat ? 'unchecked' : 'invalid',
+          validatedAt: Date.now(),
+          lastUsedAt: null,
+          error: validFormat ? null : `Key does not match the ${provider} key format`
+        };
+        migrated.push(provider);
+      });
+
+      delete secureSettings.apiKey;
+      delete secureSettings.criticApiKey;
+    });
+
+    if (migrated.length > 0) {
+      console.log('🔄 Migrated API keys into the vault:', migrated.join(', '));
+    }
+    return migrated;
+  }
+
+  updateEntry(provider, change) {
+    let updated = null;
+    return this.update(entries => {
+      updated = change(entries[provider]?.key ? entries[provider] : null) || null;
+      if (updated) {
+        entries[provider] = updated;
+      }
+    }).then(() => updated);
+  }
+
+  update(change) {
+    const run = async () => {
+      const secureSettings = await this.securityService.getSecureSettings() || {};
+      const entries = { ...(secureSettings.apiKeys || {}) };
+      // A change that returns false had nothing to write
+      if (change(entries, secureSettings) === false) return;
+      await this.securityService.storeSecureSettings({ ...secureSettings, apiKeys: entries });
+    };
+
+    this.writeQueue = this.writeQueue.then(run, run);
+    return this.writeQueue;
+  }
+
+  // The one API key format check - the vault, the content script and APIService all use it, and
+  // SecurityService.validateApiKey and Validator.validateApiKey delegate here.
+  // Loose prefix and length checks - providers change key formats too often for anything stricter
+  static isValidFormat(provider, key) {
+    if (!key || typeof key !== 'string') return false;
+
+    switch (provider) {
+      case 'openai':
+        return key.startsWith('sk-') && !key.startsWith('sk-ant-') && key.length > 20;
+      case 'gemini':
+        return key.length > 20 && /^[A-Za-z0-9_-]+$/.test(key);
+      case 'openrouter':
+        return key.startsWith('sk-or-') && key.length > 20;
+      case 'anthropic':
+        // 'sk-ant-' followed by a version tag and the secret
+        return key.startsWith('sk-ant-') && key.length >= 40 && /^[A-Za-z0-9_-]+$/.test(key);
+      case 'custom':
+        // Self-hosted servers accept whatever token they were configured with
+        return !/\s/.test(key);
+      default:
+        return false;
+    }
+  }
+
+  // Self-hosted OpenAI-compatible endpoints often run without authentication
+  static requiresKey(provider) {
+    return provider !== 'custom';
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.ApiKeyVault = ApiKeyVault;
+}
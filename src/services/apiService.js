@@ -1,117 +1,653 @@
-// Centralized API service with security and error handling
+// Centralized AI provider layer - request and response mapping for every provider, streaming,
+// structured output, timeouts, rate limiting and retries. Every analysis request goes through here.
 class APIService {
-  constructor() {
-    this.securityService = new SecurityService();
+  constructor({ securityService = null, apiKeyVault = null, rateLimiter = null } = {}) {
+    this.securityService = securityService || new SecurityService();
+    this.apiKeyVault = apiKeyVault || new ApiKeyVault(this.securityService);
+    this.rateLimiter = rateLimiter || (typeof window !== 'undefined' ? window.RateLimiter : null) || null;
     this.baseRetryDelay = 1000;
+    this.maxRetryDelay = 30000;
     this.maxRetries = 3;
+    // Whole request for plain responses; time to the first byte for streams
+    this.requestTimeoutMs = 2 * 60 * 1000;
+    // A stream that sends nothing for this long is treated as dead
+    this.streamIdleTimeoutMs = 60 * 1000;
+    // Local models can take minutes for a long chunk
+    this.customRequestTimeoutMs = 10 * 60 * 1000;
+    this.structuredOutputUnsupported = new Set();
+    this.openRouterModelParameters = null;
   }
 
+  // Same as makeAPICallWithRetry, with the key taken from the vault
   async makeSecureAPICall(provider, model, messages, options = {}) {
+    const apiKey = await this.apiKeyVault.getKey(provider);
+    if (!apiKey && ApiKeyVault.requiresKey(provider)) {
+      throw new Error(`API key not configured for ${provider}`);
+    }
+
+    if (apiKey && !ApiKeyVault.isValidFormat(provider, apiKey)) {
+      throw new Error('Invalid API key format');
+    }
+
+    return await this.makeAPICallWithRetry(provider, model, messages, apiKey, options);
+  }
+
+  // Waits for the provider's rate limit, then retries retryable failures (timeouts, network errors,
+  // 429 and 5xx) with jittered exponential backoff or the delay the provider asked for in Retry-After.
+  // options.onRetry({ attempt, maxRetries, delayMs, error }) is called before each retry.
+  // options.signal cancels the request, any pending retry and the rate limit wait.
+  async makeAPICallWithRetry(provider, model, messages, apiKey, options = {}, retryCount = 0) {
     try {
-      // Check rate limiting
-      const canMakeCall = await this.securityService.checkRateLimit('ai_analysis', 50, 60);
-      if (!canMakeCall) {
-        throw new Error('Rate limit exceeded. Please wait before making more requests.');
+      options.signal?.throwIfAborted();
+      await this.waitForRateLimit(provider, model, options.signal);
+      return await this.makeAPICall(provider, model, messages, apiKey, options);
+    } catch (error) {
+      const delay = retryCount < this.maxRetries && error.retryable ? this.getRetryDelay(error, retryCount) : null;
+      if (delay === null || options.signal?.aborted) {
+        throw error;
       }
 
-      // Get encrypted settings
-      const settings = await this.securityService.getSecureSettings();
-      if (!settings || !settings.apiKey) {
-        throw new Error('API key not configured');
+      console.log(`🔁 Retrying ${provider}/${model} in ${Math.round(delay)}ms (attempt ${retryCount + 1}/${this.maxRetries}):`, error.message);
+      if (typeof options.onRetry === 'function') {
+        options.onRetry({ attempt: retryCount + 1, maxRetries: this.maxRetries, delayMs: delay, error: error });
       }
 
-      // Validate API key
-      if (!this.securityService.validateApiKey(provider, settings.apiKey)) {
-        throw new Error('Invalid API key format');
-      }
+      await APIService.sleep(delay, options.signal);
+      return await this.makeAPICallWithRetry(provider, model, messages, apiKey, options, retryCount + 1);
+    }
+  }
+
+  // The provider's Retry-After wins; otherwise exponential backoff with jitter so parallel
+  // chunk requests do not retry in lockstep. Null when the provider wants a longer pause than we wait.
+  getRetryDelay(error, retryCount) {
+    if (typeof error.retryAfterMs === 'number') {
+      return error.retryAfterMs <= this.maxRetryDelay ? error.retryAfterMs : null;
+    }
 
-      // Make the API call with retry logic
-      return await this.makeAPICallWithRetry(provider, model, messages, settings.apiKey, options);
+    const ceiling = Math.min(this.maxRetryDelay, this.baseRetryDelay * Math.pow(2, retryCount));
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
 
-    } catch (error) {
-      console.error('Secure API call failed:', error);
-      throw error;
+  async waitForRateLimit(provider, model, signal = null) {
+    if (!this.rateLimiter) return;
+
+    while (true) {
+      const status = await this.rateLimiter.isAllowed('ai_analysis', 'default', provider, model);
+      if (status.allowed) return;
+
+      console.warn(`⏳ Waiting ${status.waitTimeSeconds}s for the ${provider} rate limit`);
+      await APIService.sleep(status.waitTimeMs + 100, signal);
     }
   }
 
-  async makeAPICallWithRetry(provider, model, messages, apiKey, options, retryCount = 0) {
+  // Pass options.onClaim to stream the response and receive each claim as soon as it is complete.
+  // Pass options.responseSchema to request provider-native structured output where the model supports it.
+  // Pass options.signal to abort the request; it then rejects with the signal's AbortError.
+  async makeAPICall(provider, model, messages, apiKey, options = {}) {
+    // Custom endpoints are relayed through the background worker, which cannot stream back
+    const stream = typeof options.onClaim === 'function' && provider !== 'custom';
+    const structuredMode = options.responseSchema ? await this.getStructuredOutputMode(provider, model) : 'none';
+    const request = await this.buildRequest(provider, model, messages, apiKey, {
+      stream: stream,
+      structuredMode: structuredMode,
+      responseSchema: options.responseSchema
+    });
+
+    const timeoutMs = provider === 'custom' ? this.customRequestTimeoutMs : this.requestTimeoutMs;
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    const cancel = () => controller.abort();
+    options.signal?.addEventListener('abort', cancel);
+
+    let response = null;
     try {
-      if (provider === 'openai') {
-        return await this.callOpenAI(model, messages, apiKey, options);
-      } else if (provider === 'gemini') {
-        return await this.callGemini(model, messages, apiKey, options);
-      } else {
-        throw new Error(`Unsupported AI provider: ${provider}`);
+      response = provider === 'custom'
+        ? await this.relayCustomProviderRequest(request, controller.signal)
+        : await fetch(request.url, {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal: controller.signal
+        });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+
+        // Some models reject the schema or response_format despite advertising support - use the prompt-only path.
+        // Any other 400 (bad model name, context too long) is a real error and must not be retried without the schema.
+        if (response.status === 400 && structuredMode !== 'none' && APIService.isStructuredOutputRejection(errorData)) {
+          console.warn(`⚠️ ${provider} rejected structured output for ${model}, falling back to prompt-only JSON:`, errorData.error?.message);
+          this.structuredOutputUnsupported.add(`${provider}:${model}`);
+          clearTimeout(timer);
+          return await this.makeAPICall(provider, model, messages, apiKey, { ...options, responseSchema: null });
+        }
+
+        throw this.createHttpError(provider, response.status, errorData, response.headers.get('retry-after'));
       }
+
+      if (!stream) {
+        const data = await response.json();
+
+        // Without a stream, claims are still handed to onClaim - just all at once
+        if (options.onClaim) {
+          new StreamingClaimParser().push(APIService.getResponseText(data) || '').forEach(options.onClaim);
+        }
+
+        return data;
+      }
+
+      // From here on the stream has its own idle timeout
+      clearTimeout(timer);
+      return await this.readStreamingResponse(provider, response, options.onClaim, controller);
     } catch (error) {
-      if (retryCount < this.maxRetries && this.isRetryableError(error)) {
-        const delay = this.baseRetryDelay * Math.pow(2, retryCount);
-        console.log(`Retrying API call in ${delay}ms (attempt ${retryCount + 1}/${this.maxRetries})`);
-        
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return await this.makeAPICallWithRetry(provider, model, messages, apiKey, options, retryCount + 1);
+      if (options.signal?.aborted) {
+        throw options.signal.reason;
+      }
+      if (error.name === 'AbortError' || timedOut) {
+        throw this.createError(provider, 'timeout', `${APIService.getProviderLabel(provider)} did not respond in time. Try again, or pick a faster model.`, { retryable: true });
+      }
+      // fetch rejects with a TypeError when the request never reached the server
+      if (error instanceof TypeError && !response) {
+        throw this.createError(provider, 'network', `Could not reach ${APIService.getProviderLabel(provider)}. Check your internet connection.`, { retryable: true });
       }
       throw error;
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', cancel);
     }
   }
 
-  isRetryableError(error) {
-    // Retry on network errors, rate limits, and temporary server errors
-    return error.message.includes('rate limit') ||
-           error.message.includes('network') ||
-           error.message.includes('timeout') ||
-           (error.status >= 500 && error.status < 600);
-  }
-
-  async callOpenAI(model, messages, apiKey, options) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+  // Provider-specific URL, headers and body for a chat request
+  async buildRequest(provider, model, messages, apiKey, { stream, structuredMode, responseSchema }) {
+    if (provider === 'openai') {
+      const body = {
         model: model,
         messages: messages,
-        temperature: options.temperature || 0.3,
-        max_tokens: options.maxTokens || 4000
-      })
-    });
+        stream: stream
+      };
+      // Reasoning models reject max_tokens and any temperature but the default
+      if (APIService.isOpenAIReasoningModel(model)) {
+        body.max_completion_tokens = 4000;
+      } else {
+        body.temperature = 0.3;
+        body.max_tokens = 4000;
+      }
+      this.applyResponseFormat(body, structuredMode, responseSchema);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+      return {
+        url: 'https://api.openai.com/v1/chat/completions',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: body
+      };
     }
 
-    return await response.json();
-  }
-
-  async callGemini(model, messages, apiKey, options) {
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: messages.map(msg => ({
+    if (provider === 'gemini') {
+      const systemMessage = messages.find(msg => msg.role === 'system');
+      const body = {
+        contents: messages.filter(msg => msg.role !== 'system').map(msg => ({
           role: msg.role === 'assistant' ? 'model' : 'user',
           parts: [{ text: msg.content }]
         })),
         generationConfig: {
-          temperature: options.temperature || 0.3,
-          maxOutputTokens: options.maxTokens || 4000
+          temperature: 0.3,
+          maxOutputTokens: 4000
         }
-      })
+      };
+      if (systemMessage) {
+        body.systemInstruction = { parts: [{ text: systemMessage.content }] };
+      }
+      if (structuredMode === 'json_schema') {
+        body.generationConfig.responseMimeType = 'application/json';
+        body.generationConfig.responseSchema = responseSchema.gemini;
+      }
+
+      return {
+        url: stream
+          ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`
+          : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: body
+      };
+    }
+
+    if (provider === 'openrouter') {
+      const body = {
+        model: model,
+        messages: messages,
+        temperature: 0.3,
+        max_tokens: 4000,
+        stream: stream
+      };
+      this.applyResponseFormat(body, structuredMode, responseSchema);
+      if (structuredMode !== 'none') {
+        // Only route to upstream providers that honour response_format
+        body.provider = { require_parameters: true };
+      }
+
+      return {
+        url: 'https://openrouter.ai/api/v1/chat/completions',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json',
+          'HTTP-Referer': 'https://lieblocker.extension',
+          'X-Title': 'LieBlocker Extension'
+        },
+        body: body
+      };
+    }
+
+    if (provider === 'anthropic') {
+      // The system prompt is a top-level field; messages may only be user or assistant turns
+      const systemMessage = messages.find(msg => msg.role === 'system');
+      const body = {
+        model: model,
+        messages: messages.filter(msg => msg.role !== 'system'),
+        temperature: 0.3,
+        max_tokens: 4000,
+        stream: stream
+      };
+      if (systemMessage) {
+        body.system = systemMessage.content;
+      }
+      if (structuredMode === 'json_schema') {
+        // Structured output is a forced tool call whose input is the claims object
+        const toolName = responseSchema.name || 'fact_check_claims';
+        body.tools = [{ name: toolName, description: 'Report the result', input_schema: responseSchema.strict }];
+        body.tool_choice = { type: 'tool', name: toolName };
+      }
+
+      return {
+        url: 'https://api.anthropic.com/v1/messages',
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          // Required for requests made from a browser context
+          'anthropic-dangerous-direct-browser-access': 'true',
+          'Content-Type': 'application/json'
+        },
+        body: body
+      };
+    }
+
+    if (provider === 'custom') {
+      const customBaseUrl = await this.getCustomBaseUrl();
+      if (!customBaseUrl) {
+        throw new Error('Custom provider is not connected. Set its base URL in the extension settings.');
+      }
+      if (!model) {
+        throw new Error('No model selected for the custom provider');
+      }
+
+      const headers = {
+        'Content-Type': 'application/json'
+      };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+      const body = {
+        model: model,
+        messages: messages,
+        temperature: 0.3,
+        max_tokens: 4000,
+        stream: false
+      };
+      this.applyResponseFormat(body, structuredMode, responseSchema);
+
+      return { url: `${customBaseUrl}/chat/completions`, headers: headers, body: body };
+    }
+
+    throw new Error(`Unsupported AI provider: ${provider}`);
+  }
+
+  // Turn an HTTP failure into an error the user can act on. status, code and retryable let
+  // callers decide between retrying, falling back to another provider and pointing at settings.
+  createHttpError(provider, status, errorData, retryAfterHeader) {
+    const label = APIService.getProviderLabel(provider);
+    const detail = errorData.error?.message || 'Unknown error';
+    const retryAfterMs = APIService.parseRetryAfter(retryAfterHeader);
+
+    if (status === 401 || status === 403) {
+      return this.createError(provider, 'auth', `${label} rejected the API key (${status}). Check the ${label} key in the extension settings.`, { status, detail });
+    }
+
+    if (status === 402 || errorData.error?.code === 'insufficient_quota') {
+      return this.createError(provider, 'quota', `${label} account is out of credit or quota (${status}). Add credit or switch to another provider.`, { status, detail });
+    }
+
+    if (status === 429) {
+      return this.createError(provider, 'rate_limit', `${label} rate limit reached (429). Wait a minute, pick another model or set a fallback provider.`, { status, detail, retryable: true, retryAfterMs });
+    }
+
+    // 529 is Anthropic's "overloaded"
+    if (status >= 500 || status === 408) {
+      return this.createError(provider, 'server', `${label} is unavailable right now (${status}). Try again later or set a fallback provider.`, { status, detail, retryable: true, retryAfterMs });
+    }
+
+    return this.createError(provider, 'request', `${provider} API error: ${status} - ${detail}`, { status, detail });
+  }
+
+  createError(provider, code, message, { status = null, detail = null, retryable = false, retryAfterMs = null } = {}) {
+    const error = new Error(message);
+    error.provider = provider;
+    error.code = code;
+    error.status = status;
+    error.detail = detail;
+    error.retryable = retryable;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+  }
+
+  async getCustomBaseUrl() {
+    const result = await chrome.storage.local.get(['customBaseUrl']);
+    return result.customBaseUrl || null;
+  }
+
+  // Self-hosted servers rarely allow youtube.com as a CORS origin; the background worker makes
+  // the request with the host permission granted in settings and hands back status and body
+  // On timeout or cancel the background fetch keeps running, but its result is ignored
+  relayCustomProviderRequest(request, signal) {
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+
+      const fail = (message) => {
+        reject(this.createError('custom', 'network', `custom API error: ${message}`, { retryable: true }));
+      };
+
+      try {
+        chrome.runtime.sendMessage({
+          type: 'customProviderRequest',
+          method: 'POST',
+          url: request.url,
+          headers: request.headers,
+          body: request.body
+        }, (result) => {
+          if (chrome.runtime.lastError) {
+            fail(chrome.runtime.lastError.message);
+            return;
+          }
+          if (!result) {
+            fail('no response from the extension background');
+            return;
+          }
+
+          if (result.error) {
+            reject(this.createError('custom', 'request', `custom API error: ${result.error}`));
+            return;
+          }
+
+          const headers = { 'Content-Type': 'application/json' };
+          if (result.retryAfter) {
+            headers['Retry-After'] = result.retryAfter;
+          }
+          resolve(new Response(result.body, { status: result.status, headers: headers }));
+        });
+      } catch (error) {
+        fail(error.message);
+      }
     });
+  }
+
+  // Which structured output mechanism a model supports: 'json_schema', 'json_object' or 'none'
+  async getStructuredOutputMode(provider, model) {
+    if (this.structuredOutputUnsupported.has(`${provider}:${model}`)) {
+      return 'none';
+    }
+
+    if (provider === 'openai') {
+      if (/^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4)/.test(model)) return 'json_schema';
+      if (/^(gpt-4-turbo|gpt-3\.5-turbo)/.test(model)) return 'json_object';
+      return 'none';
+    }
+
+    if (provider === 'gemini') {
+      return /^gemini-(1\.5|[2-9])/.test(model) ? 'json_schema' : 'none';
+    }
+
+    // Every Claude 3+ model supports forced tool use
+    if (provider === 'anthropic') {
+      return 'json_schema';
+    }
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    // Ollama, llama.cpp server and vLLM accept json_schema; older builds reject response_format and fall back
+    if (provider === 'custom') {
+      return 'json_schema';
     }
 
-    return await response.json();
+    if (provider === 'openrouter') {
+      const parameters = await this.getOpenRouterModelParameters(model);
+      if (parameters.includes('structured_outputs')) return 'json_schema';
+      if (parameters.includes('response_format')) return 'json_object';
+    }
+
+    return 'none';
+  }
+
+  applyResponseFormat(body, structuredMode, responseSchema) {
+    if (structuredMode === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: responseSchema.name || 'fact_check_claims',
+          strict: true,
+          schema: responseSchema.strict
+        }
+      };
+    } else if (structuredMode === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    }
+  }
+
+  // OpenRouter lists the request parameters each model accepts; cached for a day
+  async getOpenRouterModelParameters(model) {
+    const cacheKey = 'openrouterModelParameters';
+
+    try {
+      if (!this.openRouterModelParameters) {
+        const result = await chrome.storage.local.get([cacheKey]);
+        const cached = result[cacheKey];
+        if (cached && Date.now() - cached.timestamp < 24 * 60 * 60 * 1000) {
+          this.openRouterModelParameters = cached.models;
+        }
+      }
+
+      if (!this.openRouterModelParameters) {
+        const response = await fetch('https://openrouter.ai/api/v1/models');
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.openRouterModelParameters = {};
+        (data.data || []).forEach(entry => {
+          this.openRouterModelParameters[entry.id] = entry.supported_parameters || [];
+        });
+
+        chrome.storage.local.set({ [cacheKey]: { models: this.openRouterModelParameters, timestamp: Date.now() } });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not load OpenRouter model capabilities:', error.message);
+      return [];
+    }
+
+    return this.openRouterModelParameters[model] || [];
+  }
+
+  // Read a server-sent event stream, feeding text deltas to the incremental claim parser.
+  // Resolves to the same shape as a non-streamed response so parseAIResponse handles both.
+  async readStreamingResponse(provider, response, onClaim, controller) {
+    const parser = new StreamingClaimParser();
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let pending = '';
+    let idleTimer = null;
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => controller.abort(), this.streamIdleTimeoutMs);
+    };
+
+    const handleEvent = (data) => {
+      if (!data || data === '[DONE]') return;
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+
+      if (payload.error) {
+        // Mid-stream errors are overload or rate limit conditions; retry only if nothing arrived yet
+        throw this.createError(provider, 'server', `${provider} API error: ${payload.error.message || 'Stream error'}`, {
+          detail: payload.error.message,
+          retryable: !parser.text
+        });
+      }
+
+      const delta = APIService.getStreamDelta(provider, payload);
+      if (delta) {
+        parser.push(delta).forEach(onClaim);
+      }
+    };
+
+    try {
+      resetIdleTimer();
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        resetIdleTimer();
+
+        pending += decoder.decode(value, { stream: true });
+        const lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+
+        // Lines starting with ":" are keep-alive comments (OpenRouter sends these while queued)
+        lines
+          .filter(line => line.startsWith('data:'))
+          .forEach(line => handleEvent(line.slice(5).trim()));
+      }
+
+      if (pending.startsWith('data:')) {
+        handleEvent(pending.slice(5).trim());
+      }
+    } catch (error) {
+      // A stream that stalls after claims were already emitted is not retried - they would arrive twice
+      if (error.name === 'AbortError' && parser.text) {
+        throw this.createError(provider, 'timeout', `${APIService.getProviderLabel(provider)} stopped responding mid-answer. Try again, or pick a faster model.`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(idleTimer);
+    }
+
+    if (provider === 'gemini') {
+      return { candidates: [{ content: { parts: [{ text: parser.text }] } }] };
+    }
+    if (provider === 'anthropic') {
+      return { content: [{ type: 'text', text: parser.text }] };
+    }
+    return { choices: [{ message: { content: parser.text } }] };
+  }
+
+  static getStreamDelta(provider, payload) {
+    if (provider === 'gemini') {
+      return (payload.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+    }
+
+    // Anthropic streams text and forced tool input as separate delta types
+    if (provider === 'anthropic') {
+      if (payload.type !== 'content_block_delta') return '';
+      return payload.delta?.text || payload.delta?.partial_json || '';
+    }
+
+    return payload.choices?.[0]?.delta?.content || '';
+  }
+
+  // The model's reply text for any provider's response shape, or null if there is none
+  static getResponseText(response) {
+    // Handle OpenAI response format
+    if (response?.choices && response.choices[0]) {
+      return response.choices[0].message?.content ?? null;
+    }
+    // Handle Gemini response format
+    if (response?.candidates && response.candidates[0]) {
+      const parts = response.candidates[0].content?.parts || [];
+      return parts.map(part => part.text || '').join('');
+    }
+    // Handle Anthropic response format: text blocks, or the input of the forced tool call
+    if (Array.isArray(response?.content)) {
+      return response.content
+        .map(block => (block.type === 'tool_use' ? JSON.stringify(block.input) : block.text || ''))
+        .join('');
+    }
+    return null;
+  }
+
+  // Delta-seconds or an HTTP date, in milliseconds from now
+  static parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  // Whether a 400 names the structured output parameters we sent: response_format (OpenAI-style),
+  // responseSchema/responseMimeType (Gemini) or the forced tool (Anthropic). Providers put the
+  // name in the message, param or metadata, so the whole error object is searched.
+  static isStructuredOutputRejection(errorData) {
+    const error = errorData?.error ?? errorData;
+    const text = typeof error === 'string' ? error : JSON.stringify(error || {});
+    return /response_format|json_schema|json_object|response_?schema|response_?mime_?type|structured[ _-]?outputs?|tool_choice|input_schema/i.test(text);
+  }
+
+  // o1, o3, o4-mini, gpt-5 and their dated versions; gpt-5-chat is a regular chat model
+  static isOpenAIReasoningModel(model) {
+    return /^(o\d|gpt-5(?!-chat))/.test(model || '');
+  }
+
+  static getProviderLabel(provider) {
+    const labels = {
+      openai: 'OpenAI',
+      gemini: 'Gemini',
+      openrouter: 'OpenRouter',
+      anthropic: 'Anthropic',
+      custom: 'Custom endpoint'
+    };
+    return labels[provider] || provider;
+  }
+
+  // Rejects with the signal's AbortError when cancelled while waiting
+  static sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
 // Export for use in other parts of the extension
-window.APIService = APIService;
\ No newline at end of file
+window.APIService = APIService;
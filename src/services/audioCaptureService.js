@@ -0,0 +1,145 @@
+// Audio capture service - records the page's <video> audio as 16 kHz mono PCM windows
+// for the local speech-to-text fallback
+class AudioCaptureService {
+  constructor() {
+    this.sampleRate = 16000;
+    this.windowSeconds = 30;
+    this.bufferSize = 4096;
+  }
+
+  isSupported(video) {
+    return Boolean(video) &&
+      (typeof video.captureStream === 'function' || typeof video.mozCaptureStream === 'function') &&
+      typeof AudioContext !== 'undefined';
+  }
+
+  // Play the video from the start and hand each captured window to onWindow(samples, offsetSeconds).
+  // Windows are flushed early on seeks so every window maps to one continuous stretch of media time.
+  // Resolves once maxSeconds of media time have played or the video ends; rejects when signal aborts.
+  async capture(video, { maxSeconds, onWindow, onProgress, signal = null } = {}) {
+    signal?.throwIfAborted();
+
+    if (!this.isSupported(video)) {
+      throw new Error('Audio capture is not supported for this video');
+    }
+
+    const stream = video.captureStream ? video.captureStream() : video.mozCaptureStream();
+    if (stream.getAudioTracks().length === 0) {
+      throw new Error('Video has no audio track to capture');
+    }
+
+    const targetSeconds = Math.min(maxSeconds || Infinity, video.duration || Infinity);
+    const audioContext = new AudioContext({ sampleRate: this.sampleRate });
+    const source = audioContext.createMediaStreamSource(new MediaStream(stream.getAudioTracks()));
+    const processor = audioContext.createScriptProcessor(this.bufferSize, 1, 1);
+
+    // Keep the processor running without sending captured audio to the speakers twice
+    const silentOutput = audioContext.createGain();
+    silentOutput.gain.value = 0;
+
+    let chunks = [];
+    let chunkSamples = 0;
+    let windowOffset = null;
+    const pendingWindows = [];
+
+    const flushWindow = () => {
+      if (chunkSamples === 0 || windowOffset === null) return;
+
+      const samples = new Float32Array(chunkSamples);
+      let position = 0;
+      chunks.forEach(chunk => {
+        samples.set(chunk, position);
+        position += chunk.length;
+      });
+
+      pendingWindows.push(Promise.resolve(onWindow(samples, windowOffset)));
+      chunks = [];
+      chunkSamples = 0;
+      windowOffset = null;
+    };
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        video.removeEventListener('seeking', handleSeeking);
+        video.removeEventListener('ended', handleEnded);
+        signal?.removeEventListener('abort', handleAbort);
+        processor.onaudioprocess = null;
+        source.disconnect();
+        processor.disconnect();
+        silentOutput.disconnect();
+        audioContext.close().catch(() => {});
+      };
+
+      const finish = () => {
+        flushWindow();
+        cleanup();
+        Promise.all(pendingWindows).then(resolve, reject);
+      };
+
+      const handleSeeking = () => flushWindow();
+      const handleEnded = () => finish();
+      // Windows still being transcribed are dropped
+      const handleAbort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+
+      processor.onaudioprocess = (event) => {
+        if (video.paused || video.seeking) return;
+
+        const input = event.inputBuffer.getChannelData(0);
+        if (windowOffset === null) {
+          windowOffset = Math.max(0, video.currentTime - input.length / this.sampleRate);
+        }
+
+        chunks.push(new Float32Array(input));
+        chunkSamples += input.length;
+
+        if (onProgress) {
+          onProgress(Math.min(video.currentTime, targetSeconds), targetSeconds);
+        }
+
+        if (video.currentTime >= targetSeconds) {
+          finish();
+        } else if (chunkSamples >= this.windowSeconds * this.sampleRate) {
+          flushWindow();
+        }
+      };
+
+      video.addEventListener('seeking', handleSeeking);
+      video.addEventListener('ended', handleEnded);
+      signal?.addEventListener('abort', handleAbort);
+
+      source.connect(processor);
+      processor.connect(silentOutput);
+      silentOutput.connect(audioContext.destination);
+
+      video.currentTime = 0;
+      video.play().catch(error => {
+        cleanup();
+        reject(new Error(`Could not start playback for audio capture: ${error.message}`));
+      });
+    });
+  }
+
+  // 16-bit PCM as base64 keeps runtime messages a quarter the size of JSON float arrays
+  encodePcm16(samples) {
+    const pcm = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const clamped = Math.max(-1, Math.min(1, samples[i]));
+      pcm[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+    }
+
+    const bytes = new Uint8Array(pcm.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.AudioCaptureService = AudioCaptureService;
+}
@@ -0,0 +1,292 @@
+// Caption track service - reads YouTube's caption track list from the player response
+// and downloads timed text directly, without opening the transcript panel
+class CaptionTrackService {
+  constructor() {
+    this.playerResponseMarker = 'ytInitialPlayerResponse';
+    this.requestTimeout = 15000;
+  }
+
+  // Get caption segments for a video as [{ start, duration, text }] (seconds)
+  // options.preferredLanguage: language code or 'auto' for the video's own track
+  // options.foreignMode: 'original' or 'translate' when no track in the preferred language exists
+  // options.signal: AbortSignal that cancels the downloads
+  async getTranscriptSegments(videoId, options = {}) {
+    const playerResponse = await this.getPlayerResponse(videoId, options.signal);
+    const tracks = this.getCaptionTracks(playerResponse);
+
+    if (tracks.length === 0) {
+      throw new Error('No caption tracks available for this video');
+    }
+
+    const track = this.selectTrack(tracks, {
+      ...options,
+      translationLanguages: this.getTranslationLanguages(playerResponse)
+    });
+    console.log('🎯 Selected caption track:', track.languageCode, track.kind === 'asr' ? '(auto-generated)' : '(manual)',
+      track.translatedFrom ? `translated from ${track.translatedFrom}` : '');
+
+    const segments = await this.fetchTimedText(track, options.signal);
+    if (segments.length === 0) {
+      throw new Error('Caption track is empty');
+    }
+
+    return { segments, track };
+  }
+
+  // Locate the player response for the given video, preferring the copy embedded in the page
+  async getPlayerResponse(videoId, signal = null) {
+    const embedded = this.getEmbeddedPlayerResponse();
+    if (embedded && embedded.videoDetails?.videoId === videoId) {
+      return embedded;
+    }
+
+    // YouTube is a SPA - after navigation the embedded response belongs to the first video,
+    // so fetch the watch page for the current video instead
+    const html = await this.fetchText(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, signal);
+    const fetched = this.extractPlayerResponseFromHtml(html);
+
+    if (!fetched) {
+      throw new Error('Player response not found in watch page');
+    }
+
+    if (fetched.videoDetails?.videoId && fetched.videoDetails.videoId !== videoId) {
+      throw new Error('Player response belongs to a different video');
+    }
+
+    return fetched;
+  }
+
+  getEmbeddedPlayerResponse() {
+    const scripts = document.querySelectorAll('script');
+
+    for (const script of scripts) {
+      const text = script.textContent;
+      if (text && text.includes(this.playerResponseMarker)) {
+        const parsed = this.extractPlayerResponseFromHtml(text);
+        if (parsed) {
+          return parsed;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // Pull the ytInitialPlayerResponse object literal out of arbitrary page source
+  extractPlayerResponseFromHtml(html) {
+    if (typeof html !== 'string') return null;
+
+    let searchFrom = 0;
+    while (true) {
+      const markerIndex = html.indexOf(this.playerResponseMarker, searchFrom);
+      if (markerIndex === -1) return null;
+
+      const start = html.indexOf('{', markerIndex);
+      const assignment = html.slice(markerIndex + this.playerResponseMarker.length, start);
+
+      // Only accept "ytInitialPlayerResponse = {" style assignments
+      if (start !== -1 && /^\s*=\s*$/.test(assignment)) {
+        const json = this.readBalancedObject(html, start);
+        if (json) {
+          try {
+            return JSON.parse(json);
+          } catch (error) {
+            console.warn('⚠️ Failed to parse embedded player response:', error.message);
+          }
+        }
+      }
+
+      searchFrom = markerIndex + this.playerResponseMarker.length;
+    }
+  }
+
+  // Scan from an opening brace to its matching closing brace, respecting JSON strings
+  readBalancedObject(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return text.slice(start, i + 1);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  getCaptionTracks(playerResponse) {
+    const tracks = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+    return Array.isArray(tracks) ? tracks.filter(track => track && track.baseUrl) : [];
+  }
+
+  getTranslationLanguages(playerResponse) {
+    const languages = playerResponse?.captions?.playerCaptionsTracklistRenderer?.translationLanguages;
+    return Array.isArray(languages) ? languages : [];
+  }
+
+  // Pick the track to analyze. Within a language, auto-generated tracks come first,
+  // matching the priority of the DOM strategies.
+  selectTrack(tracks, { preferredLanguage = 'auto', foreignMode = 'original', translationLanguages = [] } = {}) {
+    const byPriority = list => list.find(track => track.kind === 'asr') || list[0];
+
+    if (!preferredLanguage || preferredLanguage === 'auto') {
+      return byPriority(tracks);
+    }
+
+    const matching = tracks.filter(track => this.matchesLanguage(track.languageCode, preferredLanguage));
+    if (matching.length > 0) {
+      return byPriority(matching);
+    }
+
+    if (foreignMode === 'translate') {
+      const translatable = tracks.filter(track => track.isTranslatable !== false);
+      const targetSupported = translationLanguages.length === 0 ||
+        translationLanguages.some(language => this.matchesLanguage(language.languageCode, preferredLanguage));
+
+      if (translatable.length > 0 && targetSupported) {
+        return this.buildTranslatedTrack(byPriority(translatable), preferredLanguage, translationLanguages);
+      }
+
+      console.log(`⚠️ No translatable caption track for ${preferredLanguage}, using original language`);
+    }
+
+    return byPriority(tracks);
+  }
+
+  // YouTube serves machine translations of a track through the tlang parameter
+  buildTranslatedTrack(sourceTrack, targetLanguage, translationLanguages = []) {
+    const url = new URL(sourceTrack.baseUrl, 'https://www.youtube.com');
+    url.searchParams.set('tlang', targetLanguage);
+
+    const target = translationLanguages.find(language => this.matchesLanguage(language.languageCode, targetLanguage));
+
+    return {
+      ...sourceTrack,
+      baseUrl: url.toString(),
+      languageCode: targetLanguage,
+      name: target?.languageName || sourceTrack.name,
+      translatedFrom: sourceTrack.languageCode
+    };
+  }
+
+  matchesLanguage(languageCode, preferredLanguage) {
+    if (!languageCode || !preferredLanguage) return false;
+    return languageCode.toLowerCase().split('-')[0] === preferredLanguage.toLowerCase().split('-')[0];
+  }
+
+  getTrackName(track) {
+    if (track.name?.simpleText) return track.name.simpleText;
+    if (Array.isArray(track.name?.runs)) return track.name.runs.map(run => run.text).join('');
+    return null;
+  }
+
+  async fetchTimedText(track, signal = null) {
+    // json3 is the most structured format; srv3 (XML) is the fallback
+    try {
+      const data = JSON.parse(await this.fetchText(this.buildTrackUrl(track.baseUrl, 'json3'), signal));
+      const segments = this.parseJson3(data);
+      if (segments.length > 0) {
+        return segments;
+      }
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.log('⚠️ json3 caption download failed:', error.message);
+    }
+
+    const xml = await this.fetchText(this.buildTrackUrl(track.baseUrl, 'srv3'), signal);
+    return this.parseSrv3(xml);
+  }
+
+  buildTrackUrl(baseUrl, format) {
+    const url = new URL(baseUrl, 'https://www.youtube.com');
+    url.searchParams.set('fmt', format);
+    return url.toString();
+  }
+
+  parseJson3(data) {
+    const events = Array.isArray(data?.events) ? data.events : [];
+
+    return events
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        start: (event.tStartMs || 0) / 1000,
+        duration: (event.dDurationMs || 0) / 1000,
+        text: this.normalizeText(event.segs.map(seg => seg.utf8 || '').join(''))
+      }))
+      .filter(segment => segment.text.length > 0);
+  }
+
+  parseSrv3(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'text/xml');
+    const paragraphs = Array.from(doc.getElementsByTagName('p'));
+
+    return paragraphs
+      .map(p => ({
+        start: (Number(p.getAttribute('t')) || 0) / 1000,
+        duration: (Number(p.getAttribute('d')) || 0) / 1000,
+        text: this.normalizeText(p.textContent || '')
+      }))
+      .filter(segment => segment.text.length > 0);
+  }
+
+  normalizeText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  async fetchText(url, signal = null) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.requestTimeout);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    try {
+      const response = await fetch(url, {
+        credentials: 'include',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.text();
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (error.name === 'AbortError') {
+        throw new Error('Caption request timeout');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.CaptionTrackService = CaptionTrackService;
+}
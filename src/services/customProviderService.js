@@ -0,0 +1,116 @@
+// Custom OpenAI-compatible provider (Ollama, llama.cpp server, vLLM) on this or another machine -
+// base URL checks, the runtime host permission, and the background relay that every request to
+// the server goes through. Self-hosted servers rarely allow youtube.com or the extension as a
+// CORS origin; the relay only reaches the one origin the user granted in settings.
+class CustomProviderService {
+  // A trailing slash or a missing /v1 are the most common copy-paste differences
+  static normalizeBaseUrl(value) {
+    let url;
+    try {
+      url = new URL(String(value || '').trim());
+    } catch (error) {
+      throw new Error('Enter a full URL such as http://localhost:11434/v1');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Use an http:// or https:// URL');
+    }
+
+    let path = url.pathname.replace(/\/+$/, '');
+    if (!/\/v\d+$/.test(path)) {
+      path += '/v1';
+    }
+
+    return `${url.origin}${path}`;
+  }
+
+  static getOriginPattern(baseUrl) {
+    return `${new URL(baseUrl).origin}/*`;
+  }
+
+  // Popup side. Needs the click's user gesture, so call it before awaiting anything else.
+  // The base URL is stored right away because the relay only forwards requests under it.
+  static async requestAccess(baseUrl) {
+    const granted = await chrome.permissions.request({ origins: [CustomProviderService.getOriginPattern(baseUrl)] });
+    if (!granted) {
+      throw new Error(`Access to ${new URL(baseUrl).origin} was not granted`);
+    }
+
+    await chrome.storage.local.set({ customBaseUrl: baseUrl });
+  }
+
+  // Popup side - the model list goes through the same background relay as the analysis
+  // requests, so the URL and permission checks live in one place
+  static async listModels(baseUrl, apiKey = '') {
+    const result = await chrome.runtime.sendMessage({
+      type: 'customProviderRequest',
+      method: 'GET',
+      url: `${baseUrl}/models`,
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+    });
+    if (!result) {
+      throw new Error('No response from the extension background');
+    }
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    if (result.status < 200 || result.status >= 300) {
+      throw new Error(`Server answered ${result.status}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(result.body);
+    } catch (error) {
+      throw new Error('Server did not answer with a model list');
+    }
+
+    const models = (data.data || data.models || [])
+      .map(entry => entry.id || entry.name)
+      .filter(Boolean)
+      .sort();
+    if (models.length === 0) {
+      throw new Error('Server did not list any models');
+    }
+
+    return models;
+  }
+
+  // Background side. Only GET and POST requests under the configured base URL are relayed,
+  // and only while the host permission is granted. Resolves with { status, body, retryAfter }
+  // or { error }.
+  static async relayRequest({ url, method = 'POST', headers = {}, body }) {
+    try {
+      const { customBaseUrl } = await chrome.storage.local.get(['customBaseUrl']);
+      if (!customBaseUrl || typeof url !== 'string' || !url.startsWith(`${customBaseUrl}/`)) {
+        return { error: 'Request does not match the configured custom endpoint' };
+      }
+      if (!['GET', 'POST'].includes(method)) {
+        return { error: `Unsupported method ${method}` };
+      }
+
+      const granted = await chrome.permissions.contains({ origins: [CustomProviderService.getOriginPattern(customBaseUrl)] });
+      if (!granted) {
+        return { error: `Access to ${new URL(customBaseUrl).origin} was not granted - reconnect the custom provider in settings` };
+      }
+
+      const response = await fetch(url, {
+        method: method,
+        headers: headers,
+        body: method === 'POST' ? JSON.stringify(body) : undefined
+      });
+
+      return {
+        status: response.status,
+        body: await response.text(),
+        retryAfter: response.headers.get('retry-after')
+      };
+    } catch (error) {
+      console.error('Error relaying custom provider request:', error);
+      return { error: error.message };
+    }
+  }
+}
+
+// Export for use in the popup and the background service worker
+globalThis.CustomProviderService = CustomProviderService;
@@ -221,23 +221,11 @@ class SecurityService {
     }
   }
 
-  // API key validation with enhanced checks
+  // API key validation - the format rules live in ApiKeyVault.isValidFormat
   validateApiKey(provider, key) {
     if (!key || typeof key !== 'string') return false;
     
-    // Remove any whitespace
-    key = key.trim();
-    
-    switch (provider) {
-      case 'openai':
-        // OpenAI keys start with 'sk-' and have specific length patterns
-        return key.startsWith('sk-') && key.length >= 51 && key.length <= 56;
-      case 'gemini':
-        // Gemini keys are typically 39 characters long
-        return key.length >= 35 && key.length <= 45 && /^[A-Za-z0-9_-]+$/.test(key);
-      default:
-        return false;
-    }
+    return ApiKeyVault.isValidFormat(provider, key.trim());
   }
 
   // Enhanced rate limiting with sliding window
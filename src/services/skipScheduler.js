@@ -0,0 +1,244 @@
+// Skip scheduler - applies the configured action (skip, mute, blur, pause, annotate) to flagged
+// claims during playback. Lies are merged into sorted, non-overlapping ranges; player events
+// (plus one timer for the next range boundary) decide when a range starts and ends, so nothing
+// polls while the video is paused or far from a lie.
+class SkipScheduler {
+  constructor({ onSkip, onEnter, onLeave, getAction } = {}) {
+    this.onSkip = onSkip || (() => {});
+    // Non-skip actions run from onEnter until onLeave
+    this.onEnter = onEnter || (() => {});
+    this.onLeave = onLeave || (() => {});
+    this.getAction = getAction || (() => 'skip');
+    this.video = null;
+    this.ranges = [];
+    this.timer = null;
+    // The non-skip range whose action is currently applied
+    this.activeRange = null;
+    // The range the user seeked into on purpose - not skipped or paused until playback leaves it
+    this.allowedRange = null;
+    // Where our own skip is going, so its 'seeking' event is not taken for a user seek
+    this.skipTarget = null;
+    this.handleTimeUpdate = () => this.check();
+    this.handleSeeking = () => this.onSeeking();
+    this.handleReschedule = () => this.check();
+    this.handlePause = () => this.clearTimer();
+  }
+
+  attachVideo(video) {
+    if (this.video === video) return;
+
+    if (this.video) {
+      this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+      this.video.removeEventListener('seeking', this.handleSeeking);
+      this.video.removeEventListener('seeked', this.handleReschedule);
+      this.video.removeEventListener('play', this.handleReschedule);
+      this.video.removeEventListener('ratechange', this.handleReschedule);
+      this.video.removeEventListener('pause', this.handlePause);
+    }
+
+    this.clearTimer();
+    this.leaveActiveRange();
+    this.video = video;
+    this.allowedRange = null;
+    this.skipTarget = null;
+
+    if (this.video) {
+      this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+      this.video.addEventListener('seeking', this.handleSeeking);
+      this.video.addEventListener('seeked', this.handleReschedule);
+      this.video.addEventListener('play', this.handleReschedule);
+      this.video.addEventListener('ratechange', this.handleReschedule);
+      this.video.addEventListener('pause', this.handlePause);
+      this.check();
+    }
+  }
+
+  // An empty list turns all actions off. Also called when the configured actions change.
+  setLies(lies) {
+    const previousAllowed = this.allowedRange;
+    const previousActive = this.activeRange;
+    this.ranges = SkipScheduler.buildRanges(lies, this.getAction);
+
+    // Keep honouring a deliberate seek if the updated lies still cover that spot
+    this.allowedRange = previousAllowed ? this.findRange(previousAllowed.start) : null;
+
+    // Streamed updates arrive often - an unchanged action keeps running instead of restarting
+    const active = previousActive ? this.findRange(previousActive.start) : null;
+    if (active && active.action === previousActive.action) {
+      this.activeRange = active;
+    } else {
+      this.leaveActiveRange();
+    }
+
+    this.check();
+  }
+
+  // Called on a new video - nothing from the previous one carries over
+  reset() {
+    this.clearTimer();
+    this.leaveActiveRange();
+    this.ranges = [];
+    this.allowedRange = null;
+    this.skipTarget = null;
+  }
+
+  destroy() {
+    this.reset();
+    this.attachVideo(null);
+  }
+
+  // Sorted ranges with overlapping or touching lies merged; a merged range takes the strongest
+  // action of its lies, so a skip is never weakened by an overlapping annotate-only lie
+  static buildRanges(lies, getAction = () => 'skip') {
+    const ranges = (Array.isArray(lies) ? lies : [])
+      .filter(lie => Number.isFinite(lie.timestamp_seconds))
+      .map(lie => ({
+        start: Math.max(0, lie.timestamp_seconds),
+        end: Math.max(0, lie.timestamp_seconds) + (lie.duration_seconds || 10),
+        action: getAction(lie),
+        lies: [lie]
+      }))
+      .filter(range => SkipScheduler.ACTIONS.includes(range.action))
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    ranges.forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+        last.lies.push(...range.lies);
+        if (SkipScheduler.ACTIONS.indexOf(range.action) > SkipScheduler.ACTIONS.indexOf(last.action)) {
+          last.action = range.action;
+        }
+      } else {
+        merged.push(range);
+      }
+    });
+    return merged;
+  }
+
+  // Index of the last range starting at or before time, by binary search
+  findRangeIndex(time) {
+    let low = 0;
+    let high = this.ranges.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (this.ranges[middle].start <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found;
+  }
+
+  findRange(time) {
+    const range = this.ranges[this.findRangeIndex(time)];
+    return range && time < range.end ? range : null;
+  }
+
+  onSeeking() {
+    this.clearTimer();
+    if (!this.video) return;
+
+    const time = this.video.currentTime;
+    if (this.skipTarget !== null && Math.abs(time - this.skipTarget) < 0.5) {
+      this.skipTarget = null;
+      return;
+    }
+
+    // The user moved the playhead; landing inside a lie means they want to watch it
+    this.skipTarget = null;
+    this.allowedRange = this.findRange(time);
+  }
+
+  check() {
+    this.clearTimer();
+    if (!this.video) return;
+
+    const time = this.video.currentTime;
+    const range = this.findRange(time);
+
+    if (this.allowedRange && range !== this.allowedRange) {
+      this.allowedRange = null;
+    }
+    if (this.activeRange && range !== this.activeRange) {
+      this.leaveActiveRange();
+    }
+
+    if (range && range !== this.activeRange && !this.video.seeking) {
+      // Skipping and pausing take over playback, so a deliberate seek turns them off;
+      // muting, blurring and annotating still apply
+      const interrupts = range.action === 'skip' || range.action === 'pause';
+      if (!interrupts || range !== this.allowedRange) {
+        if (range.action === 'skip') {
+          this.skip(range);
+          return;
+        }
+
+        this.activeRange = range;
+        this.onEnter(range);
+      }
+    }
+
+    this.scheduleNext(time, range);
+  }
+
+  // Skip a range on request, e.g. from the pause prompt
+  skipRange(range) {
+    if (!this.video) return;
+
+    if (this.activeRange === range) {
+      this.leaveActiveRange();
+    }
+    this.skip(range);
+  }
+
+  skip(range) {
+    const duration = this.video.duration;
+    const target = Number.isFinite(duration) ? Math.min(range.end, duration) : range.end;
+
+    this.skipTarget = target;
+    this.video.currentTime = target;
+    this.onSkip(range.lies[0], range);
+  }
+
+  leaveActiveRange() {
+    const range = this.activeRange;
+    if (!range) return;
+
+    this.activeRange = null;
+    this.onLeave(range);
+  }
+
+  // 'timeupdate' only fires every 250ms or so; a timer catches the next range start or end on time
+  scheduleNext(time, currentRange) {
+    if (this.video.paused || this.video.ended) return;
+
+    const next = this.ranges[this.findRangeIndex(time) + 1];
+    const boundary = currentRange ? currentRange.end : next?.start;
+    if (boundary === undefined) return;
+
+    const rate = this.video.playbackRate || 1;
+    const delayMs = ((boundary - time) / rate) * 1000;
+    this.timer = setTimeout(() => this.check(), Math.max(0, delayMs));
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Weakest to strongest - the order decides which action a merged range gets
+SkipScheduler.ACTIONS = ['annotate', 'mute', 'blur', 'pause', 'skip'];
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.SkipScheduler = SkipScheduler;
+}
@@ -0,0 +1,200 @@
+// Fact-check card - shown inside the player while a flagged claim is being spoken, with the
+// claim, explanation and evidence plus skip, dismiss and dispute buttons. Rendered with SafeDom,
+// inside the player so it stays visible in fullscreen.
+class FactCheckCard {
+  constructor() {
+    this.host = null;
+    this.root = null;
+  }
+
+  // Replaces any card already showing. Focus stays on the player; the buttons are reachable
+  // with Tab and Escape dismisses while focus is inside the card.
+  show(video, lie, { title = 'Flagged claim', onSkip, onDismiss, onDispute } = {}) {
+    this.hide();
+
+    const player = video.closest('#movie_player, .html5-video-player') || video.parentElement;
+    if (!player) return;
+
+    const { host, root } = SafeDom.createHost('lieblocker-fact-check-card', FactCheckCard.STYLES);
+    this.host = host;
+    this.root = root;
+
+    const severity = FactCheckCard.SEVERITIES.includes(lie.severity) ? lie.severity : 'medium';
+    const card = SafeDom.el('section', {
+      className: `card severity-${severity}`,
+      attributes: { role: 'region', 'aria-label': 'LieBlocker fact check' }
+    }, [
+      SafeDom.el('div', { className: 'heading', attributes: { 'aria-live': 'polite' } }, [
+        SafeDom.el('span', { className: 'badge', text: severity }),
+        title
+      ]),
+      SafeDom.el('p', { className: 'claim', text: `"${lie.claim_text || ''}"` }),
+      lie.explanation && SafeDom.el('p', { className: 'explanation', text: lie.explanation }),
+      this.renderEvidence(lie)
+    ]);
+
+    const actions = SafeDom.el('div', { className: 'actions' });
+    [
+      { label: 'Dispute', handler: onDispute, title: 'Report this claim as wrongly flagged' },
+      { label: 'Dismiss', handler: onDismiss, title: 'Hide this card (Esc)' },
+      { label: 'Skip', handler: onSkip, title: 'Jump past this claim', primary: true }
+    ].forEach(({ label, handler, title, primary }) => {
+      const button = SafeDom.el('button', {
+        className: primary ? 'primary' : undefined,
+        text: label,
+        title,
+        attributes: { type: 'button' }
+      });
+      button.addEventListener('click', () => {
+        this.hide();
+        if (handler) handler(lie);
+      });
+      actions.appendChild(button);
+    });
+    card.appendChild(actions);
+
+    card.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') {
+        this.hide();
+        if (onDismiss) onDismiss(lie);
+      }
+    });
+
+    // Keep clicks and keys on the card from reaching the player (play/pause, shortcuts)
+    ['click', 'dblclick', 'mousedown', 'keydown', 'keyup', 'keypress'].forEach(type => {
+      this.host.addEventListener(type, (event) => event.stopPropagation());
+    });
+
+    this.root.appendChild(card);
+    player.appendChild(this.host);
+  }
+
+  hide() {
+    if (this.host && this.host.parentNode) {
+      this.host.parentNode.removeChild(this.host);
+    }
+    this.host = null;
+    this.root = null;
+  }
+
+  // Said-vs-true pair or the correct fact, then up to three http(s) references
+  renderEvidence(lie) {
+    const rows = [];
+
+    if (lie.what_was_said && lie.what_is_true) {
+      rows.push(this.renderEvidenceRow('Said', lie.what_was_said));
+      rows.push(this.renderEvidenceRow('True', lie.what_is_true));
+    } else if (lie.correct_fact) {
+      rows.push(this.renderEvidenceRow('Fact', lie.correct_fact));
+    }
+
+    const references = (Array.isArray(lie.source_references) ? lie.source_references : [])
+      .filter(reference => reference && Validator.validateUrl(reference.url).valid)
+      .slice(0, 3);
+
+    if (references.length > 0) {
+      rows.push(SafeDom.el('ul', { className: 'references' }, references.map(reference =>
+        SafeDom.el('li', {}, [SafeDom.link(reference.url, reference.title)])
+      )));
+    }
+
+    return rows.length > 0 ? SafeDom.el('div', { className: 'evidence' }, rows) : null;
+  }
+
+  renderEvidenceRow(label, text) {
+    return SafeDom.el('div', { className: 'evidence-row' }, [
+      SafeDom.el('span', { className: 'evidence-label', text: label }),
+      text
+    ]);
+  }
+}
+
+FactCheckCard.SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+FactCheckCard.STYLES = `
+  :host {
+    position: absolute;
+    top: 16px;
+    right: 16px;
+    z-index: 61;
+    max-width: min(380px, calc(100% - 32px));
+  }
+  .card {
+    box-sizing: border-box;
+    padding: 14px 16px;
+    border-left: 4px solid #f59e0b;
+    border-radius: 10px;
+    background: rgba(32, 33, 36, 0.94);
+    color: #fff;
+    font-family: Roboto, Arial, sans-serif;
+    font-size: 13px;
+    line-height: 1.4;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+  }
+  .card.severity-critical, .card.severity-high { border-left-color: #dc2626; }
+  .card.severity-low { border-left-color: #eab308; }
+  .heading {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+    font-weight: 500;
+  }
+  .badge {
+    padding: 2px 6px;
+    border-radius: 4px;
+    background: #f59e0b;
+    color: #000;
+    font-size: 10px;
+    font-weight: 700;
+    text-transform: uppercase;
+  }
+  .severity-critical .badge, .severity-high .badge { background: #dc2626; color: #fff; }
+  .severity-low .badge { background: #eab308; }
+  p { margin: 0 0 8px; }
+  .claim { font-style: italic; }
+  .explanation { opacity: 0.9; }
+  .evidence {
+    margin-bottom: 8px;
+    padding: 8px;
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.08);
+    font-size: 12px;
+  }
+  .evidence-row + .evidence-row { margin-top: 4px; }
+  .evidence-label {
+    display: inline-block;
+    min-width: 36px;
+    margin-right: 6px;
+    font-weight: 700;
+    opacity: 0.75;
+  }
+  .references { margin: 6px 0 0; padding-left: 18px; }
+  a { color: #8ab4f8; }
+  .actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+    margin-top: 10px;
+  }
+  button {
+    padding: 6px 12px;
+    border: 1px solid rgba(255, 255, 255, 0.4);
+    border-radius: 6px;
+    background: transparent;
+    color: #fff;
+    font: inherit;
+    cursor: pointer;
+  }
+  button:hover { background: rgba(255, 255, 255, 0.12); }
+  button.primary { border-color: #4285f4; background: #4285f4; }
+  button:focus-visible, a:focus-visible {
+    outline: 2px solid #8ab4f8;
+    outline-offset: 2px;
+  }
+`;
+
+// Export for use in the content script
+if (typeof window !== 'undefined') {
+  window.FactCheckCard = FactCheckCard;
+}
@@ -0,0 +1,131 @@
+// Lie overlay - card shown over the player while a flagged claim plays: the explanation over a
+// blurred picture, or a pause prompt asking whether to continue or skip
+class LieOverlay {
+  constructor() {
+    this.container = null;
+    this.video = null;
+    this.previousFilter = null;
+  }
+
+  // Blur and dim the picture and explain why until hide()
+  showBlur(video, lie) {
+    this.hide();
+
+    this.video = video;
+    this.previousFilter = video.style.filter;
+    video.style.filter = 'blur(24px) brightness(0.6)';
+    this.render(video, lie, { title: '🚨 Flagged claim' });
+  }
+
+  // The video is paused by the caller; the buttons decide how playback resumes
+  showPrompt(video, lie, { onContinue, onSkip } = {}) {
+    this.hide();
+    this.render(video, lie, {
+      title: '⏸️ Flagged claim - paused',
+      actions: [
+        { label: 'Continue', handler: onContinue },
+        { label: 'Skip', handler: onSkip, primary: true }
+      ]
+    });
+  }
+
+  hide() {
+    if (this.video && this.previousFilter !== null) {
+      this.video.style.filter = this.previousFilter;
+    }
+    this.video = null;
+    this.previousFilter = null;
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+  }
+
+  render(video, lie, { title, actions = [] }) {
+    const player = video.closest('#movie_player, .html5-video-player') || video.parentElement;
+    if (!player) return;
+
+    const { host, root } = SafeDom.createHost('lieblocker-lie-overlay', LieOverlay.STYLES);
+    this.container = host;
+
+    const card = SafeDom.el('div', { className: 'card' }, [
+      SafeDom.el('div', { className: 'heading', text: `${title} (${lie.severity || 'medium'})` }),
+      SafeDom.el('div', { className: 'claim', text: `"${lie.claim_text || ''}"` }),
+      SafeDom.el('div', {
+        className: 'explanation',
+        text: lie.correct_fact || lie.what_is_true || lie.explanation || ''
+      })
+    ]);
+
+    if (actions.length > 0) {
+      const buttons = SafeDom.el('div', { className: 'actions' });
+
+      actions.forEach(({ label, handler, primary }) => {
+        const button = SafeDom.el('button', {
+          className: primary ? 'primary' : undefined,
+          text: label,
+          attributes: { type: 'button' }
+        });
+        button.addEventListener('click', (event) => {
+          event.stopPropagation();
+          this.hide();
+          if (handler) handler();
+        });
+        buttons.appendChild(button);
+      });
+
+      card.appendChild(buttons);
+    }
+
+    root.appendChild(card);
+    player.appendChild(this.container);
+  }
+}
+
+// The host lets clicks through so the player controls keep working
+LieOverlay.STYLES = `
+  :host {
+    position: absolute;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    z-index: 60;
+    pointer-events: none;
+  }
+  .card {
+    max-width: 420px;
+    margin: 0 24px;
+    padding: 16px 20px;
+    background: rgba(32, 33, 36, 0.92);
+    color: white;
+    border-radius: 12px;
+    font-family: Roboto, Arial, sans-serif;
+    font-size: 14px;
+    line-height: 1.4;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+    pointer-events: auto;
+  }
+  .heading { font-weight: 500; margin-bottom: 8px; }
+  .claim { font-style: italic; margin-bottom: 8px; }
+  .explanation { font-size: 13px; opacity: 0.9; }
+  .actions { display: flex; gap: 8px; justify-content: flex-end; margin-top: 12px; }
+  button {
+    padding: 6px 14px;
+    border-radius: 6px;
+    border: 1px solid rgba(255, 255, 255, 0.4);
+    background: transparent;
+    color: white;
+    font-family: inherit;
+    font-size: 13px;
+    cursor: pointer;
+  }
+  button.primary { border-color: #4285f4; background: #4285f4; }
+  button:focus-visible { outline: 2px solid #8ab4f8; outline-offset: 2px; }
+`;
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.LieOverlay = LieOverlay;
+}
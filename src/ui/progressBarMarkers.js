@@ -0,0 +1,211 @@
+// Progress bar markers - colored segments on the YouTube scrubber where flagged claims are,
+// with a tooltip on hover and a click to jump there. Positions are percentages, so theater
+// and fullscreen resizes need no redraw; the markers are only re-inserted when YouTube
+// rebuilds its progress bar.
+class ProgressBarMarkers {
+  constructor({ onSeek } = {}) {
+    this.onSeek = onSeek || (() => {});
+    this.lies = [];
+    this.video = null;
+    this.container = null;
+    this.markerRoot = null;
+    this.tooltip = null;
+    this.renderQueued = false;
+    this.handleChange = () => this.scheduleRender();
+
+    document.addEventListener('fullscreenchange', this.handleChange);
+    document.addEventListener('yt-navigate-finish', this.handleChange);
+    window.addEventListener('resize', this.handleChange);
+  }
+
+  attachVideo(video) {
+    if (this.video === video) return;
+
+    if (this.video) {
+      this.video.removeEventListener('durationchange', this.handleChange);
+      this.video.removeEventListener('loadedmetadata', this.handleChange);
+    }
+
+    this.video = video;
+    if (this.video) {
+      this.video.addEventListener('durationchange', this.handleChange);
+      this.video.addEventListener('loadedmetadata', this.handleChange);
+    }
+    this.scheduleRender();
+  }
+
+  setLies(lies) {
+    this.lies = Array.isArray(lies) ? lies : [];
+    this.render();
+  }
+
+  // Layout events come in bursts; draw once per frame
+  scheduleRender() {
+    if (this.renderQueued) return;
+
+    this.renderQueued = true;
+    requestAnimationFrame(() => {
+      this.renderQueued = false;
+      this.render();
+    });
+  }
+
+  render() {
+    this.hideTooltip();
+
+    const player = this.video ? this.video.closest('.html5-video-player') : null;
+    const progressBar = player ? player.querySelector('.ytp-progress-bar') : null;
+    const duration = this.video ? this.video.duration : NaN;
+
+    // During ads the player reports the ad's duration, which would misplace every marker
+    if (!progressBar || !Number.isFinite(duration) || duration <= 0 ||
+        this.lies.length === 0 || player.classList.contains('ad-showing')) {
+      this.removeContainer();
+      return;
+    }
+
+    if (!this.container || this.container.parentNode !== progressBar) {
+      this.removeContainer();
+      const { host, root } = SafeDom.createHost('lieblocker-progress-markers', ProgressBarMarkers.MARKER_STYLES);
+      this.container = host;
+      this.markerRoot = SafeDom.el('div', { className: 'markers' });
+      root.appendChild(this.markerRoot);
+      progressBar.appendChild(this.container);
+    }
+
+    this.markerRoot.textContent = '';
+    this.lies.forEach(lie => {
+      const start = Number(lie.timestamp_seconds);
+      if (!Number.isFinite(start) || start >= duration) return;
+
+      const length = Math.min(Number(lie.duration_seconds) || 10, duration - start);
+      const severity = ['critical', 'high', 'medium', 'low'].includes(lie.severity) ? lie.severity : 'medium';
+      const marker = SafeDom.el('div', { className: `marker severity-${severity}` });
+      marker.style.left = `${(start / duration) * 100}%`;
+      // Short lies on long videos still get a visible sliver
+      marker.style.width = `max(3px, ${(length / duration) * 100}%)`;
+
+      marker.addEventListener('mouseenter', () => this.showTooltip(marker, lie));
+      marker.addEventListener('mouseleave', () => this.hideTooltip());
+      // The progress bar seeks on mousedown - keep it from scrubbing to the pointer position
+      marker.addEventListener('mousedown', (event) => event.stopPropagation());
+      marker.addEventListener('click', (event) => {
+        event.stopPropagation();
+        this.hideTooltip();
+        this.onSeek(start);
+      });
+
+      this.markerRoot.appendChild(marker);
+    });
+  }
+
+  showTooltip(marker, lie) {
+    this.hideTooltip();
+
+    // closest() stops at the shadow root, so look up the player from the host
+    const player = this.container ? this.container.closest('.html5-video-player') : null;
+    if (!player) return;
+
+    const { host, root } = SafeDom.createHost('lieblocker-progress-tooltip', ProgressBarMarkers.TOOLTIP_STYLES);
+    this.tooltip = host;
+    root.appendChild(SafeDom.el('div', { className: 'tooltip' }, [
+      SafeDom.el('div', {
+        className: 'heading',
+        text: `${Transcript.formatTimestamp(Number(lie.timestamp_seconds) || 0)} · ${lie.severity || 'medium'}`
+      }),
+      SafeDom.el('div', { className: 'claim', text: lie.claim_text }),
+      SafeDom.el('div', { className: 'explanation', text: lie.explanation })
+    ]));
+    player.appendChild(this.tooltip);
+
+    // Centered above the marker, kept inside the player
+    const playerRect = player.getBoundingClientRect();
+    const markerRect = marker.getBoundingClientRect();
+    const width = this.tooltip.offsetWidth;
+    const center = markerRect.left + markerRect.width / 2 - playerRect.left;
+    const left = Math.max(8, Math.min(center - width / 2, playerRect.width - width - 8));
+    this.tooltip.style.left = `${left}px`;
+    this.tooltip.style.bottom = `${playerRect.bottom - markerRect.top + 12}px`;
+  }
+
+  hideTooltip() {
+    if (this.tooltip && this.tooltip.parentNode) {
+      this.tooltip.parentNode.removeChild(this.tooltip);
+    }
+    this.tooltip = null;
+  }
+
+  removeContainer() {
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.markerRoot = null;
+  }
+
+  destroy() {
+    this.attachVideo(null);
+    this.hideTooltip();
+    this.removeContainer();
+    this.lies = [];
+    document.removeEventListener('fullscreenchange', this.handleChange);
+    document.removeEventListener('yt-navigate-finish', this.handleChange);
+    window.removeEventListener('resize', this.handleChange);
+  }
+}
+
+ProgressBarMarkers.MARKER_STYLES = `
+  :host {
+    position: absolute;
+    inset: 0;
+    z-index: 40;
+    pointer-events: none;
+  }
+  .marker {
+    position: absolute;
+    top: -4px;
+    height: 100%;
+    padding: 4px 0;
+    box-sizing: content-box;
+    background-clip: content-box;
+    background-color: #f59e0b;
+    opacity: 0.9;
+    cursor: pointer;
+    pointer-events: auto;
+  }
+  .marker:hover { opacity: 1; }
+  .marker.severity-critical, .marker.severity-high { background-color: #dc2626; }
+  .marker.severity-low { background-color: #eab308; }
+`;
+
+ProgressBarMarkers.TOOLTIP_STYLES = `
+  :host {
+    position: absolute;
+    z-index: 70;
+    max-width: 320px;
+    pointer-events: none;
+  }
+  .tooltip {
+    padding: 8px 10px;
+    border-radius: 8px;
+    background: rgba(28, 28, 28, 0.95);
+    color: #fff;
+    font-family: Roboto, Arial, sans-serif;
+    font-size: 12px;
+    line-height: 1.4;
+  }
+  .heading {
+    font-weight: 600;
+    text-transform: uppercase;
+    font-size: 10px;
+    opacity: 0.8;
+    margin-bottom: 4px;
+  }
+  .claim { font-weight: 500; margin-bottom: 4px; }
+  .explanation { opacity: 0.85; }
+`;
+
+// Export for use in the content script
+if (typeof window !== 'undefined') {
+  window.ProgressBarMarkers = ProgressBarMarkers;
+}
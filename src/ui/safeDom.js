@@ -0,0 +1,74 @@
+// Safe DOM rendering for everything the content script draws on youtube.com. Claim text,
+// explanations and sources come from AI models and the community database, so they are only
+// ever inserted as sanitized text nodes - never as markup - and each UI element lives in its
+// own closed Shadow DOM, out of reach of the page's stylesheets.
+class SafeDom {
+  // Every string shown on the page goes through here
+  static text(value) {
+    if (value === null || value === undefined) return '';
+    return Validator.sanitizeText(String(value));
+  }
+
+  // el('div', { className: 'row', title: lie.claim_text }, [badge, lie.explanation])
+  // Strings in children become text nodes; event handler attributes are refused.
+  static el(tag, { className, text, title, attributes = {} } = {}, children = []) {
+    const element = document.createElement(tag);
+
+    if (className) element.className = className;
+    if (title !== undefined) element.title = SafeDom.text(title);
+
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (/^on/i.test(name) || name === 'href' || name === 'src') {
+        throw new Error(`SafeDom: attribute "${name}" is not allowed`);
+      }
+      element.setAttribute(name, SafeDom.text(value));
+    });
+
+    if (text !== undefined) {
+      element.textContent = SafeDom.text(text);
+    }
+    SafeDom.append(element, children);
+    return element;
+  }
+
+  static append(parent, children) {
+    (Array.isArray(children) ? children : [children]).forEach(child => {
+      if (child === null || child === undefined || child === false) return;
+      parent.appendChild(child instanceof Node ? child : document.createTextNode(SafeDom.text(child)));
+    });
+    return parent;
+  }
+
+  // A link for http(s) URLs only; anything else is shown as plain text
+  static link(url, label) {
+    const validation = typeof url === 'string' ? Validator.validateUrl(url) : { valid: false };
+    if (!validation.valid) {
+      return SafeDom.el('span', { text: label || url });
+    }
+
+    const link = SafeDom.el('a', { text: label || url });
+    link.href = validation.sanitized;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+  }
+
+  // A host element with a closed shadow root. The host resets everything inherited from the
+  // page, so `styles` style the element from scratch.
+  static createHost(className, styles = '') {
+    const host = document.createElement('div');
+    host.className = className;
+
+    const root = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = `:host { all: initial; }\n${styles}`;
+    root.appendChild(style);
+
+    return { host, root };
+  }
+}
+
+// Export for use in the content script
+if (typeof window !== 'undefined') {
+  window.SafeDom = SafeDom;
+}
@@ -0,0 +1,87 @@
+// Skip notification - short toast in the page corner when a lie is skipped, muted or disputed.
+// Claim text is AI or community provided, so it is rendered with SafeDom only.
+class SkipNotification {
+  constructor() {
+    this.host = null;
+    this.timeout = null;
+  }
+
+  // Replaces any notification still showing; hides itself after 3 seconds
+  show(lie, heading = '🚨 Lie Skipped') {
+    this.hide();
+
+    const claimText = String(lie.claim_text || '');
+    const { host, root } = SafeDom.createHost('lieblocker-skip-notification', SkipNotification.STYLES);
+    const card = SafeDom.el('div', { className: 'notification' }, [
+      SafeDom.el('div', { className: 'heading', text: heading }),
+      SafeDom.el('div', {
+        className: 'claim',
+        text: `${claimText.substring(0, 100)}${claimText.length > 100 ? '...' : ''}`
+      })
+    ]);
+    root.appendChild(card);
+
+    document.body.appendChild(host);
+    this.host = host;
+
+    this.timeout = setTimeout(() => {
+      card.classList.add('leaving');
+      this.timeout = setTimeout(() => this.hide(), 300);
+    }, 3000);
+  }
+
+  hide() {
+    if (this.timeout) {
+      clearTimeout(this.timeout);
+      this.timeout = null;
+    }
+    if (this.host && this.host.parentNode) {
+      this.host.parentNode.removeChild(this.host);
+    }
+    this.host = null;
+  }
+}
+
+SkipNotification.STYLES = `
+  :host {
+    position: fixed;
+    top: 20px;
+    right: 20px;
+    z-index: 10000;
+    max-width: 300px;
+  }
+  .notification {
+    background: #4285f4;
+    color: white;
+    padding: 12px 16px;
+    border-radius: 8px;
+    font-family: Roboto, Arial, sans-serif;
+    font-size: 14px;
+    font-weight: 500;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+    animation: slideIn 0.3s ease;
+  }
+  .notification.leaving {
+    animation: slideOut 0.3s ease forwards;
+  }
+  .heading {
+    margin-bottom: 4px;
+  }
+  .claim {
+    font-size: 12px;
+    opacity: 0.9;
+  }
+  @keyframes slideIn {
+    from { transform: translateX(100%); opacity: 0; }
+    to { transform: translateX(0); opacity: 1; }
+  }
+  @keyframes slideOut {
+    from { transform: translateX(0); opacity: 1; }
+    to { transform: translateX(100%); opacity: 0; }
+  }
+`;
+
+// Export for use in the content script
+if (typeof window !== 'undefined') {
+  window.SkipNotification = SkipNotification;
+}
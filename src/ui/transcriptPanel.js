@@ -0,0 +1,334 @@
+// Transcript viewer panel - shows the transcript the AI received next to the player,
+// with flagged claims highlighted and the current line following playback
+class TranscriptPanel {
+  constructor({ onSeek } = {}) {
+    this.onSeek = onSeek || (() => {});
+    this.transcript = null;
+    this.lies = [];
+    this.video = null;
+    this.container = null;
+    this.list = null;
+    this.lineElements = [];
+    this.activeIndex = -1;
+    this.collapsed = false;
+    this.userScrolledAt = 0;
+    this.handleTimeUpdate = () => this.updateActiveLine();
+  }
+
+  setTranscript(transcript) {
+    this.transcript = transcript;
+    this.render();
+  }
+
+  setLies(lies) {
+    this.lies = Array.isArray(lies) ? lies : [];
+    this.render();
+  }
+
+  attachVideo(video) {
+    if (this.video === video) return;
+
+    if (this.video) {
+      this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+    }
+
+    this.video = video;
+    if (this.video) {
+      this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+    }
+  }
+
+  // Insert the panel above the recommendations column, or below the player in theater/narrow layouts
+  mount() {
+    if (this.container && this.container.isConnected) return true;
+
+    const host = document.querySelector('#secondary-inner') ||
+                 document.querySelector('#secondary') ||
+                 document.querySelector('#below');
+    if (!host) return false;
+
+    const { host: container, root } = SafeDom.createHost('lieblocker-transcript-panel', TranscriptPanel.STYLES);
+    this.container = container;
+    this.container.id = 'lieblocker-transcript-panel';
+
+    this.meta = SafeDom.el('span', { className: 'lb-transcript-meta' });
+
+    const toggle = SafeDom.el('button', {
+      className: 'lb-transcript-toggle',
+      text: this.collapsed ? 'Show' : 'Hide',
+      attributes: { type: 'button' }
+    });
+    toggle.addEventListener('click', () => {
+      this.collapsed = !this.collapsed;
+      toggle.textContent = this.collapsed ? 'Show' : 'Hide';
+      this.list.style.display = this.collapsed ? 'none' : '';
+    });
+
+    const header = SafeDom.el('div', { className: 'lb-transcript-header' }, [
+      SafeDom.el('span', { className: 'lb-transcript-title', text: '🛡️ LieBlocker Transcript' }),
+      this.meta,
+      toggle
+    ]);
+
+    this.list = SafeDom.el('div', { className: 'lb-transcript-list' });
+    this.list.style.display = this.collapsed ? 'none' : '';
+
+    // Manual scrolling pauses follow-along for a few seconds
+    this.list.addEventListener('wheel', () => {
+      this.userScrolledAt = Date.now();
+    }, { passive: true });
+
+    root.appendChild(header);
+    root.appendChild(this.list);
+    host.prepend(this.container);
+
+    this.render();
+    return true;
+  }
+
+  render() {
+    if (!this.list) return;
+
+    this.list.textContent = '';
+    this.lineElements = [];
+    this.activeIndex = -1;
+
+    if (!this.transcript || this.transcript.isEmpty()) {
+      this.meta.textContent = '';
+      this.list.appendChild(SafeDom.el('div', {
+        className: 'lb-transcript-empty',
+        text: 'No transcript available for this analysis.'
+      }));
+      return;
+    }
+
+    this.meta.textContent = SafeDom.text(this.describeTranscript());
+
+    // Claims are labelled once, on the first line they cover
+    const labelledLies = new Set();
+
+    this.transcript.segments.forEach((segment, index) => {
+      const flaggingLies = this.getLiesForSegment(segment);
+
+      const line = SafeDom.el('div', { className: 'lb-transcript-line' }, [
+        SafeDom.el('span', { className: 'lb-transcript-time', text: Transcript.formatTimestamp(segment.start) }),
+        SafeDom.el('span', { className: 'lb-transcript-text', text: segment.text })
+      ]);
+      line.addEventListener('click', () => this.onSeek(segment.start));
+
+      if (flaggingLies.length > 0) {
+        const severity = this.getHighestSeverity(flaggingLies);
+        line.classList.add('lb-flagged', `lb-severity-${severity}`);
+        line.title = flaggingLies.map(lie => SafeDom.text(lie.claim_text)).join('\n');
+
+        flaggingLies
+          .filter(lie => !labelledLies.has(lie))
+          .forEach(lie => {
+            labelledLies.add(lie);
+            line.appendChild(this.createClaimLabel(lie));
+          });
+      }
+
+      this.list.appendChild(line);
+      this.lineElements[index] = line;
+    });
+
+    this.updateActiveLine();
+  }
+
+  createClaimLabel(lie) {
+    const severity = ['critical', 'high', 'medium', 'low'].includes(lie.severity) ? lie.severity : 'medium';
+
+    return SafeDom.el('div', { className: 'lb-transcript-claim' }, [
+      SafeDom.el('span', { className: `lb-transcript-badge lb-severity-${severity}`, text: lie.severity || 'flagged' }),
+      SafeDom.el('span', {
+        text: lie.timestamp_verified === false
+          ? `${lie.claim_text} (timestamp unverified)`
+          : lie.claim_text
+      })
+    ]);
+  }
+
+  describeTranscript() {
+    const parts = [`${this.transcript.segments.length} lines`];
+    if (this.transcript.language) {
+      parts.push(this.transcript.translatedFrom
+        ? `${this.transcript.language} (translated from ${this.transcript.translatedFrom})`
+        : this.transcript.language);
+    }
+    if (this.transcript.source) {
+      parts.push(this.transcript.source);
+    }
+    return parts.join(' · ');
+  }
+
+  getLiesForSegment(segment) {
+    return this.lies.filter(lie => {
+      const start = Number(lie.timestamp_seconds) || 0;
+      const end = start + (Number(lie.duration_seconds) || 10);
+      return segment.end > start && segment.start < end;
+    });
+  }
+
+  getHighestSeverity(lies) {
+    const order = ['critical', 'high', 'medium', 'low'];
+    const ranked = lies
+      .map(lie => order.indexOf(lie.severity))
+      .filter(rank => rank !== -1);
+    return ranked.length > 0 ? order[Math.min(...ranked)] : 'medium';
+  }
+
+  updateActiveLine() {
+    if (!this.transcript || !this.video || this.lineElements.length === 0) return;
+
+    const index = this.transcript.findSegmentIndexAt(this.video.currentTime);
+    if (index === this.activeIndex) return;
+
+    if (this.lineElements[this.activeIndex]) {
+      this.lineElements[this.activeIndex].classList.remove('lb-active');
+    }
+
+    this.activeIndex = index;
+    const line = this.lineElements[index];
+    if (!line) return;
+
+    line.classList.add('lb-active');
+
+    // Scroll the list itself - scrollIntoView would also scroll the YouTube page
+    if (!this.collapsed && Date.now() - this.userScrolledAt > 4000) {
+      this.list.scrollTop = line.offsetTop - this.list.clientHeight / 3;
+    }
+  }
+
+  destroy() {
+    this.attachVideo(null);
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+    this.container = null;
+    this.list = null;
+    this.lineElements = [];
+    this.transcript = null;
+    this.lies = [];
+  }
+}
+
+TranscriptPanel.STYLES = `
+  :host {
+    display: block;
+    border: 1px solid rgba(128, 128, 128, 0.3);
+    border-radius: 12px;
+    margin-bottom: 16px;
+    font-family: Roboto, Arial, sans-serif;
+    color: var(--yt-spec-text-primary, #0f0f0f);
+    background: var(--yt-spec-base-background, #fff);
+    overflow: hidden;
+  }
+  .lb-transcript-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 12px;
+    border-bottom: 1px solid rgba(128, 128, 128, 0.3);
+    font-size: 14px;
+  }
+  .lb-transcript-title {
+    font-weight: 600;
+  }
+  .lb-transcript-meta {
+    flex: 1;
+    font-size: 12px;
+    opacity: 0.7;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .lb-transcript-toggle {
+    border: none;
+    border-radius: 6px;
+    padding: 4px 10px;
+    font-size: 12px;
+    cursor: pointer;
+    background: rgba(128, 128, 128, 0.15);
+    color: inherit;
+  }
+  .lb-transcript-list {
+    position: relative;
+    max-height: 360px;
+    overflow-y: auto;
+    padding: 4px 0;
+  }
+  .lb-transcript-line {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+    padding: 4px 12px;
+    font-size: 13px;
+    line-height: 1.4;
+    cursor: pointer;
+    border-left: 3px solid transparent;
+  }
+  .lb-transcript-line:hover {
+    background: rgba(128, 128, 128, 0.1);
+  }
+  .lb-transcript-line.lb-active {
+    background: rgba(66, 133, 244, 0.15);
+  }
+  .lb-transcript-time {
+    flex: 0 0 auto;
+    min-width: 40px;
+    color: #4285f4;
+    font-variant-numeric: tabular-nums;
+  }
+  .lb-transcript-text {
+    flex: 1;
+    min-width: 0;
+  }
+  .lb-flagged.lb-severity-critical,
+  .lb-flagged.lb-severity-high {
+    border-left-color: #dc2626;
+    background: rgba(220, 38, 38, 0.08);
+  }
+  .lb-flagged.lb-severity-medium {
+    border-left-color: #f59e0b;
+    background: rgba(245, 158, 11, 0.08);
+  }
+  .lb-flagged.lb-severity-low {
+    border-left-color: #eab308;
+    background: rgba(234, 179, 8, 0.08);
+  }
+  .lb-transcript-claim {
+    flex-basis: 100%;
+    margin-left: 48px;
+    font-size: 12px;
+    opacity: 0.85;
+  }
+  .lb-transcript-badge {
+    display: inline-block;
+    margin-right: 6px;
+    padding: 1px 6px;
+    border-radius: 6px;
+    font-size: 10px;
+    font-weight: 600;
+    text-transform: uppercase;
+    color: #fff;
+    background: #f59e0b;
+  }
+  .lb-transcript-badge.lb-severity-critical,
+  .lb-transcript-badge.lb-severity-high {
+    background: #dc2626;
+  }
+  .lb-transcript-badge.lb-severity-low {
+    background: #eab308;
+  }
+  .lb-transcript-empty {
+    padding: 12px;
+    font-size: 13px;
+    opacity: 0.7;
+  }
+`;
+
+// Export for use in the content script
+if (typeof window !== 'undefined') {
+  window.TranscriptPanel = TranscriptPanel;
+}
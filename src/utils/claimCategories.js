@@ -0,0 +1,44 @@
+// Claim category taxonomy shared by the AI prompt, response validation, storage and the popup
+const CLAIM_CATEGORIES = [
+  { id: 'health', label: 'Health', description: 'medicine, nutrition, disease, vaccines, mental health' },
+  { id: 'science', label: 'Science', description: 'physics, biology, chemistry, space, research findings' },
+  { id: 'politics', label: 'Politics', description: 'elections, policy, government, politicians' },
+  { id: 'finance', label: 'Finance', description: 'economy, markets, investing, crypto, taxes' },
+  { id: 'history', label: 'History', description: 'historical events, dates, people' },
+  { id: 'statistics', label: 'Statistics', description: 'numbers, percentages, rankings, data misuse' },
+  { id: 'technology', label: 'Technology', description: 'software, AI, devices, the internet' },
+  { id: 'environment', label: 'Environment', description: 'climate, energy, pollution, wildlife' },
+  { id: 'legal', label: 'Legal', description: 'laws, court cases, rights, crime' },
+  { id: 'other', label: 'Other', description: 'anything that fits none of the above' }
+];
+
+const ClaimCategories = {
+  all: CLAIM_CATEGORIES,
+  ids: CLAIM_CATEGORIES.map(category => category.id),
+  fallback: 'other',
+
+  isValid(id) {
+    return this.ids.includes(id);
+  },
+
+  // Map free-form model output onto the taxonomy, falling back to "other"
+  normalize(value) {
+    const id = String(value || '').trim().toLowerCase();
+    return this.isValid(id) ? id : this.fallback;
+  },
+
+  getLabel(id) {
+    const category = CLAIM_CATEGORIES.find(entry => entry.id === id);
+    return category ? category.label : 'Other';
+  },
+
+  // One "- id: description" line per category, for the AI prompt
+  toPromptList() {
+    return CLAIM_CATEGORIES.map(category => `  - "${category.id}": ${category.description}`).join('\n');
+  }
+};
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.ClaimCategories = ClaimCategories;
+}
@@ -0,0 +1,101 @@
+// Claim matcher - decides whether two flagged claims describe the same statement,
+// merges claim lists (overlapping analysis chunks, multiple passes) without duplicates
+// and finds the claims several models agree on
+class ClaimMatcher {
+  constructor({ timeToleranceSeconds = 20, textThreshold = 0.5 } = {}) {
+    this.timeToleranceSeconds = timeToleranceSeconds;
+    this.textThreshold = textThreshold;
+  }
+
+  // Same statement when the claims are close in time (or their ranges overlap) and their wording is similar
+  isSameClaim(a, b) {
+    const startA = Number(a.timestamp_seconds) || 0;
+    const startB = Number(b.timestamp_seconds) || 0;
+    const endA = startA + (Number(a.duration_seconds) || 10);
+    const endB = startB + (Number(b.duration_seconds) || 10);
+
+    const closeInTime = Math.abs(startA - startB) <= this.timeToleranceSeconds ||
+      (startA < endB && startB < endA);
+
+    return closeInTime && this.textSimilarity(a.claim_text, b.claim_text) >= this.textThreshold;
+  }
+
+  // Overlap coefficient of the word sets - a short quote contained in a longer one still matches
+  textSimilarity(textA, textB) {
+    const wordsA = new Set(ClaimMatcher.tokenize(textA));
+    const wordsB = new Set(ClaimMatcher.tokenize(textB));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+      if (wordsB.has(word)) shared++;
+    });
+
+    return shared / Math.min(wordsA.size, wordsB.size);
+  }
+
+  // Flatten several claim lists into one, keeping the most confident copy of each duplicate
+  merge(claimLists) {
+    const merged = [];
+
+    claimLists.flat().forEach(claim => {
+      const index = merged.findIndex(existing => this.isSameClaim(existing, claim));
+
+      if (index === -1) {
+        merged.push(claim);
+      } else if ((claim.confidence || 0) > (merged[index].confidence || 0)) {
+        merged[index] = claim;
+      }
+    });
+
+    return merged.sort((a, b) => a.timestamp_seconds - b.timestamp_seconds);
+  }
+
+  // Group the claims of independent lists (one per model) and keep statements flagged by at least
+  // `quorum` lists. Each result holds the most confident copy, the indexes of the lists that flagged
+  // it and their average confidence.
+  consensus(claimLists, quorum) {
+    const groups = [];
+
+    claimLists.forEach((claims, listIndex) => {
+      claims.forEach(claim => {
+        const group = groups.find(candidate =>
+          candidate.claims.some(existing => this.isSameClaim(existing, claim))
+        );
+
+        if (group) {
+          group.claims.push(claim);
+          group.confidences[listIndex] = Math.max(group.confidences[listIndex] || 0, claim.confidence || 0);
+        } else {
+          groups.push({ claims: [claim], confidences: { [listIndex]: claim.confidence || 0 } });
+        }
+      });
+    });
+
+    return groups
+      .map(group => {
+        const sources = Object.keys(group.confidences).map(Number).sort((a, b) => a - b);
+        const confidences = sources.map(source => group.confidences[source]);
+        return {
+          claim: group.claims.reduce((best, claim) => ((claim.confidence || 0) > (best.confidence || 0) ? claim : best)),
+          sources: sources,
+          confidence: confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length
+        };
+      })
+      .filter(result => result.sources.length >= quorum)
+      .sort((a, b) => a.claim.timestamp_seconds - b.claim.timestamp_seconds);
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2);
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.ClaimMatcher = ClaimMatcher;
+}
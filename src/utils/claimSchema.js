@@ -0,0 +1,406 @@
+// Claim schema - validates AI fact-check responses against a JSON schema and repairs
+// the common ways models break JSON (code fences, prose, trailing commas, truncation)
+class ClaimSchema {
+  constructor() {
+    this.severities = ['low', 'medium', 'high', 'critical'];
+    this.categories = ClaimCategories.ids;
+
+    this.referenceSchema = {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        url: { type: 'string', pattern: '^https?://' }
+      },
+      required: ['title', 'url']
+    };
+
+    // What a viewer can check: the correct fact, the said-vs-true pair and sources. Requested from
+    // every model but optional - normalizeClaim fills in null and [] for missing parts.
+    this.evidenceFields = ['correctFact', 'whatWasSaid', 'whatIsTrue'];
+    this.evidenceSchema = {
+      type: 'object',
+      properties: {
+        correctFact: { type: 'string', minLength: 1 },
+        whatWasSaid: { type: 'string', minLength: 1 },
+        whatIsTrue: { type: 'string', minLength: 1 },
+        references: { type: 'array', items: this.referenceSchema }
+      }
+    };
+
+    this.claimSchema = {
+      type: 'object',
+      properties: {
+        timestamp: { type: 'string', pattern: '^\\d{1,2}(:\\d{2}){1,2}$' },
+        timeInSeconds: { type: 'number', minimum: 0 },
+        duration: { type: 'number', minimum: 1, maximum: 120 },
+        claim: { type: 'string', minLength: 1 },
+        explanation: { type: 'string', minLength: 1 },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        severity: { type: 'string', enum: this.severities },
+        category: { type: 'string', enum: this.categories },
+        evidence: this.evidenceSchema
+      },
+      required: ['timestamp', 'timeInSeconds', 'duration', 'claim', 'explanation', 'confidence', 'severity', 'category']
+    };
+
+    this.responseSchema = {
+      type: 'object',
+      properties: {
+        claims: { type: 'array', items: this.claimSchema }
+      },
+      required: ['claims']
+    };
+
+    // Second-pass review of a single claim by the critic model
+    this.verdicts = ['confirmed', 'downgraded', 'rejected'];
+    this.verdictSchema = {
+      type: 'object',
+      properties: {
+        verdict: { type: 'string', enum: this.verdicts },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        severity: { type: 'string', enum: this.severities },
+        reason: { type: 'string', minLength: 1 }
+      },
+      required: ['verdict', 'confidence', 'severity', 'reason']
+    };
+  }
+
+  // OpenAI / OpenRouter strict json_schema mode (also used as the Anthropic tool input schema):
+  // every property required, no extra properties, and only structural keywords - range and
+  // format checks still run in parseResponse
+  toStrictJsonSchema(schema = this.responseSchema) {
+    const converted = { type: schema.type };
+
+    if (schema.enum) {
+      converted.enum = schema.enum;
+    }
+
+    if (schema.type === 'object') {
+      converted.properties = {};
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        converted.properties[key] = this.toStrictJsonSchema(propertySchema);
+      });
+      converted.required = Object.keys(converted.properties);
+      converted.additionalProperties = false;
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      converted.items = this.toStrictJsonSchema(schema.items);
+    }
+
+    return converted;
+  }
+
+  // Gemini responseSchema uses the OpenAPI subset with upper-case type names
+  toGeminiSchema(schema = this.responseSchema) {
+    const converted = { type: schema.type.toUpperCase() };
+
+    if (schema.enum) {
+      converted.enum = schema.enum;
+    }
+
+    if (schema.type === 'object') {
+      converted.properties = {};
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        converted.properties[key] = this.toGeminiSchema(propertySchema);
+      });
+      converted.required = schema.required || [];
+      converted.propertyOrdering = Object.keys(converted.properties);
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      converted.items = this.toGeminiSchema(schema.items);
+    }
+
+    return converted;
+  }
+
+  // Parse model output into validated claims. Throws when the output cannot be recovered,
+  // so a broken reply is never mistaken for a video without lies.
+  parseResponse(content) {
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new Error('AI response was empty');
+    }
+
+    const { value, repaired } = this.parseJson(content);
+    const document = Array.isArray(value) ? { claims: value } : value;
+
+    const documentErrors = this.validate(document, { type: 'object', required: ['claims'], properties: { claims: { type: 'array' } } });
+    if (documentErrors.length > 0) {
+      throw new Error(`AI response does not match the expected format: ${documentErrors.join('; ')}`);
+    }
+
+    const claims = [];
+    const rejected = [];
+
+    document.claims.forEach((rawClaim, index) => {
+      const result = this.validateClaim(rawClaim);
+      if (result.valid) {
+        claims.push(result.claim);
+      } else {
+        rejected.push({ index, errors: result.errors });
+      }
+    });
+
+    if (rejected.length > 0) {
+      console.warn(`⚠️ Rejected ${rejected.length}/${document.claims.length} invalid claims:`, rejected);
+    }
+
+    // Every claim broken usually means the model ignored the format entirely
+    if (document.claims.length > 0 && claims.length === 0) {
+      throw new Error(`All ${document.claims.length} claims failed validation: ${rejected[0].errors.join('; ')}`);
+    }
+
+    return { claims, rejected, repaired };
+  }
+
+  // Parse the critic's reply for one claim. Throws when it cannot be used.
+  parseVerdict(content) {
+    if (typeof content !== 'string' || content.trim() === '') {
+      throw new Error('Critic response was empty');
+    }
+
+    const { value } = this.parseJson(content);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Critic response is not a JSON object');
+    }
+
+    const verdict = { ...value };
+    const aliases = { confirm: 'confirmed', downgrade: 'downgraded', reject: 'rejected' };
+
+    ['verdict', 'severity'].forEach(field => {
+      if (typeof verdict[field] === 'string') {
+        verdict[field] = verdict[field].trim().toLowerCase();
+      }
+    });
+    verdict.verdict = aliases[verdict.verdict] || verdict.verdict;
+
+    if (typeof verdict.confidence === 'string' && verdict.confidence.trim() !== '' && !isNaN(Number(verdict.confidence))) {
+      verdict.confidence = Number(verdict.confidence);
+    }
+    if (typeof verdict.confidence === 'number' && verdict.confidence > 1 && verdict.confidence <= 100) {
+      verdict.confidence = verdict.confidence / 100;
+    }
+
+    const errors = this.validate(verdict, this.verdictSchema, 'verdict');
+    if (errors.length > 0) {
+      throw new Error(`Critic response does not match the expected format: ${errors.join('; ')}`);
+    }
+
+    return verdict;
+  }
+
+  // Normalize harmless deviations, then validate strictly against the claim schema
+  validateClaim(rawClaim) {
+    if (!rawClaim || typeof rawClaim !== 'object' || Array.isArray(rawClaim)) {
+      return { valid: false, errors: ['claim is not an object'], claim: null };
+    }
+
+    const claim = this.normalizeClaim(rawClaim);
+    const errors = this.validate(claim, this.claimSchema, 'claim');
+
+    return { valid: errors.length === 0, errors, claim };
+  }
+
+  normalizeClaim(rawClaim) {
+    const claim = { ...rawClaim };
+
+    ['timeInSeconds', 'duration', 'confidence'].forEach(field => {
+      if (typeof claim[field] === 'string' && claim[field].trim() !== '' && !isNaN(Number(claim[field]))) {
+        claim[field] = Number(claim[field]);
+      }
+    });
+
+    // Percentages instead of 0-1 confidence
+    if (typeof claim.confidence === 'number' && claim.confidence > 1 && claim.confidence <= 100) {
+      claim.confidence = claim.confidence / 100;
+    }
+
+    // Duration is only an estimate; fall back to the default skip length
+    if (claim.duration === undefined || claim.duration === null) {
+      claim.duration = 10;
+    }
+
+    if (typeof claim.severity === 'string') {
+      claim.severity = claim.severity.trim().toLowerCase();
+    }
+
+    // An unknown or missing category is not worth dropping the claim over
+    if (!ClaimCategories.isValid(claim.category)) {
+      const category = ClaimCategories.normalize(claim.category);
+      if (claim.category !== undefined && category === ClaimCategories.fallback) {
+        console.warn('⚠️ Unknown claim category, using "other":', claim.category);
+      }
+      claim.category = category;
+    }
+
+    // Missing or incomplete evidence should not sink the claim - small models often skip it.
+    // Blank parts become null, and only well-formed http(s) references are kept.
+    const evidence = claim.evidence && typeof claim.evidence === 'object' && !Array.isArray(claim.evidence) ? claim.evidence : {};
+    claim.evidence = { ...evidence };
+    this.evidenceFields.forEach(field => {
+      const value = evidence[field];
+      claim.evidence[field] = typeof value === 'string' && value.trim() !== '' ? value : null;
+    });
+    claim.evidence.references = Array.isArray(evidence.references)
+      ? evidence.references.filter(reference => this.validate(reference, this.referenceSchema, 'reference').length === 0)
+      : [];
+
+    if (typeof claim.timestamp === 'number') {
+      claim.timestamp = Transcript.formatTimestamp(claim.timestamp);
+    }
+
+    // Either time field can be derived from the other
+    if (typeof claim.timeInSeconds !== 'number' && typeof claim.timestamp === 'string') {
+      const seconds = Transcript.parseTimestamp(claim.timestamp);
+      if (seconds > 0 || /^0{1,2}:00(:00)?$/.test(claim.timestamp.trim())) {
+        claim.timeInSeconds = seconds;
+      }
+    }
+    if (typeof claim.timestamp !== 'string' && typeof claim.timeInSeconds === 'number') {
+      claim.timestamp = Transcript.formatTimestamp(claim.timeInSeconds);
+    }
+
+    return claim;
+  }
+
+  // Minimal JSON schema validator covering the keywords used by the claim schemas
+  validate(value, schema, path = 'response') {
+    const errors = [];
+
+    if (schema.type) {
+      const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+      const typeMatches = schema.type === 'number'
+        ? actualType === 'number' && Number.isFinite(value)
+        : actualType === schema.type;
+
+      if (!typeMatches) {
+        errors.push(`${path} should be ${schema.type} but is ${actualType}`);
+        return errors;
+      }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} should be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} should be <= ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} should not be empty`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value.trim())) {
+        errors.push(`${path} has an invalid format`);
+      }
+    }
+
+    if (schema.type === 'object') {
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path}.${key} is required`);
+        }
+      });
+
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+        }
+      });
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+
+    return errors;
+  }
+
+  // JSON.parse, falling back to the repair pass
+  parseJson(content) {
+    try {
+      return { value: JSON.parse(content.trim()), repaired: false };
+    } catch (error) {
+      const repairedText = this.repairJson(content);
+      if (repairedText === null) {
+        throw new Error(`AI response is not valid JSON: ${error.message}`);
+      }
+
+      try {
+        const value = JSON.parse(repairedText);
+        console.log('🔧 Repaired malformed AI response JSON');
+        return { value, repaired: true };
+      } catch (repairError) {
+        throw new Error(`AI response is not valid JSON and could not be repaired: ${repairError.message}`);
+      }
+    }
+  }
+
+  repairJson(content) {
+    // Markdown code fences and prose before the JSON
+    let text = content.replace(/```(?:json)?/gi, '');
+    const start = text.search(/[{[]/);
+    if (start === -1) return null;
+    text = text.slice(start);
+
+    // Walk the text once: stop at the end of the first complete value (drops trailing prose),
+    // and remember the last point where a nested value closed in case the reply was truncated
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    let lastClose = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char);
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        if (stack.length === 0) {
+          return this.removeTrailingCommas(text.slice(0, i + 1));
+        }
+        lastClose = { index: i + 1, stack: [...stack] };
+      }
+    }
+
+    // Truncated: keep everything up to the last complete nested value and close what is still open
+    if (!lastClose) return null;
+
+    const closers = lastClose.stack.reverse().map(open => (open === '{' ? '}' : ']')).join('');
+    const truncated = text.slice(0, lastClose.index).replace(/,\s*$/, '');
+    return this.removeTrailingCommas(truncated + closers);
+  }
+
+  // Remove commas directly before a closing bracket, leaving string contents alone
+  removeTrailingCommas(text) {
+    return text.replace(/("(?:[^"\\]|\\.)*")|,(\s*[}\]])/g, (match, string, closer) => string || closer);
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.ClaimSchema = ClaimSchema;
+}
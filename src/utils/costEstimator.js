@@ -0,0 +1,76 @@
+// Cost estimator - rough USD cost of analyzing a video, used to keep automatic analysis
+// within the daily budget. Prices are list prices per million tokens and only need to be
+// in the right ballpark; unknown paid models are priced high so they hit the budget early.
+class CostEstimator {
+  constructor() {
+    this.pricing = {
+      openai: {
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'gpt-4': { input: 30, output: 60 }
+      },
+      gemini: {
+        'gemini-2.0-flash-exp': { input: 0.1, output: 0.4 },
+        'gemini-1.5-pro': { input: 1.25, output: 5 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+      },
+      anthropic: {
+        'claude-sonnet-4-20250514': { input: 3, output: 15 },
+        'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+        'claude-opus-4-20250514': { input: 15, output: 75 }
+      }
+    };
+    this.unknownModelPricing = { input: 10, output: 30 };
+
+    // Spoken English runs at about 150 words (200 tokens) a minute
+    this.tokensPerMinute = 200;
+    this.promptTokensPerRequest = 1500;
+    this.outputTokensPerRequest = 1500;
+    this.chunkMinutes = 10;
+    // Second-opinion verification reviews each flagged claim; assume a handful per video
+    this.criticRequestsPerVideo = 5;
+    this.criticTokensPerRequest = 2000;
+  }
+
+  // Price per million tokens; free OpenRouter models and self-hosted endpoints cost nothing
+  getModelPricing(provider, model) {
+    if (provider === 'custom' || (provider === 'openrouter' && String(model).endsWith(':free'))) {
+      return { input: 0, output: 0 };
+    }
+
+    return this.pricing[provider]?.[model] || this.unknownModelPricing;
+  }
+
+  requestCost(pricing, inputTokens, outputTokens) {
+    return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+  }
+
+  // settings as returned by content.js getSettings(); minutes is the part of the video that gets analyzed
+  estimateAnalysisCost(settings, minutes) {
+    const chunks = Math.max(1, Math.ceil(minutes / this.chunkMinutes));
+    const inputTokens = minutes * this.tokensPerMinute + chunks * this.promptTokensPerRequest;
+    const outputTokens = chunks * this.outputTokensPerRequest;
+
+    const models = [{ provider: settings.aiProvider, model: settings.aiModel }];
+    if (settings.consensusEnabled) {
+      models.push(...settings.consensusModels);
+    }
+
+    let cost = models.reduce((total, { provider, model }) =>
+      total + this.requestCost(this.getModelPricing(provider, model), inputTokens, outputTokens), 0);
+
+    if (settings.criticEnabled) {
+      const criticPricing = this.getModelPricing(settings.criticProvider, settings.criticModel);
+      cost += this.criticRequestsPerVideo *
+        this.requestCost(criticPricing, this.criticTokensPerRequest, this.criticTokensPerRequest / 10);
+    }
+
+    return Math.round(cost * 10000) / 10000;
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.CostEstimator = CostEstimator;
+}
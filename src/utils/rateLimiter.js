@@ -2,6 +2,10 @@
 class RateLimiter {
   constructor() {
     this.limits = new Map();
+    // Jobs currently running per action, for actions configured with maxConcurrent
+    this.activeSlots = new Map();
+    // Pending storage updates per key, see serialize()
+    this.updateQueues = new Map();
     this.strategies = {
       FIXED_WINDOW: 'fixed_window',
       SLIDING_WINDOW: 'sliding_window',
@@ -37,16 +41,36 @@ class RateLimiter {
 
     const key = `${action}_${identifier}_${provider || 'default'}`;
     
-    switch (config.strategy) {
-      case this.strategies.FIXED_WINDOW:
-        return await this.checkFixedWindow(key, config);
-      case this.strategies.SLIDING_WINDOW:
-        return await this.checkSlidingWindow(key, config);
-      case this.strategies.TOKEN_BUCKET:
-        return await this.checkTokenBucket(key, config);
-      default:
-        return { allowed: true };
-    }
+    return await this.serialize(key, () => {
+      switch (config.strategy) {
+        case this.strategies.FIXED_WINDOW:
+          return this.checkFixedWindow(key, config);
+        case this.strategies.SLIDING_WINDOW:
+          return this.checkSlidingWindow(key, config);
+        case this.strategies.TOKEN_BUCKET:
+          return this.checkTokenBucket(key, config);
+        default:
+          return { allowed: true };
+      }
+    });
+  }
+
+  // Each check reads, changes and writes chrome.storage; run concurrently, two checks for the
+  // same key would both read the old count and both pass. Checks for one key run one after
+  // another within this page or worker.
+  serialize(key, run) {
+    const queue = (this.updateQueues.get(key) || Promise.resolve()).then(run, run);
+    this.updateQueues.set(key, queue);
+
+    // Forget the queue once it is idle
+    const forget = () => {
+      if (this.updateQueues.get(key) === queue) {
+        this.updateQueues.delete(key);
+      }
+    };
+    queue.then(forget, forget);
+
+    return queue;
   }
 
   // Get provider-specific rate limits
@@ -69,6 +93,11 @@ class RateLimiter {
       console.log('🤖 Applying OpenAI limits: 50 requests/minute');
       config.maxRequests = 50;
       config.windowMs = 60000;
+    } else if (provider === 'anthropic') {
+      // Anthropic's lowest tier allows 50 requests per minute
+      console.log('🧠 Applying Anthropic limits: 50 requests/minute');
+      config.maxRequests = 50;
+      config.windowMs = 60000;
     }
 
     return config;
@@ -188,6 +217,34 @@ class RateLimiter {
     };
   }
 
+  // Concurrency limits count running jobs rather than requests. Slots live in memory, so they
+  // reset together with the page or service worker that holds them.
+  acquireSlot(action, identifier = 'default') {
+    const config = this.limits.get(action);
+    if (!config || !config.maxConcurrent) {
+      return true;
+    }
+
+    const key = `${action}_${identifier}`;
+    const active = this.activeSlots.get(key) || 0;
+    if (active >= config.maxConcurrent) {
+      return false;
+    }
+
+    this.activeSlots.set(key, active + 1);
+    return true;
+  }
+
+  releaseSlot(action, identifier = 'default') {
+    const key = `${action}_${identifier}`;
+    const active = this.activeSlots.get(key) || 0;
+    if (active <= 1) {
+      this.activeSlots.delete(key);
+    } else {
+      this.activeSlots.set(key, active - 1);
+    }
+  }
+
   // Get current rate limit status
   async getStatus(action, identifier = 'default', provider = null) {
     const config = this.limits.get(action);
@@ -238,25 +295,33 @@ class RateLimiter {
   }
 }
 
-// Initialize global rate limiter
-window.RateLimiter = new RateLimiter();
+// Initialize global rate limiter (globalThis, so the background service worker can load it too)
+globalThis.RateLimiter = new RateLimiter();
 
 // Configure default limits with conservative values
-window.RateLimiter.configure('ai_analysis', {
+globalThis.RateLimiter.configure('ai_analysis', {
   strategy: 'sliding_window',
   maxRequests: 50, // Conservative default
   windowMs: 60 * 1000 // 1 minute
 });
 
-window.RateLimiter.configure('api_call', {
+globalThis.RateLimiter.configure('api_call', {
   strategy: 'sliding_window',
   maxRequests: 20, // Conservative for free models
   windowMs: 60 * 1000 // 1 minute
 });
 
 // Configure chunk analysis with very conservative limits for real-time processing
-window.RateLimiter.configure('chunk_analysis', {
+globalThis.RateLimiter.configure('chunk_analysis', {
   strategy: 'sliding_window',
   maxRequests: 15, // Even more conservative for chunk-by-chunk analysis
   windowMs: 60 * 1000 // 1 minute
-});
\ No newline at end of file
+});
+
+// Playlist queue: whole videos analyzed in the background, a few at a time
+globalThis.RateLimiter.configure('queue_analysis', {
+  strategy: 'sliding_window',
+  maxRequests: 6, // Videos started per window
+  windowMs: 60 * 1000, // 1 minute
+  maxConcurrent: 2
+});
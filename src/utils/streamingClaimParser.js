@@ -0,0 +1,105 @@
+// Incremental parser for streamed AI responses - emits each object of the "claims" array (or of
+// a bare top-level array, which ClaimSchema.parseResponse accepts too) as soon as its closing
+// brace arrives, long before the full JSON document is complete
+class StreamingClaimParser {
+  constructor() {
+    this.buffer = '';
+    this.position = 0;
+    this.arrayStart = -1;
+    this.depth = 0;
+    this.objectStart = -1;
+    this.inString = false;
+    this.escaped = false;
+    this.done = false;
+  }
+
+  // Append a chunk of model output and return the claims completed by it
+  push(text) {
+    this.buffer += text;
+    const claims = [];
+
+    if (this.done) return claims;
+
+    if (this.arrayStart === -1) {
+      this.arrayStart = this.findArrayStart();
+      if (this.arrayStart === -1) return claims;
+
+      this.position = this.arrayStart;
+    }
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{') {
+        if (this.depth === 0) {
+          this.objectStart = this.position;
+        }
+        this.depth++;
+      } else if (char === '}') {
+        this.depth--;
+        if (this.depth === 0 && this.objectStart !== -1) {
+          const claim = this.parseObject(this.buffer.slice(this.objectStart, this.position + 1));
+          if (claim) {
+            claims.push(claim);
+          }
+          this.objectStart = -1;
+        }
+      } else if (char === ']' && this.depth === 0) {
+        this.done = true;
+        this.position++;
+        break;
+      }
+    }
+
+    return claims;
+  }
+
+  // Index just past the "[" that opens the claims, or -1 while that is not known yet
+  findArrayStart() {
+    const match = /"claims"\s*:\s*\[/.exec(this.buffer);
+    if (match) {
+      return match.index + match[0].length;
+    }
+
+    // A bare array: the first bracket outside code fences is a "[" that opens an object or
+    // closes right away - so "[see below]" in leading prose is not taken for one
+    const text = this.buffer.replace(/```(?:json)?/gi, fence => ' '.repeat(fence.length));
+    const first = /[{[]/.exec(text);
+    if (!first || first[0] !== '[') return -1;
+
+    const next = /\S/.exec(text.slice(first.index + 1));
+    return next && (next[0] === '{' || next[0] === ']') ? first.index + 1 : -1;
+  }
+
+  parseObject(json) {
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      // Malformed claims are left for the full-response parser to deal with
+      console.warn('⚠️ Skipping malformed streamed claim:', error.message);
+      return null;
+    }
+  }
+
+  get text() {
+    return this.buffer;
+  }
+}
+
+// Export for use in other parts of the extension
+if (typeof window !== 'undefined') {
+  window.StreamingClaimParser = StreamingClaimParser;
+}
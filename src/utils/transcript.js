@@ -0,0 +1,252 @@
+// Timed transcript model shared by every transcript source and the analysis pipeline
+class Transcript {
+  constructor({ segments = [], source = 'unknown', language = null, languageName = null, isAutoGenerated = false, translatedFrom = null } = {}) {
+    this.segments = segments
+      .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim().length > 0)
+      .map(segment => ({
+        start: Math.max(0, Number(segment.start) || 0),
+        end: Math.max(Number(segment.start) || 0, Number(segment.end) || 0),
+        text: segment.text.trim()
+      }))
+      .sort((a, b) => a.start - b.start);
+    this.source = source;
+    this.language = language;
+    this.languageName = languageName;
+    this.isAutoGenerated = isAutoGenerated;
+    // Original language code when the segments are a machine translation
+    this.translatedFrom = translatedFrom;
+  }
+
+  // Build from [{ start, duration, text }] - segments without a duration end where the next one starts
+  static fromTimedSegments(timedSegments, metadata = {}) {
+    const sorted = [...timedSegments].sort((a, b) => a.start - b.start);
+
+    const segments = sorted.map((segment, index) => {
+      const next = sorted[index + 1];
+      let end = segment.start + (segment.duration || 0);
+
+      if (!segment.duration) {
+        end = next ? next.start : segment.start + Transcript.DEFAULT_SEGMENT_SECONDS;
+      }
+
+      return { start: segment.start, end, text: segment.text };
+    });
+
+    return new Transcript({ ...metadata, segments });
+  }
+
+  static fromJSON(data) {
+    if (!data || !Array.isArray(data.segments)) return null;
+    return new Transcript(data);
+  }
+
+  get duration() {
+    return this.segments.length > 0 ? this.segments[this.segments.length - 1].end : 0;
+  }
+
+  get text() {
+    return this.segments.map(segment => segment.text).join(' ');
+  }
+
+  isEmpty() {
+    return this.segments.length === 0;
+  }
+
+  // Segments overlapping [startSeconds, endSeconds)
+  getSegmentsInRange(startSeconds, endSeconds) {
+    return this.segments.filter(segment => segment.end > startSeconds && segment.start < endSeconds);
+  }
+
+  slice(startSeconds, endSeconds) {
+    return new Transcript({
+      ...this.getMetadata(),
+      segments: this.getSegmentsInRange(startSeconds, endSeconds)
+    });
+  }
+
+  // Cut on real segment start times instead of an estimated speaking rate
+  limitToDuration(durationMinutes) {
+    const limitSeconds = durationMinutes * 60;
+    return new Transcript({
+      ...this.getMetadata(),
+      segments: this.segments.filter(segment => segment.start < limitSeconds)
+    });
+  }
+
+  // Split into overlapping time windows for chunked analysis. Segments keep their absolute times,
+  // so claims found in any window map straight back onto the full transcript.
+  splitIntoWindows(windowSeconds, overlapSeconds = 0) {
+    if (this.duration <= windowSeconds) {
+      return [{ start: 0, end: this.duration, transcript: this }];
+    }
+
+    const step = Math.max(1, windowSeconds - overlapSeconds);
+    const windows = [];
+
+    for (let start = 0; start < this.duration; start += step) {
+      const end = Math.min(start + windowSeconds, this.duration);
+      const transcript = this.slice(start, end);
+
+      if (!transcript.isEmpty()) {
+        windows.push({ start, end, transcript });
+      }
+
+      if (end >= this.duration) break;
+    }
+
+    return windows;
+  }
+
+  // Binary search for the last segment starting at or before the given time
+  findSegmentIndexAt(seconds) {
+    let low = 0;
+    let high = this.segments.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.segments[mid].start <= seconds) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  findSegmentAt(seconds) {
+    const index = this.findSegmentIndexAt(seconds);
+    if (index === -1) return null;
+
+    const segment = this.segments[index];
+    return seconds < segment.end ? segment : null;
+  }
+
+  // Snap a claim to real segment boundaries. The quote is matched against nearby segments
+  // to correct timestamp drift; claims outside the transcript are reported as unverified.
+  alignClaim(startSeconds, durationSeconds, quote = '') {
+    const searchWindow = 30;
+    const candidates = this.getSegmentsInRange(startSeconds - searchWindow, startSeconds + searchWindow);
+
+    if (candidates.length === 0) {
+      return { start: startSeconds, duration: durationSeconds, verified: false };
+    }
+
+    let anchor = this.findSegmentAt(startSeconds);
+    const quoteMatch = this.findBestQuoteMatch(candidates, quote);
+
+    if (quoteMatch) {
+      anchor = quoteMatch;
+    } else if (!anchor) {
+      anchor = candidates.reduce((closest, segment) =>
+        Math.abs(segment.start - startSeconds) < Math.abs(closest.start - startSeconds) ? segment : closest
+      );
+    }
+
+    const targetEnd = anchor.start + Math.max(1, durationSeconds);
+    const endIndex = this.findSegmentIndexAt(targetEnd - 0.001);
+    const endSegment = endIndex >= 0 ? this.segments[endIndex] : anchor;
+    const end = Math.max(anchor.end, endSegment.end);
+
+    return {
+      start: anchor.start,
+      duration: Math.max(1, Math.round(end - anchor.start)),
+      verified: Boolean(quoteMatch) || (anchor.start <= startSeconds && startSeconds < anchor.end)
+    };
+  }
+
+  findBestQuoteMatch(candidates, quote) {
+    const quoteWords = Transcript.tokenize(quote).slice(0, 8);
+    if (quoteWords.length === 0) return null;
+
+    let best = null;
+    let bestScore = 0;
+
+    const overlap = text => {
+      const words = new Set(Transcript.tokenize(text));
+      return quoteWords.filter(word => words.has(word)).length / quoteWords.length;
+    };
+
+    candidates.forEach((segment, index) => {
+      // Quotes often span a segment boundary, so the segment plus its successor also counts,
+      // slightly discounted so a segment holding the quote itself wins
+      const next = candidates[index + 1];
+      const ownScore = overlap(segment.text);
+      const spanScore = next ? overlap(segment.text + ' ' + next.text) * 0.9 : 0;
+      const score = Math.max(ownScore, spanScore);
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = segment;
+      }
+    });
+
+    return bestScore >= 0.6 ? best : null;
+  }
+
+  // "m:ss text" lines, one per segment, for the AI prompt
+  toPromptText() {
+    return this.segments
+      .map(segment => `${Transcript.formatTimestamp(segment.start)} ${segment.text}`)
+      .join('\n');
+  }
+
+  getMetadata() {
+    return {
+      source: this.source,
+      language: this.language,
+      languageName: this.languageName,
+      isAutoGenerated: this.isAutoGenerated,
+      translatedFrom: this.translatedFrom
+    };
+  }
+
+  toJSON() {
+    return {
+      ...this.getMetadata(),
+      segments: this.segments
+    };
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 0);
+  }
+
+  static formatTimestamp(seconds) {
+    const totalSeconds = Math.floor(seconds);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const remainingSeconds = totalSeconds % 60;
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  }
+
+  static parseTimestamp(timestamp) {
+    if (typeof timestamp === 'number') return timestamp;
+    if (typeof timestamp !== 'string') return 0;
+
+    const parts = timestamp.trim().split(':').map(Number);
+    if (parts.some(isNaN)) return 0;
+
+    if (parts.length === 2) {
+      return parts[0] * 60 + parts[1];
+    } else if (parts.length === 3) {
+      return parts[0] * 3600 + parts[1] * 60 + parts[2];
+    }
+    return 0;
+  }
+}
+
+// Fallback length for the final segment when a source gives no durations
+Transcript.DEFAULT_SEGMENT_SECONDS = 5;
+
+window.Transcript = Transcript;
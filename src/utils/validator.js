@@ -13,45 +13,45 @@ class Validator {
       return { valid: false, error: 'API key cannot be empty' };
     }
 
+    if (ApiKeyVault.isValidFormat(provider, key)) {
+      return { valid: true, sanitized: key };
+    }
+
+    // The format rules live in ApiKeyVault.isValidFormat; this only explains which one failed
     switch (provider) {
       case 'openai':
-        if (!key.startsWith('sk-')) {
+        if (!key.startsWith('sk-') || key.startsWith('sk-ant-')) {
           return { valid: false, error: 'OpenAI API key must start with "sk-"' };
         }
-        if (key.length < 51 || key.length > 56) {
-          return { valid: false, error: 'OpenAI API key has invalid length' };
-        }
-        if (!/^sk-[A-Za-z0-9]+$/.test(key)) {
-          return { valid: false, error: 'OpenAI API key contains invalid characters' };
-        }
-        break;
+        return { valid: false, error: 'OpenAI API key is too short' };
 
       case 'gemini':
-        if (key.length < 35 || key.length > 45) {
-          return { valid: false, error: 'Gemini API key has invalid length' };
+        if (key.length <= 20) {
+          return { valid: false, error: 'Gemini API key is too short' };
         }
-        if (!/^[A-Za-z0-9_-]+$/.test(key)) {
-          return { valid: false, error: 'Gemini API key contains invalid characters' };
-        }
-        break;
+        return { valid: false, error: 'Gemini API key contains invalid characters' };
 
       case 'openrouter':
         if (!key.startsWith('sk-or-')) {
           return { valid: false, error: 'OpenRouter API key must start with "sk-or-"' };
         }
-        if (key.length < 20) {
-          return { valid: false, error: 'OpenRouter API key is too short' };
+        return { valid: false, error: 'OpenRouter API key is too short' };
+
+      case 'anthropic':
+        if (!key.startsWith('sk-ant-')) {
+          return { valid: false, error: 'Anthropic API key must start with "sk-ant-"' };
         }
-        if (!/^sk-or-[A-Za-z0-9_-]+$/.test(key)) {
-          return { valid: false, error: 'OpenRouter API key contains invalid characters' };
+        if (key.length < 40) {
+          return { valid: false, error: 'Anthropic API key is too short' };
         }
-        break;
+        return { valid: false, error: 'Anthropic API key contains invalid characters' };
+
+      case 'custom':
+        return { valid: false, error: 'Custom endpoint token cannot contain spaces' };
 
       default:
         return { valid: false, error: 'Unsupported AI provider' };
     }
-
-    return { valid: true, sanitized: key };
   }
 
   // Validate video ID
@@ -91,7 +91,9 @@
             analysis_version: String(data.analysis_version || '2.1').slice(0, 10),
             total_lies_detected: Math.max(0, Math.min(1000, Number(data.total_lies_detected || 0))),
             analysis_duration_minutes: Math.max(0, Math.min(480, Number(data.analysis_duration_minutes || 20))),
-            confidence_threshold: Math.max(0, Math.min(1, Number(data.confidence_threshold || 0.85)))
+            confidence_threshold: Math.max(0, Math.min(1, Number(data.confidence_threshold || 0.85))),
+            transcript_language: data.transcript_language ? String(data.transcript_language).slice(0, 10) : null,
+            transcript_translated_from: data.transcript_translated_from ? String(data.transcript_translated_from).slice(0, 10) : null
           };
           
         case 'lie':
@@ -103,7 +105,29 @@
             explanation: String(data.explanation || '').slice(0, 2000),
             confidence: Math.max(0, Math.min(1, Number(data.confidence || 0))),
             severity: ['low', 'medium', 'high'].includes(data.severity) ? data.severity : 'low',
-            category: String(data.category || 'other').slice(0, 50)
+            category: window.ClaimCategories ? window.ClaimCategories.normalize(data.category) : String(data.category || 'other').slice(0, 50),
+            correct_fact: data.correct_fact ? String(data.correct_fact).slice(0, 1000) : null,
+            what_was_said: data.what_was_said ? String(data.what_was_said).slice(0, 1000) : null,
+            what_is_true: data.what_is_true ? String(data.what_is_true).slice(0, 1000) : null,
+            source_references: (Array.isArray(data.source_references) ? data.source_references : [])
+              .filter(reference => reference && /^https?:\/\//i.test(String(reference.url || '')))
+              .slice(0, 5)
+              .map(reference => ({
+                title: String(reference.title || '').slice(0, 200),
+                url: String(reference.url).slice(0, 500)
+              })),
+            critic_verdict: ['confirmed', 'downgraded'].includes(data.critic_verdict) ? data.critic_verdict : null,
+            critic_confidence: data.critic_verdict && !isNaN(data.critic_confidence) ? Math.max(0, Math.min(1, Number(data.critic_confidence))) : null,
+            critic_reason: data.critic_verdict && data.critic_reason ? String(data.critic_reason).slice(0, 1000) : null,
+            critic_model: data.critic_verdict && data.critic_model ? String(data.critic_model).slice(0, 200) : null,
+            consensus_models: (Array.isArray(data.consensus_models) ? data.consensus_models : [])
+              .filter(entry => entry && entry.provider && entry.model)
+              .slice(0, 3)
+              .map(entry => ({
+                provider: String(entry.provider).slice(0, 50),
+                model: String(entry.model).slice(0, 200),
+                agreed: entry.agreed === true
+              }))
           };
           
         default:
@@ -481,6 +505,21 @@
       return data;
     },
 
+    // Disputes
+    async createLieDispute(disputeData) {
+      console.log('📝 Creating lie dispute:', disputeData);
+      const disputesTable = new SupabaseTable(this.client, 'lie_disputes');
+      const { data, error } = await disputesTable.insert(disputeData);
+      
+      if (error) {
+        console.error('❌ Error creating lie dispute:', error);
+        throw error;
+      }
+      
+      console.log('✅ Lie dispute created:', data);
+      return data;
+    },
+
     // High-level storage functions used by content script
     async storeVideoAnalysis(analysisData) {
       try {
@@ -503,7 +542,9 @@
           analysis_version: '2.1',
           total_lies_detected: analysisData.total_lies || 0,
           analysis_duration_minutes: analysisData.analysis_duration_minutes || 20,
-          confidence_threshold: 0.85
+          confidence_threshold: 0.85,
+          transcript_language: analysisData.transcript_language || null,
+          transcript_translated_from: analysisData.transcript_translated_from || null
           // TODO: Add these after migration is applied:
           // average_confidence: analysisData.average_confidence || 0,
           // severity_low: analysisData.severity_low || 0,
@@ -555,7 +596,16 @@
           explanation: lie.explanation,
           confidence: lie.confidence,
           severity: lie.severity,
-          category: lie.category || 'other'
+          category: lie.category || 'other',
+          correct_fact: lie.correct_fact || null,
+          what_was_said: lie.what_was_said || null,
+          what_is_true: lie.what_is_true || null,
+          source_references: lie.source_references || [],
+          critic_verdict: lie.critic_verdict || null,
+          critic_confidence: lie.critic_confidence ?? null,
+          critic_reason: lie.critic_reason || null,
+          critic_model: lie.critic_model || null,
+          consensus_models: lie.consensus_models || []
         }));
         
         const result = await this.createDetectedLies(dbLiesData);
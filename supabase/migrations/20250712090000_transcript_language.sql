@@ -0,0 +1,19 @@
+/*
+  # Record the transcript language with each analysis
+
+  1. Changes
+    - Add `transcript_language` to video_analysis (language code of the analyzed transcript)
+    - Add `transcript_translated_from` to video_analysis (original language code when the
+      analyzed transcript was a machine translation, otherwise null)
+
+  2. Security
+    - Length constraints keep anonymous contributions bounded
+*/
+
+ALTER TABLE video_analysis
+  ADD COLUMN IF NOT EXISTS transcript_language text,
+  ADD COLUMN IF NOT EXISTS transcript_translated_from text;
+
+ALTER TABLE video_analysis
+  ADD CONSTRAINT transcript_language_length CHECK (char_length(transcript_language) <= 10),
+  ADD CONSTRAINT transcript_translated_from_length CHECK (char_length(transcript_translated_from) <= 10);
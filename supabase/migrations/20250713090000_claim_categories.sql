@@ -0,0 +1,21 @@
+/*
+  # Claim category taxonomy
+
+  1. Changes
+    - Map any category outside the taxonomy to 'other' (older rows only ever stored 'other')
+    - Restrict `detected_lies.category` to the taxonomy in src/utils/claimCategories.js
+    - Index category for per-topic filtering
+
+  2. Notes
+    - Keep this list in sync with CLAIM_CATEGORIES when the taxonomy changes
+*/
+
+UPDATE detected_lies
+  SET category = 'other'
+  WHERE category IS NULL
+     OR category NOT IN ('health', 'science', 'politics', 'finance', 'history', 'statistics', 'technology', 'environment', 'legal', 'other');
+
+ALTER TABLE detected_lies
+  ADD CONSTRAINT category_valid CHECK (category IN ('health', 'science', 'politics', 'finance', 'history', 'statistics', 'technology', 'environment', 'legal', 'other'));
+
+CREATE INDEX IF NOT EXISTS idx_detected_lies_category ON detected_lies(category);
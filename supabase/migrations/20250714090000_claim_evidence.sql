@@ -0,0 +1,26 @@
+/*
+  # Structured evidence for detected lies
+
+  1. Changes
+    - Add `correct_fact` to detected_lies (the accurate fact in one sentence)
+    - Add `what_was_said` / `what_is_true` to detected_lies (said-vs-true pair)
+    - Add `source_references` to detected_lies (JSON array of { title, url })
+
+  2. Security
+    - Length constraints keep anonymous contributions bounded
+    - At most 5 references per lie
+*/
+
+ALTER TABLE detected_lies
+  ADD COLUMN IF NOT EXISTS correct_fact text,
+  ADD COLUMN IF NOT EXISTS what_was_said text,
+  ADD COLUMN IF NOT EXISTS what_is_true text,
+  ADD COLUMN IF NOT EXISTS source_references jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE detected_lies
+  ADD CONSTRAINT correct_fact_length CHECK (char_length(correct_fact) <= 1000),
+  ADD CONSTRAINT what_was_said_length CHECK (char_length(what_was_said) <= 1000),
+  ADD CONSTRAINT what_is_true_length CHECK (char_length(what_is_true) <= 1000),
+  ADD CONSTRAINT source_references_valid CHECK (
+    jsonb_typeof(source_references) = 'array' AND jsonb_array_length(source_references) <= 5
+  );
@@ -0,0 +1,25 @@
+/*
+  # Second-pass verification verdicts for detected lies
+
+  1. Changes
+    - Add `critic_verdict` to detected_lies ('confirmed' or 'downgraded'; rejected claims are never stored)
+    - Add `critic_confidence` to detected_lies (the second model's own confidence)
+    - Add `critic_reason` to detected_lies (one-sentence justification)
+    - Add `critic_model` to detected_lies (provider/model that reviewed the claim)
+
+  2. Security
+    - Verdict restricted to known values
+    - Length constraints keep anonymous contributions bounded
+*/
+
+ALTER TABLE detected_lies
+  ADD COLUMN IF NOT EXISTS critic_verdict text,
+  ADD COLUMN IF NOT EXISTS critic_confidence numeric(3,2),
+  ADD COLUMN IF NOT EXISTS critic_reason text,
+  ADD COLUMN IF NOT EXISTS critic_model text;
+
+ALTER TABLE detected_lies
+  ADD CONSTRAINT critic_verdict_valid CHECK (critic_verdict IS NULL OR critic_verdict IN ('confirmed', 'downgraded')),
+  ADD CONSTRAINT critic_confidence_range CHECK (critic_confidence IS NULL OR (critic_confidence >= 0 AND critic_confidence <= 1)),
+  ADD CONSTRAINT critic_reason_length CHECK (char_length(critic_reason) <= 1000),
+  ADD CONSTRAINT critic_model_length CHECK (char_length(critic_model) <= 200);
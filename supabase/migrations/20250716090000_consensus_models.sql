@@ -0,0 +1,18 @@
+/*
+  # Multi-model consensus for detected lies
+
+  1. Changes
+    - Add `consensus_models` to detected_lies (JSON array of { provider, model, agreed }
+      listing the models that analyzed the video and whether each flagged the claim)
+
+  2. Security
+    - At most 3 models per lie
+*/
+
+ALTER TABLE detected_lies
+  ADD COLUMN IF NOT EXISTS consensus_models jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE detected_lies
+  ADD CONSTRAINT consensus_models_valid CHECK (
+    jsonb_typeof(consensus_models) = 'array' AND jsonb_array_length(consensus_models) <= 3
+  );
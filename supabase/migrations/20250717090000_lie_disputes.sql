@@ -0,0 +1,58 @@
+/*
+  # Viewer disputes of detected lies
+
+  1. New Tables
+    - `lie_disputes`
+      - `id` (uuid, primary key)
+      - `video_id` (text, the YouTube video id)
+      - `timestamp_seconds` (integer, where the disputed claim starts)
+      - `claim_text` (text, the claim as it was flagged)
+      - `severity` (text, the severity it was flagged with)
+      - `created_at` (timestamp)
+
+  2. Security
+    - Enable RLS on `lie_disputes`
+    - Anyone can read disputes; anonymous users can only add them
+    - Length constraints keep anonymous contributions bounded
+*/
+
+CREATE TABLE IF NOT EXISTS lie_disputes (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  video_id text NOT NULL,
+  timestamp_seconds integer NOT NULL,
+  claim_text text NOT NULL,
+  severity text,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE lie_disputes ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE lie_disputes
+  ADD CONSTRAINT lie_disputes_video_id_length CHECK (char_length(video_id) <= 100),
+  ADD CONSTRAINT lie_disputes_timestamp_positive CHECK (timestamp_seconds >= 0),
+  ADD CONSTRAINT lie_disputes_claim_text_length CHECK (char_length(claim_text) <= 1000),
+  ADD CONSTRAINT lie_disputes_severity_valid CHECK (severity IS NULL OR severity IN ('low', 'medium', 'high', 'critical'));
+
+DROP POLICY IF EXISTS "Anyone can read lie disputes" ON lie_disputes;
+DROP POLICY IF EXISTS "Anonymous can contribute lie disputes" ON lie_disputes;
+DROP POLICY IF EXISTS "Service role can manage lie disputes" ON lie_disputes;
+
+CREATE POLICY "Anyone can read lie disputes"
+  ON lie_disputes
+  FOR SELECT
+  USING (true);
+
+CREATE POLICY "Anonymous can contribute lie disputes"
+  ON lie_disputes
+  FOR INSERT
+  TO anon
+  WITH CHECK (true);
+
+CREATE POLICY "Service role can manage lie disputes"
+  ON lie_disputes
+  FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_lie_disputes_video_id ON lie_disputes(video_id);
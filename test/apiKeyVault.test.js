@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+
+const { ApiKeyVault, APIService, SecurityService, Validator } = loadExtensionScripts(
+  ['src/services/securityService.js', 'src/services/apiKeyVault.js', 'src/services/apiService.js', 'src/utils/validator.js'],
+  createChromeMock().chrome
+);
+
+const ANTHROPIC_KEY = `sk-ant-api03-${'a1B2_c3D4-'.repeat(4)}`;
+
+describe('ApiKeyVault.isValidFormat', () => {
+  test('accepts current key formats', () => {
+    [
+      ['openai', `sk-proj-${'x'.repeat(120)}`],
+      ['openai', `sk-${'x'.repeat(48)}`],
+      ['gemini', `AIzaSy${'x'.repeat(33)}`],
+      ['openrouter', `sk-or-v1-${'0'.repeat(64)}`],
+      ['anthropic', ANTHROPIC_KEY],
+      ['custom', 'local-token']
+    ].forEach(([provider, key]) => {
+      assert.equal(ApiKeyVault.isValidFormat(provider, key), true, `${provider}: ${key}`);
+    });
+  });
+
+  test('refuses keys for the wrong provider, short keys and stray characters', () => {
+    [
+      ['openai', ANTHROPIC_KEY],
+      ['openai', 'sk-short'],
+      ['gemini', 'AIzaSy with spaces in the middle of it'],
+      ['openrouter', `sk-${'x'.repeat(48)}`],
+      ['anthropic', 'sk-ant-api03-tooShort'],
+      ['anthropic', `${ANTHROPIC_KEY}<script>`],
+      ['anthropic', `sk-${'x'.repeat(48)}`],
+      ['custom', 'two words'],
+      ['unknown', `sk-${'x'.repeat(48)}`],
+      ['openai', ''],
+      ['openai', null]
+    ].forEach(([provider, key]) => {
+      assert.equal(ApiKeyVault.isValidFormat(provider, key), false, `${provider}: ${key}`);
+    });
+  });
+});
+
+describe('APIService.makeSecureAPICall', () => {
+  test('refuses a stored key that fails the vault format check', async () => {
+    const apiService = new APIService({
+      securityService: {},
+      apiKeyVault: { getKey: async () => 'sk-ant-api03-tooShort' }
+    });
+
+    await assert.rejects(
+      apiService.makeSecureAPICall('anthropic', 'claude-sonnet-4', [{ role: 'user', content: 'hi' }]),
+      /Invalid API key format/
+    );
+  });
+});
+
+describe('SecurityService.validateApiKey and Validator.validateApiKey', () => {
+  const securityService = new SecurityService();
+
+  test('agree with the vault, including Anthropic keys', () => {
+    [
+      ['anthropic', ANTHROPIC_KEY, true],
+      ['anthropic', `  ${ANTHROPIC_KEY}  `, true],
+      ['anthropic', 'sk-ant-api03-tooShort', false],
+      ['openai', `sk-proj-${'x'.repeat(120)}`, true],
+      ['openai', ANTHROPIC_KEY, false]
+    ].forEach(([provider, key, valid]) => {
+      assert.equal(securityService.validateApiKey(provider, key), valid, `${provider}: ${key}`);
+      assert.equal(Validator.validateApiKey(provider, key).valid, valid, `${provider}: ${key}`);
+    });
+    assert.equal(Validator.validateApiKey('anthropic', `  ${ANTHROPIC_KEY}  `).sanitized, ANTHROPIC_KEY);
+  });
+
+  test('explain which Anthropic rule failed', () => {
+    assert.equal(Validator.validateApiKey('anthropic', `sk-${'x'.repeat(48)}`).error, 'Anthropic API key must start with "sk-ant-"');
+    assert.equal(Validator.validateApiKey('anthropic', 'sk-ant-api03-tooShort').error, 'Anthropic API key is too short');
+    assert.equal(Validator.validateApiKey('anthropic', `${ANTHROPIC_KEY}<script>`).error, 'Anthropic API key contains invalid characters');
+    assert.equal(Validator.validateApiKey('anthropic', '').error, 'API key is required');
+  });
+});
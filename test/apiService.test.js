@@ -0,0 +1,116 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+import { startFakeOpenAIServer, MODELS } from './helpers/fakeOpenAIServer.js';
+
+const RESPONSE_SCHEMA = {
+  name: 'fact_check_claims',
+  strict: { type: 'object', properties: { claims: { type: 'array' } }, required: ['claims'] }
+};
+const MESSAGES = [{ role: 'user', content: 'Check this transcript' }];
+
+describe('APIService.isStructuredOutputRejection', () => {
+  const { APIService } = loadExtensionScripts(['src/services/apiService.js'], createChromeMock().chrome);
+
+  test('recognizes each provider naming the structured output parameter', () => {
+    [
+      { error: { message: "Invalid parameter: 'response_format' of type 'json_schema' is not supported with this model.", param: 'response_format' } },
+      { error: { message: 'Invalid JSON payload received. Unknown name "responseSchema" at \'generation_config\': Cannot find field.' } },
+      { error: { type: 'invalid_request_error', message: 'tools.0.input_schema: JSON schema is invalid' } },
+      { error: { message: 'Provider returned error', metadata: { raw: 'structured outputs are not supported for this model' } } },
+      { error: 'json: unknown field "response_format"' }
+    ].forEach(errorData => {
+      assert.equal(APIService.isStructuredOutputRejection(errorData), true, JSON.stringify(errorData));
+    });
+  });
+
+  test('ignores other bad requests', () => {
+    [
+      { error: { message: "The model 'gpt-9' does not exist", code: 'model_not_found' } },
+      { error: { message: "This model's maximum context length is 128000 tokens.", param: 'messages' } },
+      { error: { message: 'max_tokens: must be at most 4096' } },
+      {},
+      null
+    ].forEach(errorData => {
+      assert.equal(APIService.isStructuredOutputRejection(errorData), false, JSON.stringify(errorData));
+    });
+  });
+});
+
+describe('APIService.buildRequest for OpenAI', () => {
+  const { APIService } = loadExtensionScripts(['src/services/apiService.js'], createChromeMock().chrome);
+  const apiService = new APIService({ securityService: {}, apiKeyVault: {} });
+  const build = async model => (await apiService.buildRequest('openai', model, MESSAGES, 'sk-test', { stream: false, structuredMode: 'none' })).body;
+
+  test('reasoning models get max_completion_tokens and the default temperature', async () => {
+    for (const model of ['o1', 'o3-mini', 'o4-mini-2025-04-16', 'gpt-5', 'gpt-5-mini']) {
+      const body = await build(model);
+      assert.equal(body.max_completion_tokens, 4000, model);
+      assert.equal(body.max_tokens, undefined, model);
+      assert.equal(body.temperature, undefined, model);
+    }
+  });
+
+  test('other models keep max_tokens and temperature', async () => {
+    for (const model of ['gpt-4o-mini', 'gpt-4.1', 'gpt-5-chat-latest', 'gpt-3.5-turbo']) {
+      const body = await build(model);
+      assert.equal(body.max_tokens, 4000, model);
+      assert.equal(body.temperature, 0.3, model);
+      assert.equal(body.max_completion_tokens, undefined, model);
+    }
+  });
+});
+
+describe('structured output fallback', () => {
+  let server;
+  let rejection;
+  let apiService;
+
+  before(async () => {
+    // Answers every request that carries a response_format with the current rejection
+    server = await startFakeOpenAIServer({
+      respond: request => (request.body?.response_format && rejection ? rejection : undefined)
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    server.requests.length = 0;
+    rejection = null;
+
+    const mock = createChromeMock();
+    const background = loadExtensionScripts(['src/services/customProviderService.js'], mock.chrome);
+    mock.setMessageHandler(message => background.CustomProviderService.relayRequest(message));
+    await background.CustomProviderService.requestAccess(server.baseUrl);
+
+    const content = loadExtensionScripts(['src/services/apiService.js'], mock.chrome);
+    apiService = new content.APIService({ securityService: {}, apiKeyVault: {} });
+  });
+
+  test('retries without the schema when the server rejects response_format', async () => {
+    rejection = { status: 400, body: { error: { message: "unsupported parameter: 'response_format'", type: 'invalid_request_error' } } };
+
+    const data = await apiService.makeAPICall('custom', MODELS[0], MESSAGES, '', { responseSchema: RESPONSE_SCHEMA });
+    assert.equal(JSON.parse(data.choices[0].message.content).claims.length, 1);
+
+    assert.equal(server.requests.length, 2);
+    assert.equal(server.requests[0].body.response_format.type, 'json_schema');
+    assert.equal(server.requests[1].body.response_format, undefined);
+    assert.equal(await apiService.getStructuredOutputMode('custom', MODELS[0]), 'none');
+  });
+
+  test('reports any other 400 instead of retrying without the schema', async () => {
+    rejection = { status: 400, body: { error: { message: `model '${MODELS[0]}' not found, try pulling it first` } } };
+
+    await assert.rejects(
+      apiService.makeAPICall('custom', MODELS[0], MESSAGES, '', { responseSchema: RESPONSE_SCHEMA }),
+      error => error.code === 'request' && error.status === 400 && /not found/.test(error.message)
+    );
+
+    assert.equal(server.requests.length, 1);
+    assert.equal(await apiService.getStructuredOutputMode('custom', MODELS[0]), 'json_schema');
+  });
+});
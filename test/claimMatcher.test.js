@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+
+const { ClaimMatcher, Transcript } = loadExtensionScripts(
+  ['src/utils/transcript.js', 'src/utils/claimMatcher.js'],
+  createChromeMock().chrome
+);
+const matcher = new ClaimMatcher();
+
+// Results come from another realm - compare plain copies
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function claim(start, text, confidence = 0.8, duration = 10) {
+  return { timestamp_seconds: start, duration_seconds: duration, claim_text: text, confidence };
+}
+
+describe('ClaimMatcher.merge across overlapping chunks', () => {
+  test('a claim found by two overlapping windows is kept once, the most confident copy', () => {
+    const firstWindow = [claim(100, 'The moon landing was filmed in a studio', 0.7), claim(20, 'Vaccines contain microchips', 0.9)];
+    const secondWindow = [claim(104, 'the moon landing was filmed in a Nevada studio', 0.85), claim(150, 'Shadows prove the photos are fake', 0.6)];
+
+    const merged = matcher.merge([firstWindow, secondWindow]);
+
+    assert.deepEqual(plain(merged.map(entry => [entry.timestamp_seconds, entry.confidence])), [[20, 0.9], [104, 0.85], [150, 0.6]]);
+  });
+
+  test('a short quote contained in a longer one is the same claim', () => {
+    assert.equal(matcher.isSameClaim(
+      claim(60, 'filmed in a studio'),
+      claim(70, 'He says the landing was filmed in a studio in Nevada')
+    ), true);
+  });
+
+  test('similar wording far apart in time stays separate', () => {
+    const merged = matcher.merge([[claim(10, 'The moon landing was faked')], [claim(300, 'The moon landing was faked')]]);
+    assert.equal(merged.length, 2);
+  });
+
+  test('long overlapping ranges count as close in time', () => {
+    assert.equal(matcher.isSameClaim(claim(0, 'The moon landing was faked', 0.8, 60), claim(45, 'moon landing faked')), true);
+    assert.equal(matcher.isSameClaim(claim(0, 'The moon landing was faked', 0.8, 10), claim(45, 'moon landing faked')), false);
+  });
+
+  test('different claims at the same time are both kept', () => {
+    const merged = matcher.merge([[claim(30, 'The moon landing was faked')], [claim(32, 'Vaccines contain microchips')]]);
+    assert.equal(merged.length, 2);
+  });
+
+  test('word overlap ignores case, punctuation and short words', () => {
+    assert.equal(matcher.textSimilarity('The MOON landing, was faked!', 'moon landing faked'), 1);
+    assert.equal(matcher.textSimilarity('', 'moon landing'), 0);
+    assert.equal(matcher.textSimilarity('a an of', 'a an of'), 0);
+  });
+});
+
+describe('Transcript.splitIntoWindows', () => {
+  const transcript = Transcript.fromTimedSegments(
+    Array.from({ length: 60 }, (_, index) => ({ start: index * 10, duration: 10, text: `segment ${index}` }))
+  );
+
+  test('windows overlap and keep absolute segment times', () => {
+    const windows = transcript.splitIntoWindows(200, 40);
+
+    assert.deepEqual(plain(windows.map(({ start, end }) => [start, end])), [[0, 200], [160, 360], [320, 520], [480, 600]]);
+    assert.equal(windows[1].transcript.segments[0].start, 160);
+    assert.equal(windows[1].transcript.segments.at(-1).start, 350);
+  });
+
+  test('a transcript shorter than one window is a single window', () => {
+    const windows = transcript.splitIntoWindows(1000, 100);
+    assert.equal(windows.length, 1);
+    assert.equal(windows[0].transcript, transcript);
+  });
+});
+
+describe('ClaimMatcher.consensus', () => {
+  // Three models: all flag the moon claim, two flag the vaccine claim, one flags the shadows claim
+  const modelClaims = [
+    [claim(100, 'The moon landing was filmed in a studio', 0.9), claim(20, 'Vaccines contain microchips', 0.6)],
+    [claim(105, 'moon landing filmed in studio', 0.6), claim(22, 'vaccines contain tracking microchips', 0.8)],
+    [claim(98, 'The moon landing was filmed in a studio in Nevada', 0.6), claim(150, 'Shadows prove the photos are fake', 0.95)]
+  ];
+
+  test('keeps statements flagged by at least the quorum of models', () => {
+    assert.deepEqual(plain(matcher.consensus(modelClaims, 2).map(result => result.claim.claim_text)), [
+      'vaccines contain tracking microchips',
+      'The moon landing was filmed in a studio'
+    ]);
+    assert.equal(matcher.consensus(modelClaims, 3).length, 1);
+    assert.equal(matcher.consensus(modelClaims, 1).length, 3);
+  });
+
+  test('reports which models agreed and their average confidence', () => {
+    const [vaccines, moon] = matcher.consensus(modelClaims, 2);
+
+    assert.deepEqual(plain(vaccines.sources), [0, 1]);
+    assert.equal(vaccines.confidence.toFixed(2), '0.70');
+    assert.equal(vaccines.claim.confidence, 0.8);
+    assert.deepEqual(plain(moon.sources), [0, 1, 2]);
+    assert.equal(moon.confidence.toFixed(2), '0.70');
+  });
+
+  test('a model flagging the same statement twice counts once, at its higher confidence', () => {
+    const results = matcher.consensus([
+      [claim(100, 'The moon landing was faked', 0.5), claim(108, 'the moon landing was faked', 0.9)],
+      [claim(300, 'Something else entirely', 0.7)]
+    ], 2);
+
+    assert.equal(results.length, 0);
+    assert.deepEqual(plain(matcher.consensus([[claim(100, 'moon landing faked', 0.5), claim(108, 'moon landing faked', 0.9)]], 1)[0].sources), [0]);
+  });
+
+  test('no claims from any model is an empty result', () => {
+    assert.deepEqual(plain(matcher.consensus([[], []], 2)), []);
+  });
+});
@@ -0,0 +1,194 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+import { claimReply } from './helpers/fakeOpenAIServer.js';
+
+const { ClaimSchema } = loadExtensionScripts(
+  ['src/utils/transcript.js', 'src/utils/claimCategories.js', 'src/utils/claimSchema.js'],
+  createChromeMock().chrome
+);
+const schema = new ClaimSchema();
+
+function validClaim(overrides = {}) {
+  return {
+    timestamp: '1:23',
+    timeInSeconds: 83,
+    duration: 12,
+    claim: 'Vaccines contain microchips',
+    explanation: 'This is a debunked conspiracy theory.',
+    confidence: 0.95,
+    severity: 'critical',
+    category: 'health',
+    evidence: {
+      correctFact: 'Vaccines contain no electronic components.',
+      whatWasSaid: 'Vaccines contain microchips',
+      whatIsTrue: 'Vaccine ingredients are published and contain no microchips',
+      references: [{ title: 'CDC: Ingredients of Vaccines', url: 'https://www.cdc.gov/vaccines/vac-gen/additives.htm' }]
+    },
+    ...overrides
+  };
+}
+
+const REPLY = JSON.stringify({ claims: [validClaim()] }, null, 2);
+
+// Claims come from another realm - compare plain copies
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('ClaimSchema.parseResponse repairs', () => {
+  test('parses a clean reply without repair', () => {
+    const result = schema.parseResponse(REPLY);
+    assert.equal(result.repaired, false);
+    assert.deepEqual(plain(result.claims), [validClaim()]);
+  });
+
+  test('JSON in a markdown code fence', () => {
+    const result = schema.parseResponse(`\`\`\`json\n${REPLY}\n\`\`\``);
+    assert.equal(result.repaired, true);
+    assert.equal(result.claims.length, 1);
+  });
+
+  test('JSON wrapped in prose', () => {
+    const result = schema.parseResponse(`Here is my analysis of the transcript:\n\n${REPLY}\n\nLet me know if you need anything else {not json}.`);
+    assert.equal(result.repaired, true);
+    assert.deepEqual(plain(result.claims), [validClaim()]);
+  });
+
+  test('trailing commas, leaving commas inside strings alone', () => {
+    const reply = '{"claims": [{"timestamp": "1:23", "timeInSeconds": 83, "duration": 12, "claim": "Prices rose 5%,]", ' +
+      '"explanation": "They fell.", "confidence": 0.9, "severity": "high", "category": "finance", ' +
+      '"evidence": {"correctFact": "Prices fell.", "whatWasSaid": "rose", "whatIsTrue": "fell", "references": [],},},],}';
+
+    const result = schema.parseResponse(reply);
+    assert.equal(result.repaired, true);
+    assert.equal(result.claims[0].claim, 'Prices rose 5%,]');
+  });
+
+  test('truncated output keeps the complete claims', () => {
+    const complete = JSON.stringify(validClaim());
+    const reply = `{"claims": [${complete}, {"timestamp": "2:10", "timeInSeconds": 130, "claim": "The earth is fl`;
+
+    const result = schema.parseResponse(reply);
+    assert.equal(result.repaired, true);
+    assert.deepEqual(plain(result.claims), [validClaim()]);
+  });
+
+  test('a bare top-level array of claims', () => {
+    const result = schema.parseResponse(JSON.stringify([validClaim()]));
+    assert.equal(result.claims.length, 1);
+  });
+
+  test('refuses empty and unrecoverable replies', () => {
+    assert.throws(() => schema.parseResponse(''), /empty/);
+    assert.throws(() => schema.parseResponse('I could not find any false claims.'), /not valid JSON/);
+    assert.throws(() => schema.parseResponse('{"result": "none"}'), /does not match the expected format/);
+  });
+});
+
+describe('ClaimSchema claim normalization and validation', () => {
+  test('percent confidence becomes 0-1', () => {
+    const { claims } = schema.parseResponse(JSON.stringify({
+      claims: [validClaim({ confidence: 95 }), validClaim({ confidence: '87' }), validClaim({ confidence: 0.6 })]
+    }));
+    assert.deepEqual(plain(claims.map(claim => claim.confidence)), [0.95, 0.87, 0.6]);
+  });
+
+  test('fills in derivable fields', () => {
+    const { claims } = schema.parseResponse(JSON.stringify({
+      claims: [validClaim({ timestamp: undefined, timeInSeconds: 83, duration: undefined, severity: ' HIGH ', category: 'Astrology' })]
+    }));
+    assert.equal(claims[0].timestamp, '1:23');
+    assert.equal(claims[0].duration, 10);
+    assert.equal(claims[0].severity, 'high');
+    assert.equal(claims[0].category, 'other');
+  });
+
+  test('drops malformed references without dropping the claim', () => {
+    const evidence = {
+      ...validClaim().evidence,
+      references: [
+        { title: 'Bad scheme', url: 'javascript:alert(1)' },
+        { title: '', url: 'https://example.org/no-title' },
+        { title: 'Good', url: 'https://example.org/source' }
+      ]
+    };
+    const { claims } = schema.parseResponse(JSON.stringify({ claims: [validClaim({ evidence })] }));
+    assert.deepEqual(plain(claims[0].evidence.references), [{ title: 'Good', url: 'https://example.org/source' }]);
+  });
+
+  test('keeps claims without evidence, filling in null and []', () => {
+    const { claims, rejected } = schema.parseResponse(JSON.stringify({
+      claims: [
+        validClaim({ evidence: undefined }),
+        validClaim({ evidence: { correctFact: 'Vaccines contain no electronic components.' } }),
+        validClaim({ evidence: { correctFact: '  ', whatWasSaid: '', whatIsTrue: null, references: null } }),
+        validClaim({ evidence: 'see the CDC website' })
+      ]
+    }));
+
+    assert.equal(rejected.length, 0);
+    assert.deepEqual(plain(claims.map(claim => claim.evidence)), [
+      { correctFact: null, whatWasSaid: null, whatIsTrue: null, references: [] },
+      { correctFact: 'Vaccines contain no electronic components.', whatWasSaid: null, whatIsTrue: null, references: [] },
+      { correctFact: null, whatWasSaid: null, whatIsTrue: null, references: [] },
+      { correctFact: null, whatWasSaid: null, whatIsTrue: null, references: [] }
+    ]);
+  });
+
+  test('keeps only the valid claims of a partly invalid reply', () => {
+    const { claims, rejected } = schema.parseResponse(JSON.stringify({
+      claims: [
+        validClaim(),
+        validClaim({ severity: 'apocalyptic' }),
+        'not a claim',
+        validClaim({ claim: '   ' }),
+        validClaim({ confidence: 250 }),
+        validClaim({ timestamp: 'soon', timeInSeconds: undefined })
+      ]
+    }));
+
+    assert.equal(claims.length, 1);
+    assert.deepEqual(plain(rejected.map(entry => entry.index)), [1, 2, 3, 4, 5]);
+    assert.match(rejected[0].errors.join(), /claim\.severity should be one of/);
+    assert.match(rejected[1].errors.join(), /not an object/);
+  });
+
+  test('throws when every claim is invalid', () => {
+    const reply = JSON.stringify({ claims: [validClaim({ claim: '' }), validClaim({ severity: 'huge' })] });
+    assert.throws(() => schema.parseResponse(reply), /All 2 claims failed validation/);
+  });
+
+  test('an empty claims list is a valid "no lies" reply', () => {
+    const result = schema.parseResponse('{"claims": []}');
+    assert.equal(result.claims.length, 0);
+  });
+
+  test('the stand-in server reply passes the schema as is', () => {
+    const { claims, rejected, repaired } = schema.parseResponse(claimReply('stand-in').choices[0].message.content);
+    assert.equal(claims.length, 1);
+    assert.equal(rejected.length, 0);
+    assert.equal(repaired, false);
+  });
+});
+
+describe('ClaimSchema.validate', () => {
+  test('reports type, enum, range, length and pattern errors with paths', () => {
+    const errors = schema.validate({
+      timestamp: '83 seconds',
+      timeInSeconds: -1,
+      duration: 500,
+      claim: '',
+      explanation: 42,
+      confidence: 0.5,
+      severity: 'medium',
+      category: 'health'
+    }, schema.claimSchema, 'claim');
+
+    assert.deepEqual(plain(errors), [
+      'claim.timestamp has an invalid format',
+      'claim.timeInSeconds should be >= 0',
+      'claim.duration should be <= 120',
+      'claim.claim should not be empty',
+      'claim.explanation should be string but is number'
+    ]);
+  });
+});
@@ -0,0 +1,186 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import { networkInterfaces } from 'node:os';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+import { startFakeOpenAIServer, MODELS } from './helpers/fakeOpenAIServer.js';
+
+const API_KEY = 'local-token';
+
+// The popup and the content script each run in their own context; their messages reach the
+// background worker's relay
+function loadExtension(options) {
+  const mock = createChromeMock(options);
+  const background = loadExtensionScripts(['src/services/customProviderService.js'], mock.chrome);
+  mock.setMessageHandler(message => {
+    if (message.type === 'customProviderRequest') {
+      return background.CustomProviderService.relayRequest(message);
+    }
+  });
+
+  const popup = loadExtensionScripts(['src/services/customProviderService.js'], mock.chrome);
+  const content = loadExtensionScripts(['src/services/apiService.js'], mock.chrome);
+  return { mock, background, popup, content };
+}
+
+describe('CustomProviderService.normalizeBaseUrl', () => {
+  const { popup } = loadExtension();
+
+  test('appends /v1 and drops trailing slashes', () => {
+    const normalize = popup.CustomProviderService.normalizeBaseUrl;
+    assert.equal(normalize('http://localhost:11434'), 'http://localhost:11434/v1');
+    assert.equal(normalize('http://127.0.0.1:8080/v1/'), 'http://127.0.0.1:8080/v1');
+    assert.equal(normalize('  https://localhost:8443/openai/v2  '), 'https://localhost:8443/openai/v2');
+  });
+
+  test('accepts servers on this and other machines', () => {
+    const normalize = popup.CustomProviderService.normalizeBaseUrl;
+    assert.equal(normalize('http://[::1]:11434'), 'http://[::1]:11434/v1');
+    assert.equal(normalize('http://192.168.1.20:11434/'), 'http://192.168.1.20:11434/v1');
+    assert.equal(normalize('http://[fd00::2]:8000/v1'), 'http://[fd00::2]:8000/v1');
+    assert.equal(normalize('http://gpu-box.lan:8080'), 'http://gpu-box.lan:8080/v1');
+    assert.equal(normalize('https://llm.example.com/v1'), 'https://llm.example.com/v1');
+  });
+
+  test('refuses non-http URLs', () => {
+    [
+      'file:///etc/passwd',
+      'javascript:alert(1)',
+      'ftp://192.168.1.20/v1',
+      'localhost:11434',
+      ''
+    ].forEach(value => {
+      assert.throws(() => popup.CustomProviderService.normalizeBaseUrl(value), undefined, value);
+    });
+  });
+});
+
+describe('custom provider against a stand-in server', () => {
+  let server;
+  let extension;
+
+  before(async () => {
+    server = await startFakeOpenAIServer({ apiKey: API_KEY });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    extension = loadExtension();
+  });
+
+  test('asks for the server origin, then lists its models through the relay', async () => {
+    const { popup, mock } = extension;
+    const baseUrl = popup.CustomProviderService.normalizeBaseUrl(server.origin);
+
+    await popup.CustomProviderService.requestAccess(baseUrl);
+    assert.deepEqual(mock.permissionRequests, [[`${server.origin}/*`]]);
+    assert.equal(mock.store.customBaseUrl, baseUrl);
+
+    const models = await popup.CustomProviderService.listModels(baseUrl, API_KEY);
+    assert.deepEqual([...models], MODELS);
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].method, 'GET');
+    assert.equal(server.requests[0].path, '/v1/models');
+    assert.equal(server.requests[0].headers.authorization, `Bearer ${API_KEY}`);
+  });
+
+  test('stops when access is denied', async () => {
+    const { popup, mock } = loadExtension({ grantOnRequest: false });
+
+    await assert.rejects(popup.CustomProviderService.requestAccess(server.baseUrl), /was not granted/);
+    assert.equal(mock.store.customBaseUrl, undefined);
+    assert.equal(server.requests.length, 0);
+  });
+
+  test('reports a rejected token', async () => {
+    const { popup } = extension;
+    await popup.CustomProviderService.requestAccess(server.baseUrl);
+
+    await assert.rejects(popup.CustomProviderService.listModels(server.baseUrl, 'wrong-token'), /Server answered 401/);
+  });
+
+  test('the relay only forwards GET and POST requests under the configured base URL', async () => {
+    const { popup, background } = extension;
+    await popup.CustomProviderService.requestAccess(server.baseUrl);
+    const relay = (request) => background.CustomProviderService.relayRequest(request);
+
+    for (const url of ['https://example.com/v1/models', `${server.origin}/v1-other/models`, `${server.origin}/admin`, null]) {
+      const result = await relay({ url, method: 'GET' });
+      assert.match(result.error, /does not match the configured custom endpoint/, String(url));
+    }
+    assert.match((await relay({ url: `${server.baseUrl}/models`, method: 'DELETE' })).error, /Unsupported method/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  test('the relay stops once the host permission is revoked', async () => {
+    const { popup, background, mock } = extension;
+    await popup.CustomProviderService.requestAccess(server.baseUrl);
+    mock.grantedOrigins.clear();
+
+    const result = await background.CustomProviderService.relayRequest({ url: `${server.baseUrl}/models`, method: 'GET' });
+    assert.match(result.error, /was not granted/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  test('analysis requests reach the server through the relay', async () => {
+    const { popup, content } = extension;
+    await popup.CustomProviderService.requestAccess(server.baseUrl);
+
+    const apiService = new content.APIService({ securityService: {}, apiKeyVault: {} });
+    const messages = [{ role: 'user', content: 'Check this transcript' }];
+    const data = await apiService.makeAPICall('custom', MODELS[1], messages, API_KEY);
+
+    const { claims } = JSON.parse(data.choices[0].message.content);
+    assert.equal(claims.length, 1);
+    assert.equal(claims[0].claim, 'The moon is made of cheese');
+
+    assert.equal(server.requests.length, 1);
+    const [request] = server.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.path, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, `Bearer ${API_KEY}`);
+    assert.equal(request.body.model, MODELS[1]);
+    assert.deepEqual(request.body.messages, messages);
+  });
+
+  test('server errors surface as provider errors', async () => {
+    const { popup, content } = extension;
+    await popup.CustomProviderService.requestAccess(server.baseUrl);
+
+    const apiService = new content.APIService({ securityService: {}, apiKeyVault: {} });
+    await assert.rejects(
+      apiService.makeAPICall('custom', MODELS[0], [{ role: 'user', content: 'hi' }], 'wrong-token'),
+      error => error.code === 'auth' && error.status === 401
+    );
+  });
+});
+
+// Servers reached over IPv6 loopback and over the network, where this machine has those addresses
+describe('custom provider on other addresses', () => {
+  const addresses = Object.values(networkInterfaces()).flat();
+  const lanAddress = addresses.find(address => address.family === 'IPv4' && !address.internal)?.address;
+  const hasIPv6Loopback = addresses.some(address => address.address === '::1');
+
+  [
+    { label: 'IPv6 loopback', host: '::1', skip: !hasIPv6Loopback && 'no IPv6 loopback' },
+    { label: 'a LAN address', host: lanAddress, skip: !lanAddress && 'no LAN address' }
+  ].forEach(({ label, host, skip }) => {
+    test(`lists models from a server on ${label}`, { skip }, async () => {
+      const server = await startFakeOpenAIServer({ host, apiKey: API_KEY });
+      try {
+        const { popup, mock } = loadExtension();
+        const baseUrl = popup.CustomProviderService.normalizeBaseUrl(server.origin);
+
+        await popup.CustomProviderService.requestAccess(baseUrl);
+        assert.deepEqual(mock.permissionRequests, [[`${server.origin}/*`]]);
+        assert.deepEqual([...await popup.CustomProviderService.listModels(baseUrl, API_KEY)], MODELS);
+        assert.equal(server.requests.length, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,28 @@
+// Loads extension scripts into a jsdom window the way the manifest loads content scripts:
+// plain scripts sharing one global scope, each exporting itself on window.
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const ROOT = new URL('../../', import.meta.url);
+
+export function loadScripts(files, html = '<!DOCTYPE html><html><head></head><body></body></html>') {
+  const dom = new JSDOM(html, { runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+
+  // The UI uses closed shadow roots, which are out of reach by design - keep them for inspection
+  const shadowRoots = [];
+  const attachShadow = window.Element.prototype.attachShadow;
+  window.Element.prototype.attachShadow = function (init) {
+    const root = attachShadow.call(this, init);
+    shadowRoots.push(root);
+    return root;
+  };
+
+  files.forEach(file => window.eval(readFileSync(new URL(file, ROOT), 'utf8')));
+  return { window, shadowRoots };
+}
+
+// Every element in the document and in every shadow root created so far
+export function allElements({ window, shadowRoots }) {
+  return [window.document, ...shadowRoots].flatMap(root => [...root.querySelectorAll('*')]);
+}
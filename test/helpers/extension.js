@@ -0,0 +1,60 @@
+// Loads extension scripts into a bare V8 context the way the background worker and extension
+// pages run them: plain scripts sharing one global scope, with a fake chrome API.
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const ROOT = new URL('../../', import.meta.url);
+
+// Pass globals to replace or add to the defaults, e.g. fake timers
+export function loadExtensionScripts(files, chrome, globals = {}) {
+  const context = vm.createContext({
+    chrome, fetch, Response, Headers, URL, AbortController, setTimeout, clearTimeout, console, ...globals
+  });
+  // Scripts written for pages export themselves on window
+  context.window = context;
+
+  files.forEach(file => vm.runInContext(readFileSync(new URL(file, ROOT), 'utf8'), context, { filename: file }));
+  return context;
+}
+
+// chrome.storage.local, chrome.permissions and chrome.runtime.sendMessage, in memory.
+// Messages are cloned like real extension messages and handed to onMessage.
+export function createChromeMock({ grantOnRequest = true } = {}) {
+  const store = {};
+  const grantedOrigins = new Set();
+  const permissionRequests = [];
+  let onMessage = () => undefined;
+
+  const chrome = {
+    storage: {
+      local: {
+        get: async (keys) => Object.fromEntries([].concat(keys).filter(key => key in store).map(key => [key, store[key]])),
+        set: async (items) => { Object.assign(store, structuredClone(items)); }
+      }
+    },
+    permissions: {
+      request: async ({ origins }) => {
+        permissionRequests.push([...origins]);
+        if (grantOnRequest) origins.forEach(origin => grantedOrigins.add(origin));
+        return grantOnRequest;
+      },
+      contains: async ({ origins }) => origins.every(origin => grantedOrigins.has(origin))
+    },
+    runtime: {
+      lastError: undefined,
+      sendMessage: (message, callback) => {
+        const reply = Promise.resolve(onMessage(structuredClone(message))).then(result => structuredClone(result));
+        if (!callback) return reply;
+        reply.then(callback);
+      }
+    }
+  };
+
+  return {
+    chrome,
+    store,
+    grantedOrigins,
+    permissionRequests,
+    setMessageHandler: (handler) => { onMessage = handler; }
+  };
+}
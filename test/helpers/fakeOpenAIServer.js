@@ -0,0 +1,103 @@
+// A stand-in for a self-hosted OpenAI-compatible server (Ollama, llama.cpp server, vLLM):
+// GET /v1/models and POST /v1/chat/completions, recording every request it receives.
+//
+// Also runs on its own for trying the custom provider in the browser:
+//   node test/helpers/fakeOpenAIServer.js [port] [host]   (then connect to http://localhost:11434/v1)
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+export const MODELS = ['stand-in-large', 'stand-in-small'];
+
+// Answers with a single claim that passes ClaimSchema, like a well-behaved model
+export function claimReply(model) {
+  return {
+    id: 'chatcmpl-stand-in',
+    object: 'chat.completion',
+    model: model,
+    choices: [{
+      index: 0,
+      finish_reason: 'stop',
+      message: {
+        role: 'assistant',
+        content: JSON.stringify({
+          claims: [{
+            timestamp: '0:12',
+            timeInSeconds: 12,
+            duration: 8,
+            claim: 'The moon is made of cheese',
+            explanation: 'Lunar samples show the moon is made of rock.',
+            confidence: 0.95,
+            severity: 'high',
+            category: 'science',
+            evidence: {
+              correctFact: 'The moon is made of silicate rock and metal.',
+              whatWasSaid: 'The moon is made of cheese',
+              whatIsTrue: 'The moon is made of rock',
+              references: [{ title: 'NASA: Moon composition', url: 'https://science.nasa.gov/moon/composition/' }]
+            }
+          }]
+        })
+      }
+    }]
+  };
+}
+
+// Options:
+//   host    - address to listen on, 127.0.0.1 by default; IPv6 addresses work too
+//   apiKey  - when set, requests without "Authorization: Bearer <apiKey>" get a 401
+//   respond - (request) => { status, body } | undefined, to override the default answers
+export function startFakeOpenAIServer({ host = '127.0.0.1', port = 0, apiKey = null, respond = null } = {}) {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        body = raw;
+      }
+
+      const request = { method: req.method, path: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const override = respond ? respond(request) : undefined;
+      if (override) {
+        send(override.status, override.body);
+      } else if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+        send(401, { error: { message: 'Invalid API key', type: 'invalid_request_error' } });
+      } else if (req.method === 'GET' && req.url === '/v1/models') {
+        send(200, { object: 'list', data: MODELS.map(id => ({ id, object: 'model', owned_by: 'stand-in' })) });
+      } else if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        send(200, claimReply(body?.model));
+      } else {
+        send(404, { error: { message: `No route for ${req.method} ${req.url}` } });
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const origin = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+      resolve({
+        origin,
+        baseUrl: `${origin}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = await startFakeOpenAIServer({ port: Number(process.argv[2]) || 11434, host: process.argv[3] || '127.0.0.1' });
+  console.log(`Stand-in OpenAI-compatible server on ${server.baseUrl}`);
+}
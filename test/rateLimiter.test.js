@@ -0,0 +1,51 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+
+describe('RateLimiter with concurrent checks', () => {
+  let mock;
+  let rateLimiter;
+
+  beforeEach(() => {
+    mock = createChromeMock();
+    rateLimiter = loadExtensionScripts(['src/utils/rateLimiter.js'], mock.chrome).RateLimiter;
+  });
+
+  test('queue starts fired together stay within the sliding window', async () => {
+    // queue_analysis allows 6 video starts per minute
+    const results = await Promise.all(Array.from({ length: 10 }, () => rateLimiter.isAllowed('queue_analysis')));
+
+    assert.equal(results.filter(result => result.allowed).length, 6);
+    assert.equal(mock.store.rate_queue_analysis_default_default.length, 6);
+  });
+
+  test('fixed window and token bucket counts are not lost either', async () => {
+    rateLimiter.configure('fixed', { strategy: 'fixed_window', maxRequests: 3, windowMs: 60 * 60 * 1000 });
+    rateLimiter.configure('bucket', { strategy: 'token_bucket', maxTokens: 4, tokensPerInterval: 1, windowMs: 60 * 60 * 1000 });
+
+    const fixed = await Promise.all(Array.from({ length: 8 }, () => rateLimiter.isAllowed('fixed')));
+    const bucket = await Promise.all(Array.from({ length: 8 }, () => rateLimiter.isAllowed('bucket')));
+
+    assert.equal(fixed.filter(result => result.allowed).length, 3);
+    assert.equal(bucket.filter(result => result.allowed).length, 4);
+  });
+
+  test('different keys do not wait for each other and the queues are released', async () => {
+    const results = await Promise.all([
+      rateLimiter.isAllowed('ai_analysis', 'default', 'openai', 'gpt-4o'),
+      rateLimiter.isAllowed('ai_analysis', 'default', 'anthropic', 'claude-sonnet-4')
+    ]);
+
+    assert.deepEqual(results.map(result => result.used), [1, 1]);
+    assert.equal(rateLimiter.updateQueues.size, 0);
+  });
+
+  test('a failed check does not block the next one', async () => {
+    const get = mock.chrome.storage.local.get;
+    mock.chrome.storage.local.get = async () => { throw new Error('storage unavailable'); };
+    await assert.rejects(rateLimiter.isAllowed('queue_analysis'), /storage unavailable/);
+
+    mock.chrome.storage.local.get = get;
+    assert.equal((await rateLimiter.isAllowed('queue_analysis')).allowed, true);
+  });
+});
@@ -0,0 +1,174 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts, allElements } from './helpers/dom.js';
+
+const UI_SCRIPTS = [
+  'src/utils/validator.js',
+  'src/ui/safeDom.js',
+  'src/ui/skipNotification.js',
+  'src/ui/lieOverlay.js',
+  'src/ui/factCheckCard.js'
+];
+
+const PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '<script>alert(1)</script>',
+  '"><svg onload=alert(1)>',
+  '<a href="javascript:alert(1)">click</a>'
+];
+
+const BAD_URLS = ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox(1)'];
+
+function hostileLie(payload) {
+  return {
+    timestamp_seconds: 12,
+    duration_seconds: 8,
+    severity: payload,
+    claim_text: payload,
+    explanation: payload,
+    correct_fact: payload,
+    what_was_said: payload,
+    what_is_true: payload,
+    source_references: [
+      ...BAD_URLS.map(url => ({ title: payload, url })),
+      { title: payload, url: 'https://example.org/source' }
+    ]
+  };
+}
+
+// No markup from the payload became an element, no handler attribute exists anywhere and
+// the only links point at http(s) URLs
+function assertInert(context) {
+  const elements = allElements(context);
+  const tags = elements.map(element => element.tagName.toLowerCase());
+  ['script', 'img', 'svg', 'iframe', 'object', 'embed'].forEach(tag => {
+    assert.ok(!tags.includes(tag), `unexpected <${tag}> element`);
+  });
+
+  elements.forEach(element => {
+    [...element.attributes].forEach(attribute => {
+      assert.ok(!/^on/i.test(attribute.name), `handler attribute ${attribute.name} on <${element.tagName}>`);
+      assert.ok(!/[<>]/.test(attribute.value), `markup in ${attribute.name}="${attribute.value}"`);
+    });
+  });
+
+  elements.filter(element => element.tagName === 'A').forEach(link => {
+    assert.match(link.getAttribute('href'), /^https?:\/\//);
+  });
+
+  // Text is sanitized before it reaches the page, so no tag survives even as text
+  elements.filter(element => element.tagName !== 'STYLE').forEach(element => {
+    [...element.childNodes]
+      .filter(node => node.nodeType === node.TEXT_NODE)
+      .forEach(node => assert.ok(!/[<>]/.test(node.data), `markup in text "${node.data}"`));
+  });
+}
+
+function createPlayer(window) {
+  window.document.body.innerHTML = '<div id="movie_player" class="html5-video-player"><video></video></div>';
+  return window.document.querySelector('video');
+}
+
+describe('SafeDom', () => {
+  let context;
+  let SafeDom;
+
+  beforeEach(() => {
+    context = loadScripts(UI_SCRIPTS);
+    SafeDom = context.window.SafeDom;
+  });
+
+  afterEach(() => context.window.close());
+
+  test('text() strips markup and javascript: from every payload', () => {
+    PAYLOADS.forEach(payload => {
+      const text = SafeDom.text(payload);
+      assert.ok(!/[<>]/.test(text), text);
+      assert.ok(!/javascript:/i.test(text), text);
+      assert.ok(!/on\w+=/i.test(text), text);
+    });
+    assert.equal(SafeDom.text(null), '');
+    assert.equal(SafeDom.text(42), '42');
+  });
+
+  test('el() renders text and child strings as text nodes only', () => {
+    PAYLOADS.forEach(payload => {
+      const element = SafeDom.el('div', { text: payload, title: payload }, [payload]);
+      context.window.document.body.appendChild(element);
+      assert.equal(element.children.length, 0);
+      assert.ok([...element.childNodes].every(node => node.nodeType === node.TEXT_NODE));
+    });
+    assertInert(context);
+  });
+
+  test('el() refuses handler and URL attributes', () => {
+    ['onclick', 'onerror', 'ONLOAD', 'href', 'src'].forEach(name => {
+      assert.throws(() => SafeDom.el('div', { attributes: { [name]: 'alert(1)' } }), /not allowed/);
+    });
+
+    const element = SafeDom.el('div', { attributes: { 'aria-label': PAYLOADS[0] } });
+    assert.ok(!/[<>]/.test(element.getAttribute('aria-label')));
+  });
+
+  test('link() refuses non-http URLs and links the rest safely', () => {
+    BAD_URLS.forEach(url => {
+      const element = SafeDom.link(url, 'Source');
+      assert.equal(element.tagName, 'SPAN', url);
+      assert.equal(element.hasAttribute('href'), false);
+    });
+    assert.equal(SafeDom.link(undefined, 'Source').tagName, 'SPAN');
+
+    const link = SafeDom.link('https://example.org/a', PAYLOADS[0]);
+    assert.equal(link.tagName, 'A');
+    assert.equal(link.getAttribute('href'), 'https://example.org/a');
+    assert.equal(link.rel, 'noopener noreferrer');
+    assert.equal(link.children.length, 0);
+  });
+
+  test('createHost() uses a closed shadow root that resets page styles', () => {
+    const { host, root } = SafeDom.createHost('lieblocker-test', '.card { color: red; }');
+    assert.equal(host.shadowRoot, null);
+    assert.equal(root.mode, 'closed');
+    assert.match(root.querySelector('style').textContent, /:host \{ all: initial; \}/);
+  });
+});
+
+describe('content-script UI with hostile claim data', () => {
+  let context;
+
+  beforeEach(() => {
+    context = loadScripts(UI_SCRIPTS);
+  });
+
+  afterEach(() => context.window.close());
+
+  PAYLOADS.forEach(payload => {
+    test(`showSkipNotification renders ${payload} inertly`, () => {
+      const notification = new context.window.SkipNotification();
+      notification.show(hostileLie(payload), payload);
+      assert.ok(context.window.document.querySelector('.lieblocker-skip-notification'));
+      assertInert(context);
+      notification.hide();
+    });
+
+    test(`FactCheckCard renders ${payload} inertly`, () => {
+      const video = createPlayer(context.window);
+      new context.window.FactCheckCard().show(video, hostileLie(payload), { title: payload });
+      assert.ok(context.window.document.querySelector('#movie_player .lieblocker-fact-check-card'));
+      assertInert(context);
+
+      const links = allElements(context).filter(element => element.tagName === 'A');
+      assert.deepEqual(links.map(link => link.getAttribute('href')), ['https://example.org/source']);
+    });
+
+    test(`LieOverlay renders ${payload} inertly`, () => {
+      const video = createPlayer(context.window);
+      const overlay = new context.window.LieOverlay();
+      overlay.showPrompt(video, hostileLie(payload), {});
+      assertInert(context);
+      overlay.showBlur(video, hostileLie(payload));
+      assertInert(context);
+      overlay.hide();
+    });
+  });
+});
@@ -0,0 +1,282 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+
+// Timers on a clock that only moves when a test plays the video
+function createClock() {
+  const timers = new Map();
+  let nextId = 1;
+
+  return {
+    now: 0,
+    timers,
+    setTimeout(callback, delayMs = 0) {
+      const id = nextId++;
+      timers.set(id, { callback, at: this.now + Math.max(0, delayMs) });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    nextTimer(until) {
+      let next = null;
+      timers.forEach((timer, id) => {
+        if (timer.at <= until && (!next || timer.at < next.at)) next = { id, ...timer };
+      });
+      return next;
+    }
+  };
+}
+
+// The parts of an HTMLVideoElement the scheduler uses. Seeks fire 'seeking' and 'seeked' right
+// away; play(ms) moves the playhead with the clock and fires 'timeupdate' every 250ms.
+class FakeVideo extends EventTarget {
+  constructor(clock, { timeupdates = true } = {}) {
+    super();
+    this.clock = clock;
+    this.timeupdates = timeupdates;
+    this.time = 0;
+    this.duration = 600;
+    this.paused = true;
+    this.ended = false;
+    this.seeking = false;
+    this.playbackRate = 1;
+    this.seeks = [];
+  }
+
+  get currentTime() {
+    return this.time;
+  }
+
+  set currentTime(time) {
+    this.time = time;
+    this.seeks.push(time);
+    this.seeking = true;
+    this.dispatchEvent(new Event('seeking'));
+    this.seeking = false;
+    this.dispatchEvent(new Event('seeked'));
+  }
+
+  play(ms = 0) {
+    if (this.paused) {
+      this.paused = false;
+      this.dispatchEvent(new Event('play'));
+    }
+    this.run(ms);
+  }
+
+  pause() {
+    this.paused = true;
+    this.dispatchEvent(new Event('pause'));
+  }
+
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    this.dispatchEvent(new Event('ratechange'));
+  }
+
+  // Wall-clock time passes; due timers and timeupdates fire in order
+  run(ms) {
+    const end = this.clock.now + ms;
+    let nextUpdate = this.clock.now + 250;
+
+    while (true) {
+      const timer = this.clock.nextTimer(end);
+      const update = this.timeupdates && !this.paused && nextUpdate <= end ? nextUpdate : null;
+      if (!timer && update === null) break;
+
+      const at = timer && (update === null || timer.at <= update) ? timer.at : update;
+      this.elapse(at - this.clock.now);
+
+      if (timer && timer.at === at) {
+        this.clock.timers.delete(timer.id);
+        timer.callback();
+      } else {
+        nextUpdate += 250;
+        this.dispatchEvent(new Event('timeupdate'));
+      }
+    }
+
+    this.elapse(end - this.clock.now);
+  }
+
+  elapse(ms) {
+    if (!this.paused) {
+      this.time = Math.min(this.duration, this.time + (ms / 1000) * this.playbackRate);
+    }
+    this.clock.now += ms;
+  }
+}
+
+function lie(start, duration, severity = 'high') {
+  return { timestamp_seconds: start, duration_seconds: duration, severity, claim_text: `lie at ${start}` };
+}
+
+describe('SkipScheduler.buildRanges', () => {
+  const { SkipScheduler } = loadExtensionScripts(['src/services/skipScheduler.js'], createChromeMock().chrome);
+  const plain = value => JSON.parse(JSON.stringify(value));
+
+  test('merges overlapping and touching lies into sorted ranges', () => {
+    const ranges = SkipScheduler.buildRanges([lie(50, 5), lie(10, 5), lie(12, 10), lie(22, 3), lie(40, undefined)]);
+
+    assert.deepEqual(plain(ranges.map(({ start, end, lies }) => ({ start, end, count: lies.length }))), [
+      { start: 10, end: 25, count: 3 },
+      { start: 40, end: 55, count: 2 }
+    ]);
+  });
+
+  test('a merged range takes the strongest action of its lies', () => {
+    const actions = { low: 'annotate', medium: 'mute', high: 'blur', critical: 'skip' };
+    const ranges = SkipScheduler.buildRanges(
+      [lie(10, 5, 'low'), lie(12, 5, 'critical'), lie(14, 5, 'medium'), lie(30, 5, 'low'), lie(32, 5, 'high')],
+      entry => actions[entry.severity]
+    );
+
+    assert.deepEqual(plain(ranges.map(range => range.action)), ['skip', 'blur']);
+  });
+
+  test('leaves out lies without a time or with no action', () => {
+    const ranges = SkipScheduler.buildRanges(
+      [lie(NaN, 5), lie(undefined, 5), lie(10, 5, 'low'), lie(20, 5)],
+      entry => (entry.severity === 'low' ? 'none' : 'skip')
+    );
+
+    assert.deepEqual(plain(ranges.map(range => range.start)), [20]);
+  });
+});
+
+describe('SkipScheduler during playback', () => {
+  let clock;
+  let video;
+  let events;
+  let scheduler;
+
+  function createScheduler(actions = {}, videoOptions = {}) {
+    clock = createClock();
+    video = new FakeVideo(clock, videoOptions);
+    events = [];
+
+    const { SkipScheduler } = loadExtensionScripts(['src/services/skipScheduler.js'], createChromeMock().chrome, {
+      setTimeout: (callback, delayMs) => clock.setTimeout(callback, delayMs),
+      clearTimeout: id => clock.clearTimeout(id)
+    });
+
+    scheduler = new SkipScheduler({
+      onSkip: entry => events.push(['skip', entry.timestamp_seconds, clock.now]),
+      onEnter: range => events.push(['enter', range.action, clock.now]),
+      onLeave: range => events.push(['leave', range.action, clock.now]),
+      getAction: entry => actions[entry.severity] || 'skip'
+    });
+    scheduler.attachVideo(video);
+  }
+
+  beforeEach(() => createScheduler());
+
+  test('skips on time from the boundary timer, without waiting for timeupdate', () => {
+    createScheduler({}, { timeupdates: false });
+    scheduler.setLies([lie(10, 5)]);
+
+    video.play(20000);
+
+    assert.deepEqual(events, [['skip', 10, 10000]]);
+    assert.deepEqual(video.seeks, [15]);
+    assert.equal(video.currentTime, 25);
+  });
+
+  test('does not skip a range the user seeked into, and re-arms once they leave it', () => {
+    scheduler.setLies([lie(10, 5)]);
+
+    video.currentTime = 11;
+    video.play(6000);
+    assert.deepEqual(events, []);
+    assert.equal(video.currentTime, 17);
+
+    // Back before the lie: it is skipped again
+    video.currentTime = 8;
+    video.play(3000);
+    assert.deepEqual(events, [['skip', 10, 8000]]);
+  });
+
+  test('re-arms after seeking back over a skipped range', () => {
+    scheduler.setLies([lie(10, 5)]);
+
+    video.play(11000);
+    video.currentTime = 5;
+    video.play(6000);
+
+    assert.deepEqual(events.map(event => event.slice(0, 2)), [['skip', 10], ['skip', 10]]);
+    assert.deepEqual(video.seeks, [15, 5, 15]);
+  });
+
+  test('a deliberate seek still mutes, blurs or annotates, but does not pause', () => {
+    createScheduler({ high: 'mute', critical: 'pause' });
+    scheduler.setLies([lie(10, 5, 'high'), lie(30, 5, 'critical')]);
+
+    video.currentTime = 12;
+    video.play(4000);
+    video.currentTime = 31;
+    video.play(5000);
+
+    assert.deepEqual(events.map(event => event.slice(0, 2)), [['enter', 'mute'], ['leave', 'mute']]);
+  });
+
+  test('enters and leaves non-skip ranges on time', () => {
+    createScheduler({ high: 'blur' }, { timeupdates: false });
+    scheduler.setLies([lie(10, 5, 'high')]);
+
+    video.play(20000);
+
+    assert.deepEqual(events, [['enter', 'blur', 10000], ['leave', 'blur', 15000]]);
+    assert.deepEqual(video.seeks, []);
+  });
+
+  test('no timer runs while paused, and playing again schedules the boundary', () => {
+    createScheduler({}, { timeupdates: false });
+    scheduler.setLies([lie(10, 5)]);
+
+    video.play(4000);
+    video.pause();
+    assert.equal(clock.timers.size, 0);
+
+    video.run(60000);
+    assert.deepEqual(events, []);
+
+    video.play(7000);
+    assert.deepEqual(events, [['skip', 10, 70000]]);
+  });
+
+  test('a playback rate change moves the boundary timer', () => {
+    createScheduler({}, { timeupdates: false });
+    scheduler.setLies([lie(10, 5)]);
+
+    video.play(4000);
+    video.setPlaybackRate(2);
+    video.run(10000);
+
+    // 6 seconds of video left at 2x
+    assert.deepEqual(events, [['skip', 10, 7000]]);
+  });
+
+  test('streamed lie updates keep an unchanged action running', () => {
+    createScheduler({ high: 'mute' });
+    scheduler.setLies([lie(10, 5, 'high')]);
+
+    video.play(11000);
+    scheduler.setLies([lie(10, 5, 'high'), lie(40, 5, 'high')]);
+    video.run(5000);
+
+    assert.deepEqual(events.map(event => event.slice(0, 2)), [['enter', 'mute'], ['leave', 'mute']]);
+  });
+
+  test('reset forgets the lies and leaves the active range', () => {
+    createScheduler({ high: 'mute' });
+    scheduler.setLies([lie(10, 5, 'high')]);
+
+    video.play(11000);
+    scheduler.reset();
+    video.run(10000);
+
+    assert.deepEqual(events.map(event => event.slice(0, 2)), [['enter', 'mute'], ['leave', 'mute']]);
+    assert.equal(clock.timers.size, 0);
+  });
+});
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+
+const { StreamingClaimParser } = loadExtensionScripts(['src/utils/streamingClaimParser.js'], createChromeMock().chrome);
+
+const CLAIMS = [
+  { timestamp: '0:12', claim: 'He said "{not a brace}" and \\"quoted\\" [1]', evidence: { references: [{ title: 'A } b', url: 'https://example.org/?q={x}' }] } },
+  { timestamp: '1:05', claim: 'Backslash at the end \\', evidence: { correctFact: 'Braces { and ] inside strings stay text' } }
+];
+
+// Plain copies - the parsed claims come from another realm
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Feeds the text in pieces and records after which piece each claim came out
+function feed(text, pieceSize) {
+  const parser = new StreamingClaimParser();
+  const emitted = [];
+  for (let i = 0; i < text.length; i += pieceSize) {
+    parser.push(text.slice(i, i + pieceSize)).forEach(claim => emitted.push({ claim: plain(claim), at: Math.min(i + pieceSize, text.length) }));
+  }
+  return { parser, emitted };
+}
+
+describe('StreamingClaimParser', () => {
+  test('emits each claim as soon as its closing brace arrives, whatever the chunking', () => {
+    const reply = JSON.stringify({ claims: CLAIMS }, null, 2);
+    // Claims sit at an indent of 4, so the first line that is just "    }" closes the first one
+    const firstEnd = reply.indexOf('\n    }') + '\n    }'.length;
+
+    [1, 3, 7, 64, reply.length].forEach(pieceSize => {
+      const { emitted } = feed(reply, pieceSize);
+      assert.deepEqual(emitted.map(entry => entry.claim), CLAIMS, `piece size ${pieceSize}`);
+      if (pieceSize === 1) {
+        assert.equal(emitted[0].at, firstEnd);
+      }
+    });
+  });
+
+  test('braces, brackets and quotes inside strings do not end a claim early', () => {
+    const { emitted } = feed(JSON.stringify({ claims: CLAIMS }), 1);
+    assert.equal(emitted.length, 2);
+    assert.equal(emitted[0].claim.claim, CLAIMS[0].claim);
+    assert.equal(emitted[1].claim.evidence.correctFact, CLAIMS[1].evidence.correctFact);
+  });
+
+  test('streams a bare top-level array', () => {
+    [
+      JSON.stringify(CLAIMS),
+      `\`\`\`json\n${JSON.stringify(CLAIMS, null, 2)}\n\`\`\``,
+      `Here are the claims I found:\n${JSON.stringify(CLAIMS)}`
+    ].forEach(reply => {
+      const { emitted } = feed(reply, 5);
+      assert.deepEqual(emitted.map(entry => entry.claim), CLAIMS, reply.slice(0, 30));
+    });
+
+    // The first claim is out before the reply is complete
+    const reply = JSON.stringify(CLAIMS);
+    const { emitted } = feed(reply, 1);
+    assert.equal(emitted[0].at, JSON.stringify(CLAIMS[0]).length + 1);
+  });
+
+  test('bracketed prose before an object reply is not taken for the array', () => {
+    const reply = `Sure [see below]: ${JSON.stringify({ claims: CLAIMS })}`;
+    const { emitted } = feed(reply, 4);
+    assert.deepEqual(emitted.map(entry => entry.claim), CLAIMS);
+  });
+
+  test('stops at the end of the claims array', () => {
+    const reply = `${JSON.stringify({ claims: [CLAIMS[0]], notes: [{ claim: 'not a claim' }] })}\n{"claim": "trailing"}`;
+    const { emitted, parser } = feed(reply, 10);
+    assert.equal(emitted.length, 1);
+    assert.equal(parser.text, reply);
+  });
+
+  test('skips a malformed claim and keeps going', () => {
+    const reply = '{"claims": [{"claim": "one",}, {"claim": "two"}]}';
+    const { emitted } = feed(reply, 6);
+    assert.deepEqual(emitted.map(entry => entry.claim), [{ claim: 'two' }]);
+  });
+
+  test('an empty reply or empty array emits nothing', () => {
+    assert.equal(feed('{"claims": []}', 2).emitted.length, 0);
+    assert.equal(feed('[]', 1).emitted.length, 0);
+    assert.equal(feed('', 1).emitted.length, 0);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadExtensionScripts, createChromeMock } from './helpers/extension.js';
+
+const { Transcript } = loadExtensionScripts(['src/utils/transcript.js'], createChromeMock().chrome);
+
+// Segments and results come from another realm - compare plain copies
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// One segment every 5 seconds, a pause from 40s to 60s
+const transcript = Transcript.fromTimedSegments([
+  { start: 0, duration: 5, text: 'Welcome back to the channel' },
+  { start: 5, duration: 5, text: 'today we talk about the moon' },
+  { start: 10, duration: 5, text: 'the moon landing was filmed' },
+  { start: 15, duration: 5, text: 'in a studio in Nevada' },
+  { start: 20, duration: 5, text: 'and nobody has been back since' },
+  { start: 25, duration: 5, text: 'which tells you everything' },
+  { start: 30, duration: 10, text: 'let us look at the photos' },
+  { start: 60, duration: 5, text: 'after the break the shadows' },
+  { start: 65, duration: 5, text: 'point in different directions' }
+], { source: 'captions', language: 'en' });
+
+describe('Transcript.limitToDuration', () => {
+  test('cuts on segment start times and keeps the metadata', () => {
+    const limited = transcript.limitToDuration(0.5);
+
+    assert.deepEqual(plain(limited.segments.map(segment => segment.start)), [0, 5, 10, 15, 20, 25]);
+    assert.equal(limited.source, 'captions');
+    assert.equal(limited.language, 'en');
+  });
+
+  test('a segment running past the limit is kept whole', () => {
+    const limited = transcript.limitToDuration(35 / 60);
+
+    assert.equal(limited.segments.at(-1).start, 30);
+    assert.equal(limited.duration, 40);
+  });
+
+  test('a limit past the end keeps everything and leaves the original alone', () => {
+    assert.equal(transcript.limitToDuration(10).segments.length, transcript.segments.length);
+    assert.equal(transcript.limitToDuration(0).isEmpty(), true);
+    assert.equal(transcript.segments.length, 9);
+  });
+});
+
+describe('Transcript.alignClaim', () => {
+  test('snaps a timestamp inside a segment to its start', () => {
+    assert.deepEqual(plain(transcript.alignClaim(12, 8)), { start: 10, duration: 10, verified: true });
+  });
+
+  test('the quote corrects timestamp drift', () => {
+    assert.deepEqual(plain(transcript.alignClaim(0, 5, 'The moon landing was filmed')), { start: 10, duration: 5, verified: true });
+  });
+
+  test('a quote spanning two segments anchors on the first', () => {
+    const aligned = transcript.alignClaim(25, 10, 'filmed in a studio in Nevada');
+
+    assert.equal(aligned.start, 10);
+    assert.equal(aligned.verified, true);
+  });
+
+  test('a time in a pause moves to the closest segment, unverified', () => {
+    assert.deepEqual(plain(transcript.alignClaim(52, 5)), { start: 60, duration: 5, verified: false });
+  });
+
+  test('an unmatched quote falls back to the timestamp', () => {
+    assert.deepEqual(plain(transcript.alignClaim(21, 3, 'completely unrelated words here')), { start: 20, duration: 5, verified: true });
+  });
+
+  test('a claim outside the transcript is left as is and unverified', () => {
+    assert.deepEqual(plain(transcript.alignClaim(500, 12, 'the moon')), { start: 500, duration: 12, verified: false });
+  });
+});
+
+describe('Transcript timestamps', () => {
+  test('format and parse round trip', () => {
+    [[0, '0:00'], [83, '1:23'], [3599, '59:59'], [3723, '1:02:03']].forEach(([seconds, timestamp]) => {
+      assert.equal(Transcript.formatTimestamp(seconds), timestamp);
+      assert.equal(Transcript.parseTimestamp(timestamp), seconds);
+    });
+  });
+
+  test('parse passes numbers through and refuses anything else', () => {
+    assert.equal(Transcript.parseTimestamp(42.5), 42.5);
+    assert.equal(Transcript.parseTimestamp('soon'), 0);
+    assert.equal(Transcript.parseTimestamp('83'), 0);
+    assert.equal(Transcript.parseTimestamp(null), 0);
+  });
+});
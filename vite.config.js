@@ -1,13 +1,55 @@
 import { defineConfig } from 'vite'
+import { cpSync, existsSync, readFileSync } from 'node:fs'
+
+// Only the offscreen document imports npm packages (transformers.js), so it is the only
+// bundle; every other extension file is a classic script and is copied to dist/ as-is
+const EXTENSION_FILES = ['manifest.json', 'background.js', 'content.js', 'popup.html', 'popup.js', 'supabase-client.js', 'icons', 'src']
+
+// The ONNX Runtime binary the bundle fetches at run time, emitted next to offscreen.js (see
+// env.backends.onnx.wasm.wasmPaths in offscreen.js)
+const ORT_WASM = 'ort-wasm-simd-threaded.jsep.wasm'
+
+// Every file the manifest, the popup and the service worker load, so a missing copy fails the
+// build instead of the extension
+function listReferencedFiles() {
+  const manifest = JSON.parse(readFileSync('manifest.json', 'utf8'))
+  const popupScripts = [...readFileSync('popup.html', 'utf8').matchAll(/<script src="([^"]+)"/g)].map(match => match[1])
+  const workerScripts = [...readFileSync('background.js', 'utf8').matchAll(/importScripts\('([^']+)'\)/g)].map(match => match[1])
+
+  return [
+    ...manifest.content_scripts.flatMap(script => script.js),
+    manifest.background.service_worker,
+    manifest.action.default_popup,
+    ...Object.values(manifest.icons),
+    'offscreen.html',
+    'offscreen.js',
+    ...popupScripts,
+    ...workerScripts,
+    ORT_WASM
+  ]
+}
+
+function copyExtensionFiles() {
+  return {
+    name: 'copy-extension-files',
+    apply: 'build',
+    closeBundle() {
+      EXTENSION_FILES.forEach(file => cpSync(file, `dist/${file}`, { recursive: true }))
+
+      const missing = listReferencedFiles().filter(file => !existsSync(`dist/${file}`))
+      if (missing.length > 0) {
+        throw new Error(`dist/ is missing extension files: ${missing.join(', ')}`)
+      }
+    }
+  }
+}
 
 export default defineConfig({
+  plugins: [copyExtensionFiles()],
   build: {
     rollupOptions: {
       input: {
-        popup: 'popup.html',
-        content: 'content.js',
-        background: 'background.js',
-        'supabase-client': 'supabase-client.js'
+        offscreen: 'offscreen.html'
       },
       output: {
         entryFileNames: '[name].js',
@@ -17,4 +59,4 @@ export default defineConfig({
     },
     outDir: 'dist'
   }
-})
\ No newline at end of file
+})